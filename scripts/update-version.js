@@ -0,0 +1,16 @@
+// Generate src/qnvconv_version.js with the version in package.json, so that the converter version (e.g., in
+// the Provenance resources, see qnvconv_provenance.js) has a single source. It's run by "npm version" (see the
+// version script in package.json), after the version in package.json is bumped and before the commit.
+// Usage: node scripts/update-version.js
+
+import * as fs from 'fs';
+
+const pkgUrl = new URL('../package.json', import.meta.url);
+const versionUrl = new URL('../src/qnvconv_version.js', import.meta.url);
+const version = JSON.parse(fs.readFileSync(pkgUrl, 'utf8')).version;
+
+fs.writeFileSync(versionUrl,
+  '// Generated by scripts/update-version.js from the version in package.json, don\'t edit.\n\n' +
+  'export {\n  CONVERTER_VERSION\n}\n\n' +
+  `const CONVERTER_VERSION = '${version}';\n`);
+console.log('CONVERTER_VERSION updated to', version);
@@ -0,0 +1,252 @@
+// The conversion options (see the converter function table in qnvconv.js) in the command line tool, and the
+// config file for the command line options.
+//
+// Each conversion option has a command line flag, listed in convOptionTable below, which should be updated when
+// a conversion option is added. The command line options (including the ones that aren't conversion options,
+// e.g., pretty) can also be given in a config file, which is either given with the --config option, or the
+// .qnvconvrc.json file in the current directory, if any, in the following format:
+//   {
+//     "options": {"interVerExt": true, "lossPolicy": "loss-policy.json", "pretty": true},
+//     "overrides": [
+//       {"files": ["legacy/", "**/*-stu3.json"], "options": {"tagConv": false}}
+//     ]
+//   }
+// Where:
+// - options: the defaults, keyed by the long option names in camelCase (e.g., interVerExt for --inter-ver-ext,
+//   and tagConv for --no-tag-conv) or as they are (e.g., inter-ver-ext), with the same values as on the command
+//   line, except that the boolean flags take true or false, and the JSON options (e.g., lossPolicy) can be given
+//   as objects. The relative file and directory paths are relative to the config file.
+// - overrides: optional, the options for the input files matching any of the given glob patterns, in the same
+//   format as the defaults. The patterns are relative to the config file, where "**" matches any number of
+//   directories, "*" and "?" match any characters (one character for "?") other than "/", a pattern ending
+//   with "/" matches all the files in the directory (and its subdirectories), and a pattern without "/"
+//   matches the file name in any directory. The overrides are applied in the order listed.
+// The options given on the command line take precedence over those in the config file.
+
+import * as fs from "fs";
+import * as path from "path";
+import { createValueSetResolver } from "./cli_util.js";
+
+export {
+  CONFIG_FILE_NAME,
+  convOptionTable,
+  toConvOptions,
+  loadConfig,
+  matchesGlob,
+  createOptionsResolver
+}
+
+const CONFIG_FILE_NAME = '.qnvconvrc.json';
+
+// The command line flags for the conversion options, where each entry has the following fields:
+// - name: the name of the command line option, i.e., the long option name in camelCase.
+// - flags: the command line flags, see the commander option() function.
+// - description: the description for the command line help.
+// - option: the name of the conversion option.
+// - toOption: optional, the function for converting the command line option value to the conversion option
+//   value, which takes the value and returns the converted value, default to the value as is.
+// - isPath: optional, true if the option value can be a file or directory path, which is relative to the
+//   config file if given in the config file.
+const convOptionTable = [
+  { name: 'tagConv',
+    flags: '--no-tag-conv',
+    description: 'do not add the meta tag that records the conversion (and the previous ones, if any)',
+    option: 'tag_conv'
+  },
+  { name: 'interVerExt',
+    flags: '--inter-ver-ext',
+    description: 'add the inter-version extensions for the elements that can\'t be represented in the target ' +
+      'version (down-conversions), and recover the data from such extensions (up-conversions)',
+    option: 'interVerExt'
+  },
+  { name: 'enableWhenExpr',
+    flags: '--enable-when-expr',
+    description: 'translate the enableWhen conditions unsupported in STU3 to (and back from) the SDC ' +
+      'enableWhenExpression extension',
+    option: 'enableWhenExpr'
+  },
+  { name: 'valueSetDir',
+    flags: '--value-set-dir <dir>',
+    description: 'the directory of ValueSet resources (.json files) for resolving relative ValueSet references ' +
+      '(e.g., ValueSet/123) in STU3 item.options to canonical urls',
+    option: 'valueSetResolver',
+    toOption: createValueSetResolver,
+    isPath: true
+  },
+  { name: 'validate',
+    flags: '--validate',
+    description: 'validate the structure of the converted questionnaires against the target version',
+    option: 'validate'
+  },
+  { name: 'lossPolicy',
+    flags: '--loss-policy <file-or-json>',
+    description: 'the policy for the elements that can\'t be represented in the target version, as a JSON file ' +
+      'or a JSON string, e.g., \'{"rules": {"OPERATOR_UNSUPPORTED": "display"}, "default": "drop"}\', see ' +
+      'src/qnvconv_policy.js for the details',
+    option: 'lossPolicy',
+    toOption: toJson,
+    isPath: true
+  },
+  { name: 'extensionMap',
+    flags: '--extension-map <file-or-json>',
+    description: 'additional extension mappings keyed by the version pair, as a JSON file or a JSON string, ' +
+      'e.g., {"STU3-R4": [{"lower": {"url": "<STU3 url>"}, "higher": {"url": "<R4 url>"}}]}, see ' +
+      'src/qnvconv_extensions.js for the details',
+    option: 'extensionMappings',
+    toOption: toJson,
+    isPath: true
+  },
+  { name: 'profileMap',
+    flags: '--profile-map <file-or-json>',
+    description: 'additional meta.profile mappings keyed by the version pair, as a JSON file or a JSON string, ' +
+      'e.g., {"STU3-R4": [{"lower": "<STU3 profile>", "higher": "<R4 profile>"}]}, see src/qnvconv_profiles.js ' +
+      'for the details',
+    option: 'profileMappings',
+    toOption: toJson,
+    isPath: true
+  },
+  { name: 'provenance',
+    flags: '--provenance',
+    description: 'create a FHIR Provenance resource for each converted resource, which is written next to the ' +
+      'output file (e.g., my-file-R5-provenance.json), or added to the output bundle',
+    option: 'provenance'
+  }
+];
+
+
+/**
+ * Get the JSON value of the given command line option value, which can be a JSON string, or a JSON file path.
+ * @param value the option value, a JSON string (starting with "{" or "["), a JSON file path, or an object
+ *        (from the config file) that is returned as it is.
+ * @return the JSON value
+ */
+function toJson(value) {
+  if(typeof value !== 'string') {
+    return value;
+  }
+  return JSON.parse(/^\s*[{[]/.test(value)? value: fs.readFileSync(value, 'utf8'));
+}
+
+
+/**
+ * Create the conversion options (see the converter function table in qnvconv.js) from the given command
+ * line options.
+ * @param cliOpts the command line options, keyed by the names in convOptionTable, where the options not in
+ *        convOptionTable are ignored.
+ * @return the conversion options
+ */
+function toConvOptions(cliOpts) {
+  let convOptions = {};
+  for(let {name, option, toOption} of convOptionTable) {
+    const value = cliOpts[name];
+    if(value !== undefined && value !== null) {
+      convOptions[option] = toOption? toOption(value): value;
+    }
+  }
+  return convOptions;
+}
+
+
+/**
+ * Convert the given option name to camelCase, e.g., inter-ver-ext to interVerExt.
+ * @param name the option name
+ * @return the option name in camelCase.
+ */
+function camelCase(name) {
+  return name.replace(/^-+/, '').replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+
+/**
+ * Normalize the given options from the config file, i.e., the option names in camelCase, and the relative
+ * paths resolved against the given directory.
+ * @param options the options in the config file, see the description at the top.
+ * @param baseDir the directory of the config file.
+ * @return the normalized options.
+ */
+function normalizeOptions(options, baseDir) {
+  let normalized = {};
+  for(let [key, value] of Object.entries(options || {})) {
+    const name = camelCase(key);
+    const pathOption = convOptionTable.find(o => o.name === name && o.isPath);
+    normalized[name] = pathOption && typeof value === 'string' && ! /^\s*[{[]/.test(value)?
+      path.resolve(baseDir, value): value;
+  }
+  return normalized;
+}
+
+
+/**
+ * Load the given config file, see the description at the top for the format.
+ * @param configFile the config file path
+ * @return the config, an object with the fields baseDir (the directory of the config file), options (the
+ *         defaults), and overrides (the list of overrides, each with the fields files, the list of the patterns,
+ *         and options), where the options are normalized, see normalizeOptions().
+ */
+function loadConfig(configFile) {
+  const config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+  const baseDir = path.dirname(path.resolve(configFile));
+  return {
+    baseDir,
+    options: normalizeOptions(config.options, baseDir),
+    overrides: (config.overrides || []).map(o => ({
+      files: [].concat(o.files || []),
+      options: normalizeOptions(o.options, baseDir)
+    }))
+  };
+}
+
+
+/**
+ * Check if the given file path matches the given glob pattern, see the description at the top for the
+ * supported patterns.
+ * @param relPath the file path, relative to the directory the pattern is relative to, with "/" as the separator.
+ * @param pattern the glob pattern
+ * @return true if it matches, false otherwise.
+ */
+function matchesGlob(relPath, pattern) {
+  if(pattern.endsWith('/')) {
+    pattern += '**';
+  }
+  if(! pattern.includes('/')) {
+    pattern = '**/' + pattern;
+  }
+  const regex = pattern.replace(/^\.\//, '').split(/(\*\*\/|\*\*|\*|\?)/).map(part =>
+    part === '**/'? '(?:.*/)?': part === '**'? '.*': part === '*'? '[^/]*': part === '?'? '[^/]':
+      part.replace(/[.+^${}()|[\]\\]/g, '\\$&')).join('');
+  return new RegExp('^' + regex + '$').test(relPath);
+}
+
+
+/**
+ * Create the function that gets the command line options (and the conversion options) for a given input file,
+ * based on the config file (if any) and the command line options.
+ * @param cliOpts the command line options
+ * @param isFromCli a function that takes an option name, and returns true if the option is given on the
+ *        command line (not a default), e.g., based on the commander getOptionValueSource().
+ * @param config optional, the config, see loadConfig().
+ * @return the function that takes an input file path and returns the command line options for the file, where
+ *         the options from the config file (the defaults and the matching overrides) are applied, unless given
+ *         on the command line, and the convOptions field is the conversion options, see toConvOptions(), which
+ *         are only created when first used, e.g., not for the .json files, whose conversion options are created
+ *         (from the command line options) in the worker threads, see convertBatch() in qnvconv_batch.js.
+ *         The options are the same object for the files with the same matching overrides.
+ */
+function createOptionsResolver(cliOpts, isFromCli, config) {
+  const fromCli = Object.fromEntries(Object.keys(cliOpts).filter(isFromCli).map(name => [name, cliOpts[name]]));
+  let optsCache = {};
+
+  return (filePath) => {
+    const relPath = config && path.relative(config.baseDir, path.resolve(filePath)).split(path.sep).join('/');
+    const overrides = (config?.overrides || []).filter(o => o.files.some(pattern => matchesGlob(relPath, pattern)));
+    const cacheKey = overrides.map(o => config.overrides.indexOf(o)).join(',');
+    if(! optsCache[cacheKey]) {
+      let opts = Object.assign({}, cliOpts, config?.options, ...overrides.map(o => o.options), fromCli);
+      let convOptions = null; // e.g., the ValueSet files are read for the valueSetResolver
+      Object.defineProperty(opts, 'convOptions', {enumerable: true,
+        get: () => convOptions = convOptions || toConvOptions(opts)});
+      optsCache[cacheKey] = opts;
+    }
+    return optsCache[cacheKey];
+  };
+}
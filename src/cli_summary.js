@@ -0,0 +1,153 @@
+// The summary report of the batch conversions in the command line tool, i.e., the files processed, ignored,
+// and failed (e.g., invalid JSON files), with the status and the message counts (by message code, see MsgCode
+// in qnvconv_common.js) of each file, and in total. The report is written in JSON and CSV, and the worst status
+// decides the exit code of the command line tool, based on the --fail-on threshold.
+
+export {
+  FailOn,
+  createSummary,
+  addFileResult,
+  toSummaryCsv,
+  toFailOnThreshold,
+  toExitCode
+}
+
+// The --fail-on thresholds, i.e., the exit code is non-zero if the worst status is at or below the threshold,
+// where the files that failed to be processed count as aborted (-2).
+const FailOn = Object.freeze({
+  warning: 0,
+  loss: -1,
+  aborted: -2,
+  never: -Infinity
+});
+
+const statusLabels = {'1': 'success', '0': 'warning', '-1': 'loss', '-2': 'aborted'};
+
+
+/**
+ * Create an empty summary.
+ * @return the summary object, with the following fields:
+ *         - dirsProcessed, filesProcessed, filesIgnored, filesFailed: the numbers of the directories and the
+ *           files processed, ignored (not .json files), and failed (e.g., invalid JSON files).
+ *         - worstStatus: the worst status of the files processed, where the failed files count as aborted
+ *           (-2), or null if there is none.
+ *         - statusCounts: the numbers of the files processed for each status, keyed by the status label,
+ *           i.e., success, warning, loss, and aborted.
+ *         - messageCounts: the numbers of the messages, keyed by the message code.
+ *         - files: the list of the files, each with the fields file, result (processed, ignored, or failed),
+ *           and for the files processed, status, messages (the number of messages), and messageCounts, or
+ *           error (the error message) for the failed files.
+ */
+function createSummary() {
+  return {dirsProcessed: 0, filesProcessed: 0, filesIgnored: 0, filesFailed: 0, worstStatus: null,
+    statusCounts: {}, messageCounts: {}, files: []};
+}
+
+
+/**
+ * Add the result of the given file to the summary.
+ * @param summary the summary, see createSummary().
+ * @param file the file path
+ * @param result the file result, with either the conversion result (the result field, see convertResource()
+ *        in qnvconv.js), the error (the error message, if failed), or ignored (true, if the file is ignored).
+ */
+function addFileResult(summary, file, {result, error, ignored}) {
+  let fileResult = {file};
+  if(ignored) {
+    summary.filesIgnored += 1;
+    fileResult.result = 'ignored';
+  }
+  else if(error || ! result) {
+    summary.filesFailed += 1;
+    fileResult.result = 'failed';
+    fileResult.error = error || 'unknown error';
+    updateWorstStatus(summary, -2);
+  }
+  else {
+    summary.filesProcessed += 1;
+    const messageCounts = {};
+    for(let msg of result.message || []) {
+      const code = msg.code || 'UNSPECIFIED';
+      messageCounts[code] = (messageCounts[code] || 0) + 1;
+      summary.messageCounts[code] = (summary.messageCounts[code] || 0) + 1;
+    }
+    Object.assign(fileResult, {result: 'processed', status: result.status,
+      messages: result.message?.length || 0, messageCounts});
+    const label = statusLabels[result.status];
+    summary.statusCounts[label] = (summary.statusCounts[label] || 0) + 1;
+    updateWorstStatus(summary, result.status);
+  }
+  summary.files.push(fileResult);
+}
+
+
+/**
+ * Update the worst status of the summary with the given status.
+ * @param summary the summary, see createSummary().
+ * @param status the status of a file
+ */
+function updateWorstStatus(summary, status) {
+  if(summary.worstStatus === null || status < summary.worstStatus) {
+    summary.worstStatus = status;
+  }
+}
+
+
+/**
+ * Create the CSV report of the given summary, with a row for each file, and a total row at the end. The
+ * columns are file, result, status, error, messages, and the message codes (the number of messages of each).
+ * @param summary the summary, see createSummary().
+ * @return the CSV text.
+ */
+function toSummaryCsv(summary) {
+  const codes = Object.keys(summary.messageCounts).sort();
+  const totalMessages = Object.values(summary.messageCounts).reduce((acc, n) => acc + n, 0);
+  const rows = [
+    ['file', 'result', 'status', 'error', 'messages', ...codes],
+    ...summary.files.map(f => [f.file, f.result, f.status, f.error, f.messages,
+      ...codes.map(code => f.messageCounts?.[code] || (f.result === 'processed'? 0: undefined))]),
+    ['(total)', `processed: ${summary.filesProcessed}; ignored: ${summary.filesIgnored}; ` +
+      `failed: ${summary.filesFailed}`, summary.worstStatus, undefined, totalMessages,
+      ...codes.map(code => summary.messageCounts[code])]
+  ];
+  return rows.map(row => row.map(toCsvField).join(',')).join('\n') + '\n';
+}
+
+
+/**
+ * Format the given value as a CSV field, i.e., quoted if it has a comma, a quote, or a line break.
+ * @param value the value, where undefined and null are formatted as empty fields.
+ * @return the CSV field
+ */
+function toCsvField(value) {
+  const str = value === undefined || value === null? '': String(value);
+  return /[",\r\n]/.test(str)? '"' + str.replace(/"/g, '""') + '"': str;
+}
+
+
+/**
+ * Get the status threshold for the given --fail-on value.
+ * @param failOn one of the FailOn keys (e.g., loss) or values (e.g., -1).
+ * @return the threshold, or NaN if the value is neither.
+ */
+function toFailOnThreshold(failOn) {
+  return FailOn.hasOwnProperty(failOn)? FailOn[failOn]: /^-?\d+$/.test(failOn)? Number(failOn): NaN;
+}
+
+
+/**
+ * Get the exit code of the command line tool based on the worst status in the summary, i.e., 0 if the worst
+ * status is above the given threshold (or if there are no files processed), or otherwise, 1 for warning,
+ * 2 for loss, and 3 for aborted (including the failed files).
+ * @param summary the summary, see createSummary().
+ * @param failOn the threshold, one of the FailOn keys (e.g., loss) or values (e.g., -1).
+ * @return the exit code.
+ */
+function toExitCode(summary, failOn) {
+  const threshold = toFailOnThreshold(failOn);
+  if(isNaN(threshold)) {
+    throw new Error(`Invalid --fail-on value: ${failOn}, should be one of: ${Object.keys(FailOn).join(', ')}`);
+  }
+  const worst = summary.worstStatus;
+  return worst === null || worst > threshold? 0: 1 - worst;
+}
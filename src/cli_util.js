@@ -1,10 +1,12 @@
 
 // Util functions for use in the command line tool or in the mocha tests.
 
+import * as fs from "fs";
 import * as path from "path";
 
 export {
-  newPathFrom
+  newPathFrom,
+  createValueSetResolver
 }
 
 
@@ -24,3 +26,37 @@ function newPathFrom(srcFilePath, newDir, suffix, ext) {
 }
 
 
+/**
+ * Create a ValueSet resolver (see the valueSetResolver conversion option in qnvconv.js) that resolves the
+ * relative ValueSet references, e.g., ValueSet/123 or ValueSet/123/_history/2, to the ValueSet canonical urls
+ * based on the ValueSet resources found in the .json files (single resources or bundles) in the given directory.
+ * @param vsDir the directory (searched recursively) for the ValueSet resources.
+ * @return the resolver function, which takes a reference and returns the canonical url or null if not found.
+ */
+function createValueSetResolver(vsDir) {
+  let urlById = {};
+  const addValueSets = (res) => {
+    if(res?.resourceType === 'ValueSet' && res.id && res.url) {
+      urlById[res.id] = res.url;
+    }
+    else if(res?.resourceType === 'Bundle') {
+      (res.entry || []).forEach(ent => addValueSets(ent.resource));
+    }
+  };
+
+  for(let entry of fs.readdirSync(vsDir, {withFileTypes: true, recursive: true})) {
+    if(entry.isFile() && entry.name.endsWith('.json')) {
+      try {
+        addValueSets(JSON.parse(fs.readFileSync(path.join(entry.parentPath || entry.path, entry.name))));
+      }
+      catch(e) {
+        console.error('Ignoring invalid JSON file %s: %s', path.join(entry.parentPath || entry.path, entry.name), e.message);
+      }
+    }
+  }
+
+  return (reference) => {
+    const id = reference.match(/(?:^|\/)ValueSet\/([^/]+)(?:\/_history\/[^/]+)?$/)?.[1];
+    return id && urlById[id] || null;
+  };
+}
@@ -1,5 +1,5 @@
 
-// Converting FHIR Questionnaire resources between versions.
+// Converting FHIR Questionnaire (and QuestionnaireResponse) resources between versions.
 // The current conversions are hand-coded. If the scope goes beyond a few versions of
 // questionnaires, other options, such as some template or DSL languages, should be explored.
 // Specifically, explore the "<version> Conversions" tab on the HL7's page on Questionnaire, which
@@ -13,28 +13,68 @@
 //   for more details on the format of result objects returned by the functions.
 // General notes on Questionnaire.meta:
 // - preserved: meta.version, meta.lastUpdated(?), meta.source
-// - updated: add a new tag that indicates the conversion
-// - updated: remove all existing profiles and add the profile for the target version;
+// - updated: add (or update) the tag that records the conversion history, see qnvconv_history.js
+// - updated: the existing profiles are mapped to their equivalents in the target version (see
+//   qnvconv_profiles.js), and the base profile for the target version is added as the first one;
 
 import {qnR3ToR4, qnR4ToR3} from './qnvconv_stu3_r4.js';
 import {qnR4ToR5, qnR5ToR4} from './qnvconv_r4_r5.js';
-import {updateRetStatus} from './qnvconv_common.js';
+import {qnR5ToR6, qnR6ToR5} from './qnvconv_r5_r6.js';
+import {qrR3ToR4, qrR4ToR3} from './qrvconv_stu3_r4.js';
+import {qrR4ToR5, qrR5ToR4} from './qrvconv_r4_r5.js';
+import {detectVersion} from './qnvconv_detect.js';
+import {toOperationOutcome} from './qnvconv_outcome.js';
+import {diffResources} from './qnvconv_diff.js';
+import {createHtmlReport} from './qnvconv_report.js';
+import {validateQuestionnaire} from './qnvconv_validate.js';
+import {applyAbortPolicy, checkLossPolicy} from './qnvconv_policy.js';
+import {mapProfiles, isBaseProfile} from './qnvconv_profiles.js';
+import {CONV_TAG_PREFIX, getConversionHistory, addConversionTag} from './qnvconv_history.js';
+import {createProvenance} from './qnvconv_provenance.js';
+import {MsgCode, createMsg, updateRetStatus, cloneJson} from './qnvconv_common.js';
 
 
 // The converter function table
 // There is an entry for each supported FHIR version. A converter function has the signature:
 //     <converter_func>(questionnaire, options)
 // Where:
-// @param questionnaire: required, the questionnaire resource to be converted
-// @param options: optional, an object with 0 or more of the following fields:
-//   - tag_conv: boolean (default true), whether to add a meta tag to record this conversion
+// @param questionnaire: required, the questionnaire resource to be converted. The converter functions in this
+//   table convert it in place, while the functions from getConverter() work on a copy of it, made once for
+//   all the steps (versions) in the conversion, so that the input is never changed.
+// @param options: optional, an object with 0 or more of the following fields (each with a command line flag,
+//   see convOptionTable in cli_config.js):
+//   - tag_conv: boolean (default true), whether to add a meta tag to record this conversion (and the previous
+//     ones, if any), see qnvconv_history.js and getConversionHistory().
+//   - provenance: boolean (default false), whether to create a FHIR Provenance resource (in the target version)
+//     for the conversion, returned as the provenance field of the result. See qnvconv_provenance.js for details.
 //   - interVerExt: boolean (default false), whether to add the inter-version extensions
 //     during down-conversion, or whether to recover data from such extensions during
 //     up-conversion.
 //     Note that this is an experimental feature, it's only implemented for conversions
-//     between R4 and R5, and is disabled by default.
+//     between STU3 and R4, between R4 and R5, and between R5 and R6, and is disabled by default.
 //     For more details on inter-version extensions, please refer to:
 //         https://build.fhir.org/versions.html#extensions
+//   - enableWhenExpr: boolean (default false), whether to translate the enableWhen conditions that
+//     can't be represented in STU3 (operators other than "=" and "exists", and enableBehavior) into
+//     the equivalent SDC enableWhenExpression extension during down-conversion to STU3, and whether
+//     to translate such (simple) expressions back to enableWhen during up-conversion from STU3.
+//   - valueSetResolver: function (optional), for resolving the relative ValueSet references (e.g., ValueSet/123)
+//     in STU3 item.options.reference to the ValueSet canonical urls during up-conversion from STU3.
+//     The function takes the reference string and returns the canonical url, or null if it can't be resolved.
+//   - validate: boolean (default false), whether to validate the structure of the resulting questionnaire
+//     against the target version (see validateQuestionnaire() in qnvconv_validate.js). The issues found are
+//     added to the result messages (with code INVALID_OUTPUT), and the result status is lowered to 0
+//     (with-warning) if it was 1. Only applicable to Questionnaire resources.
+//   - lossPolicy: object (optional), the policy for handling the elements that can't be represented in the
+//     target version, with per message code rules: drop (default), keep as an (inter-version) extension,
+//     replace the item with a display item, or abort the conversion, and a strict mode, in which any
+//     loss aborts the conversion. See qnvconv_policy.js for more details.
+//   - extensionMappings: object (optional), additional extension mappings (e.g., for local extensions), keyed
+//     by the version pair, e.g., {'STU3-R4': [{lower: {url, type}, higher: {url, type}}]}, which take precedence
+//     over the built-in SDC and core extension mappings. See qnvconv_extensions.js for more details.
+//   - profileMappings: object (optional), additional profile mappings (e.g., for the national IG profiles)
+//     for meta.profile, keyed by the version pair, e.g., {'STU3-R4': [{lower: <url>, higher: <url>}]}, which
+//     take precedence over the built-in SDC profile mappings. See qnvconv_profiles.js for more details.
 // @return an object with the fields status, data, and message, where data is the resulting
 //     resource after conversion. See updateRetStatus() for more details on status and message.
 //
@@ -68,19 +108,58 @@ const qnConverterTable = [
     profile: 'http://hl7.org/fhir/4.3/StructureDefinition/Questionnaire'
   },
   { ver: 'R5',
+    up_conv: qnR5ToR6,
     down_conv: qnR5ToR4,
     profile: 'http://hl7.org/fhir/5.0/StructureDefinition/Questionnaire'
   },
+  { ver: 'R6',
+    down_conv: qnR6ToR5,
+    profile: 'http://hl7.org/fhir/6.0/StructureDefinition/Questionnaire'
+  },
+].map((v, index) => { v.index = index; return v; });
+
+// The converter function table for QuestionnaireResponse, same format as the qnConverterTable above.
+// Note that R4 and R4B are the same for QuestionnaireResponse resources but with different meta.profile.
+const qrConverterTable = [
+  { ver: 'STU3',
+    up_conv: qrR3ToR4,
+    profile: 'http://hl7.org/fhir/3.0/StructureDefinition/QuestionnaireResponse'
+  },
+  { ver: 'R4',
+    up_conv: qnNoOpConv,
+    down_conv: qrR4ToR3,
+    profile: 'http://hl7.org/fhir/4.0/StructureDefinition/QuestionnaireResponse'
+  },
+  { ver: 'R4B',
+    up_conv: qrR4ToR5,
+    down_conv: qnNoOpConv,
+    profile: 'http://hl7.org/fhir/4.3/StructureDefinition/QuestionnaireResponse'
+  },
+  { ver: 'R5',
+    down_conv: qrR5ToR4,
+    profile: 'http://hl7.org/fhir/5.0/StructureDefinition/QuestionnaireResponse'
+  },
 ].map((v, index) => { v.index = index; return v; });
 
-// A mapping from the FHIR version to the version info object in the qnConverterTable above.
-const qnConverterMap = qnConverterTable.reduce((acc, v) => { acc[v.ver] = v; return acc; }, {});
+// The converter tables by the resource type.
+const converterTables = {
+  Questionnaire: qnConverterTable,
+  QuestionnaireResponse: qrConverterTable
+};
+
+// A mapping from the resource type to a mapping from the FHIR version to the version info object in
+// the corresponding converter table above.
+const converterMaps = Object.fromEntries(Object.entries(converterTables).map(([resType, table]) =>
+  [resType, table.reduce((acc, v) => { acc[v.ver] = v; return acc; }, {})]));
 
-const supportedVersions = Object.keys(qnConverterMap);
+const supportedVersions = Object.keys(converterMaps.Questionnaire);
+
+const supportedResourceTypes = Object.keys(converterTables);
 
 
 /**
- * A NO-OP converter that does nothing and return the input questionnaire itself in the data field.
+ * A NO-OP converter that does nothing and return the input questionnaire (or questionnaire response)
+ * itself in the data field.
  * @param qn the input questionnaire to convert
  * @return the result object that has the fields: data, status, and message, where
  *         data is the converted questionnaire. See updateRetStatus() for more details.
@@ -93,7 +172,17 @@ function qnNoOpConv(qn) {
 export {
   getConverter,
   convert,
-  supportedVersions
+  convertResource,
+  convertBundle,
+  convertNdjson,
+  roundTrip,
+  detectVersion,
+  validateQuestionnaire,
+  toOperationOutcome,
+  createHtmlReport,
+  getConversionHistory,
+  supportedVersions,
+  supportedResourceTypes
 };
 
 
@@ -103,93 +192,418 @@ export {
  * composed anonymous function that performs the conversion one version step at a time.
  * @param vFrom the from version
  * @param vTo the to/target version.
- * @return A converter function that performs the conversion, or null if the versions are
- *         invalid or if the conversion isn't supported yet. See the converter function table
- *         at the top of this file for more details.
+ * @param resourceType optional, the type of the resources to be converted, one of the
+ *        supportedResourceTypes, default to Questionnaire.
+ * @return A converter function that performs the conversion, or null if the versions (or the
+ *         resource type) are invalid or if the conversion isn't supported yet. See the converter
+ *         function table at the top of this file for more details.
  */
-function getConverter(vFrom, vTo) {
-  if(vFrom === vTo || !qnConverterMap[vFrom] || !qnConverterMap[vTo]) {
+function getConverter(vFrom, vTo, resourceType = 'Questionnaire') {
+  const convTable = converterTables[resourceType];
+  const convMap = converterMaps[resourceType];
+  if(vFrom === vTo || !convMap?.[vFrom] || !convMap[vTo]) {
     return null;
   }
 
-  let vIndexFr = qnConverterMap[vFrom].index;
-  let vIndexTo = qnConverterMap[vTo].index;
+  let vIndexFr = convMap[vFrom].index;
+  let vIndexTo = convMap[vTo].index;
   let vIndexChain = Array(Math.abs(vIndexTo-vIndexFr)).fill(0).map((_, i) => vIndexFr + (vIndexFr < vIndexTo? i: -i));
 
   let funcKey = vIndexFr < vIndexTo? 'up_conv': 'down_conv';
-  let converters = vIndexChain.map(vIndex => qnConverterTable[vIndex][funcKey]);
+  let converters = vIndexChain.map(vIndex => convTable[vIndex][funcKey]);
+  let versionChain = [...vIndexChain.map(vIndex => convTable[vIndex].ver), convMap[vTo].ver];
 
   /**
    * The combined converter function that executes the chain of converters in sequence.
-   * @param qnJson the questionnaire resource to be converted
+   * @param qnJson the questionnaire (or questionnaire response) resource to be converted
    * @param options optional conversion options. See the description about the converter
    *        function table at the top of this file for more details.
    * @return the result object that has the fields: data, status, and message, where
-   *         data is the converted questionnaire. See updateRetStatus() for more details
+   *         data is the converted questionnaire. See updateRetStatus() for more details.
+   *         Each message is tagged with the conversion step that produced it, e.g., "step": "R5->R4".
+   *         If a step can't continue, e.g., due to malformed input, an unexpected error, or a loss not
+   *         allowed by the loss policy, the conversion is aborted, with status -2 and no data.
+   * @throws Error if the loss policy (the lossPolicy option) is invalid, see checkLossPolicy().
    */
   function chainedConverter(qnJson, options) {
+    checkLossPolicy(options?.lossPolicy);
     let stepResult = {data: qnJson};
     let finalResult = {status: 1};
 
-    for(let converter of converters) {
-      stepResult = converter(stepResult.data, options);
-      updateRetStatus(finalResult, stepResult.status, stepResult.message);
+    for(let i = 0; i < converters.length; ++i) {
+      const step = versionChain[i] + '->' + versionChain[i+1];
+      const isLastStep = i === converters.length - 1;
+      try {
+        // the steps convert in place, on the copy made here (once) so that the input isn't changed.
+        stepResult = converters[i](i === 0? cloneJson(qnJson): stepResult.data, options);
+      }
+      catch(e) { // unexpected errors, e.g., malformed input not caught by the input checks.
+        stepResult = {status: -2, message: [createMsg(qnJson, -2, 'Conversion aborted due to error: ' + e.message,
+          {code: MsgCode.CONVERSION_ERROR})]};
+      }
+      applyAbortPolicy(stepResult, options);
+      // the message values may refer to the elements that the next steps are going to change in place.
+      updateRetStatus(finalResult, stepResult.status, stepResult.message?.map(m => ({...m, step,
+        ...(! isLastStep && typeof m.value === 'object' && {value: cloneJson(m.value)})})));
+      if(stepResult.status === -2) {
+        return finalResult;
+      }
     }
     if(stepResult.data) {
-      finalResult.data = stepResult.data;
-      updateMeta(finalResult.data, vFrom, vTo, options);
+      const data = stepResult.data;
+      // the profiles removed (see updateMeta()) and the validation issues are subject to the loss policy too.
+      const metaRet = applyAbortPolicy(updateMeta(data, versionChain, options, resourceType), options);
+      updateRetStatus(finalResult, metaRet.status, metaRet.message);
+      if(options?.validate && resourceType === 'Questionnaire' && finalResult.status !== -2) {
+        const validRet = applyAbortPolicy(validateQuestionnaire(data, vTo), options);
+        updateRetStatus(finalResult, validRet.status, validRet.message);
+      }
+      if(finalResult.status !== -2) {
+        finalResult.data = data;
+        if(options?.provenance) {
+          finalResult.provenance = createProvenance(qnJson, data, vFrom, vTo);
+        }
+      }
     }
 
     return finalResult;
   }
-  chainedConverter._versionChain = vIndexChain.map(idx => qnConverterTable[idx].ver); // for internal evaluation/troubleshooting use.
-  chainedConverter._versionChain.push(qnConverterMap[vTo].ver);
+  chainedConverter._versionChain = versionChain; // for internal evaluation/troubleshooting use.
 
   return chainedConverter;
 }
 
 /**
  * Update the meta field of the converted questionnaire. Specifically:
- * - remove all existing profiles and set to the profile corresponding to vTo.
- * - add a new tag to record this conversion.
- * @param qn the converted questionnaire resource
- * @param vFrom the FHIR version converted from
- * @param vTo the FHIR version converted to
- * @param options conversion options, optional. If specified, the only field that
- *        matters here is options.tag_conv (boolean, default true), which controls whether to
- *        add a tag to the resulting resource to record this conversion.
+ * - map the existing profiles to their equivalents in vTo (see mapProfiles()), where the profile
+ *   corresponding to vTo is the first one, and the profiles that can't be mapped are removed.
+ * - add (or update) the conversion tag to record this conversion, see addConversionTag().
+ * @param qn the converted questionnaire (or questionnaire response) resource
+ * @param versionChain the list of versions in the conversion, from vFrom to vTo, e.g., ['STU3', 'R4', 'R4B']
+ * @param options conversion options, optional. If specified, the fields that matter here are
+ *        options.tag_conv (boolean, default true), which controls whether to add a tag to the resulting
+ *        resource to record this conversion, and options.profileMappings, see mapProfiles().
+ * @param resourceType the resource type of the converter table used in the conversion.
+ * @return the "return object", with messages for the profiles removed, see updateRetStatus()
  */
-function updateMeta(qn, vFrom, vTo, options) {
+function updateMeta(qn, versionChain, options, resourceType) {
+  const [vFrom, vTo] = [versionChain[0], versionChain[versionChain.length - 1]];
   qn.meta = qn.meta || {};
-  qn.meta.profile = [ qnConverterMap[vTo].profile ];
+  let ret = mapProfiles(qn.meta.profile, versionChain, baseProfile(resourceType, vTo), qn, options);
+  qn.meta.profile = ret.data;
+  ret.data = qn;
 
   if(options?.tag_conv !== false) {
-    let convTag = {
-      code: `lhc-qnvconv-${vFrom}-to-${vTo}`,
-      display: `Converted from ${vFrom} to ${vTo} by the LHC Questionnaire Version Converter`
-    };
-
-    (qn.meta.tag = qn.meta.tag || []).push(convTag);
+    addConversionTag(qn, vFrom, vTo);
   }
+
+  return ret;
+}
+
+
+/**
+ * Get the base resource profile of the given resource type for the given FHIR version, e.g.,
+ * http://hl7.org/fhir/4.0/StructureDefinition/Bundle for Bundle in R4.
+ * @param resourceType the resource type, e.g., Questionnaire, or Bundle.
+ * @param ver the FHIR version, one of the supportedVersions.
+ * @return the profile (canonical url)
+ */
+function baseProfile(resourceType, ver) {
+  return converterMaps[resourceType]?.[ver]?.profile ||
+    converterMaps.Questionnaire[ver].profile.replace(/Questionnaire$/, resourceType);
 }
 
 
 /**
  * Convert the given FHIR questionnaire from version vFrom to version vTo.
- * @param qnJson the FHIR questionnaire resource in json
+ * @param qnJson the FHIR questionnaire (or questionnaire response) resource in json
  * @param vFrom the FHIR version of the input questionnaire
  * @param vTo the FHIR version to convert to
  * @param options optional conversion options. See the description about the converter
  *        function table at the top of this file for more details.
+ * @param resourceType optional, the type of the resource to convert, one of the supportedResourceTypes.
+ *        Default to qnJson.resourceType if it's one of the supportedResourceTypes, or Questionnaire otherwise.
  * @return an object with 3 fields:
  *         - status: the status code of the conversion. See updateRetStatus() for more details
  *         - data: the converted questionnaire
  *         - message: a list (may not present) of warning/error message objects. See updateRetStatus() for more details
  */
-function convert(qnJson, vFrom, vTo, options) {
-  if(! qnConverterMap[vFrom] || ! qnConverterMap[vTo]) {
-    throw new Error('Unsupported FHIR version. Versions currently supported are: ' + Object.keys(qnConverterMap).join(', '));
+function convert(qnJson, vFrom, vTo, options, resourceType) {
+  resourceType = resourceType || (converterTables[qnJson?.resourceType]? qnJson.resourceType: 'Questionnaire');
+  const convMap = converterMaps[resourceType];
+  if(! convMap) {
+    throw new Error('Unsupported resource type. Resource types currently supported are: ' + supportedResourceTypes.join(', '));
   }
-  const convertFunc = getConverter(vFrom, vTo);
+  if(! convMap[vFrom] || ! convMap[vTo]) {
+    throw new Error('Unsupported FHIR version. Versions currently supported are: ' + Object.keys(convMap).join(', '));
+  }
+  const convertFunc = getConverter(vFrom, vTo, resourceType);
   return convertFunc(qnJson, options);
 }
+
+
+/**
+ * Convert the given resource from version vFrom to version vTo, where the resource can be a questionnaire,
+ * a questionnaire response, or a bundle of them (see convertBundle()). The other resources, and those whose
+ * conversion between the given versions isn't supported (e.g., QuestionnaireResponse to R6), are returned as
+ * they are, with status 0 and a NOT_CONVERTED message.
+ * @param res the FHIR resource in json
+ * @param vFrom the FHIR version of the given resource
+ * @param vTo the FHIR version to convert to
+ * @param options optional conversion options. See the description about the converter
+ *        function table at the top of this file for more details.
+ * @return the result object, see convert() and convertBundle().
+ */
+function convertResource(res, vFrom, vTo, options) {
+  if(! converterMaps.Questionnaire[vFrom] || ! converterMaps.Questionnaire[vTo]) {
+    throw new Error('Unsupported FHIR version. Versions currently supported are: ' + supportedVersions.join(', '));
+  }
+  if(res?.resourceType === 'Bundle') {
+    return convertBundle(res, vFrom, vTo, options);
+  }
+
+  const resourceType = res?.resourceType;
+  const convertFunc = converterTables[resourceType] && getConverter(vFrom, vTo, resourceType);
+  if(! convertFunc) {
+    const text = converterTables[resourceType]? `Conversion of ${resourceType} from ${vFrom} to ${vTo} isn't supported`:
+      `Not a ${supportedResourceTypes.join(', ')}, nor a Bundle resource`;
+    return {status: 0, data: res, message: [createMsg(res?.id || 'unknown', 0, text,
+      {code: MsgCode.NOT_CONVERTED, path: resourceType})]};
+  }
+  return convertFunc(res, options);
+}
+
+
+/**
+ * Convert the resources in the given bundle from version vFrom to version vTo, see convertResource(). The
+ * bundle can be of any type, e.g., transaction, batch, collection, or searchset, and the nested bundles are
+ * converted too. The given bundle isn't changed, and in the returned (copy of the) bundle:
+ * - the converted resources replace the original ones in the entries, where the other entry elements (e.g.,
+ *   fullUrl, request, and search) are kept as they are. The entries without resources (e.g., DELETE requests
+ *   in a transaction) are kept as they are too.
+ * - the bundle meta is updated in the same way as for the converted resources, i.e., the meta.profile is
+ *   mapped to the target version, and the conversion is tagged (unless the tag_conv option is false).
+ * - with the provenance option, a Provenance resource is added (as an entry of the same bundle) for each
+ *   converted resource, whose target is the entry fullUrl, if any. The provenance entries have a POST request
+ *   in the transaction and batch bundles, and the search mode "include" in the searchset bundles.
+ * @param bundle the FHIR Bundle resource in json
+ * @param vFrom the FHIR version of the given bundle (and the resources in it)
+ * @param vTo the FHIR version to convert to
+ * @param options optional conversion options. See the description about the converter
+ *        function table at the top of this file for more details.
+ * @return the result object (see updateRetStatus()), with the following fields:
+ *         - status: the worst status of the entries, where the bundle is not returned (no data) if the
+ *           conversion of any of the entries is aborted (status -2).
+ *         - data: the converted bundle
+ *         - message: the messages of all the entries, where the paths are relative to the bundle, e.g.,
+ *           Bundle.entry[1].resource.item[0] for Questionnaire.item[0] in the second entry.
+ *         - entries: the per-entry results, one for each entry of the given bundle, in the same order, each
+ *           with the fields index, fullUrl (if any), resourceType and id (of the entry resource, if any), and
+ *           the status and message of the conversion of the entry resource, where the entries without
+ *           resources have status 1. For the nested bundles, the entries field is the per-entry results of
+ *           the nested bundle.
+ */
+function convertBundle(bundle, vFrom, vTo, options) {
+  let converted = {...bundle};
+  let bundleRet = {status: 1, data: converted, entries: []};
+  let provenanceEntries = [];
+
+  converted.entry = (Array.isArray(bundle.entry)? bundle.entry: []).map((ent, i) => {
+    let entRet = {index: i, status: 1};
+    if(ent?.fullUrl) {
+      entRet.fullUrl = ent.fullUrl;
+    }
+    bundleRet.entries.push(entRet);
+    if(! ent?.resource) {
+      return ent;
+    }
+
+    const result = convertResource(ent.resource, vFrom, vTo, options);
+    Object.assign(entRet, {resourceType: ent.resource.resourceType, id: ent.resource.id, status: result.status},
+      result.message && {message: result.message}, result.entries && {entries: result.entries});
+    updateRetStatus(bundleRet, result.status, result.message?.map(m => toBundleMsg(m, i)));
+    if(result.provenance) {
+      provenanceEntries.push(toProvenanceEntry(result.provenance, ent, bundle.type));
+    }
+    return result.data? {...ent, resource: result.data}: ent;
+  });
+  converted.entry.push(...provenanceEntries);
+  if(! bundle.entry && ! converted.entry.length) {
+    delete converted.entry;
+  }
+
+  if(bundleRet.status === -2) { // not to be returned with some resources not converted.
+    delete bundleRet.data;
+  }
+  else if(vFrom !== vTo) {
+    converted.meta = bundle.meta && cloneJson(bundle.meta);
+    const metaRet = applyAbortPolicy(updateMeta(converted, getConverter(vFrom, vTo)._versionChain, options, 'Bundle'), options);
+    updateRetStatus(bundleRet, metaRet.status, metaRet.message);
+    if(bundleRet.status === -2) {
+      delete bundleRet.data;
+    }
+  }
+
+  return bundleRet;
+}
+
+
+/**
+ * Convert the resources in the given NDJSON (newline delimited JSON, e.g., a FHIR Bulk Data export file)
+ * from version vFrom to version vTo, line by line, i.e., without reading all the resources into memory
+ * at once. Each line is converted with convertResource(), so that the resources other than questionnaires
+ * and questionnaire responses are passed through as they are (with a NOT_CONVERTED message). The empty
+ * lines are skipped.
+ * @param input the NDJSON text, as an iterable (or async iterable) of text chunks, where the chunks don't
+ *        need to be aligned with the lines, e.g., a Node.js file stream (fs.createReadStream()), or a list
+ *        of lines each ending with a line break. Binary chunks (e.g., Buffer or Uint8Array) are decoded
+ *        as UTF-8.
+ * @param vFrom the FHIR version of the resources
+ * @param vTo the FHIR version to convert to
+ * @param options optional conversion options. See the description about the converter
+ *        function table at the top of this file for more details.
+ * @return an async generator of the per-line results, each is the result object of the line (see
+ *         convertResource()), with the additional fields:
+ *         - line: the line number, starting from 1.
+ *         - id and resourceType: of the resource in the line, if any.
+ *         - output: the output line (without the line break), i.e., the converted resource in JSON, or the
+ *           line as it is if the resource isn't converted, or if the line isn't valid JSON (with status -2 and
+ *           an INVALID_INPUT message), so that nothing is lost from the output; undefined if the conversion
+ *           is aborted.
+ */
+async function* convertNdjson(input, vFrom, vTo, options) {
+  let lineNum = 0;
+  for await (let line of splitLines(input)) {
+    lineNum += 1;
+    if(! line.trim()) {
+      continue;
+    }
+    let res;
+    try {
+      res = JSON.parse(line);
+    }
+    catch(e) {
+      yield {status: -2, line: lineNum, output: line, message: [createMsg(`line ${lineNum}`, -2,
+        'Invalid JSON: ' + e.message, {code: MsgCode.INVALID_INPUT})]};
+      continue;
+    }
+    const result = convertResource(res, vFrom, vTo, options);
+    yield {...result, line: lineNum, id: res?.id, resourceType: res?.resourceType,
+      output: result.data === res? line: result.data && JSON.stringify(result.data)};
+  }
+}
+
+
+/**
+ * Split the given text chunks into lines.
+ * @param input the text chunks, see convertNdjson().
+ * @return an async generator of the lines (without the line breaks).
+ */
+async function* splitLines(input) {
+  const decoder = new TextDecoder();
+  let rest = '';
+  for await (let chunk of input) {
+    let lines = (rest + (typeof chunk === 'string'? chunk: decoder.decode(chunk, {stream: true}))).split('\n');
+    rest = lines.pop();
+    yield* lines.map(line => line.replace(/\r$/, ''));
+  }
+  rest += decoder.decode();
+  if(rest) {
+    yield rest.replace(/\r$/, '');
+  }
+}
+
+
+/**
+ * Make a copy of the given message (of the conversion of a bundle entry resource), with the path relative to
+ * the bundle, e.g., Questionnaire.item[0] becomes Bundle.entry[1].resource.item[0] for the second entry.
+ * @param msg the message object, see createMsg().
+ * @param index the index of the entry in the bundle
+ * @return the copy of the message, with the path relative to the bundle.
+ */
+function toBundleMsg(msg, index) {
+  const entryPath = `Bundle.entry[${index}].resource`;
+  const dot = msg.path?.indexOf('.');
+  return {...msg, path: entryPath + (dot > 0? msg.path.substring(dot): '')};
+}
+
+
+/**
+ * Create the bundle entry for the given Provenance resource of the (converted) resource in the given entry.
+ * @param provenance the Provenance resource, see the provenance option.
+ * @param ent the bundle entry of the converted resource, whose fullUrl (if any) is used as the provenance target.
+ * @param bundleType the bundle type, for adding the entry request (transaction and batch bundles) or the
+ *        entry search mode (searchset bundles).
+ * @return the bundle entry
+ */
+function toProvenanceEntry(provenance, ent, bundleType) {
+  if(ent.fullUrl) {
+    provenance.target[0].reference = ent.fullUrl;
+  }
+  let provEntry = {resource: provenance};
+  if(bundleType === 'transaction' || bundleType === 'batch') {
+    provEntry.request = {method: 'POST', url: 'Provenance'};
+  }
+  else if(bundleType === 'searchset') {
+    provEntry.search = {mode: 'include'};
+  }
+  return provEntry;
+}
+
+
+/**
+ * Convert the given questionnaire from version vFrom to vTo and back to vFrom, and compare the result against
+ * the given questionnaire to find out what doesn't survive the round trip. The base resource profiles in
+ * meta.profile and the conversion tags (see updateMeta()) are ignored in the comparison.
+ * @param qnJson the FHIR questionnaire (or questionnaire response) resource in json
+ * @param vFrom the FHIR version of the input questionnaire
+ * @param vTo the FHIR version to convert to (and back from)
+ * @param options optional conversion options, used in both conversions. See the description about the
+ *        converter function table at the top of this file for more details.
+ * @param resourceType optional, the type of the resource to convert, see convert().
+ * @return an object with the following fields:
+ *         - lossless: true if the round trip result is the same as the input, false otherwise.
+ *         - differences: the list of differences between the input and the round trip result, each has
+ *           the fields path, type (removed, added, or changed), original, and other (the round trip value).
+ *           See diffResources() in qnvconv_diff.js for more details.
+ *         - forward: the result object of the conversion from vFrom to vTo, see convert().
+ *         - backward: the result object of the conversion from vTo back to vFrom, see convert(), or null
+ *           if the conversion from vFrom to vTo is aborted.
+ *         - aborted: "forward" or "backward", the conversion that is aborted (status -2), if any, in which
+ *           case lossless is false and the differences list is empty.
+ */
+function roundTrip(qnJson, vFrom, vTo, options, resourceType) {
+  const forward = convert(qnJson, vFrom, vTo, options, resourceType);
+  const backward = forward.data? convert(forward.data, vTo, vFrom, options, resourceType): null;
+  if(! backward?.data) {
+    return {lossless: false, differences: [], forward, backward, aborted: backward? 'backward': 'forward'};
+  }
+  const differences = diffResources(withoutConversionMeta(qnJson), withoutConversionMeta(backward.data));
+  return {lossless: ! differences.length, differences, forward, backward};
+}
+
+
+/**
+ * Make a copy of the given resource without the meta elements set by updateMeta(), i.e., the base resource
+ * profiles in meta.profile and the conversion tags. The meta element itself is dropped too if nothing else
+ * is left in it.
+ * @param res the resource
+ * @return the copy of the resource without the conversion meta elements.
+ */
+function withoutConversionMeta(res) {
+  let copy = cloneJson(res);
+  if(copy.meta) {
+    copy.meta.profile = copy.meta.profile?.filter?.(p => ! isBaseProfile(p, copy.resourceType));
+    if(! copy.meta.profile?.length) {
+      delete copy.meta.profile;
+    }
+    copy.meta.tag = copy.meta.tag?.filter(t => ! t.code?.startsWith(CONV_TAG_PREFIX));
+    if(! copy.meta.tag?.length) {
+      delete copy.meta.tag;
+    }
+    if(! Object.keys(copy.meta).length) {
+      delete copy.meta;
+    }
+  }
+  return copy;
+}
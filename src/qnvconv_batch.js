@@ -0,0 +1,241 @@
+// Batch conversion of many resources (e.g., the files in a questionnaire repository), spread over a pool of
+// worker threads (Node.js worker_threads), see convertBatch(). The results are returned in the order of the
+// inputs, regardless of the order in which the workers finish them.
+// This module is for Node.js only (unlike qnvconv.js), and it's also the script of the worker threads.
+
+import * as fs from 'fs';
+import { Worker, isMainThread, parentPort, workerData } from 'worker_threads';
+import { getConverter, convertResource, roundTrip, detectVersion, supportedVersions, supportedResourceTypes } from './qnvconv.js';
+import { toConvOptions } from './cli_config.js';
+
+export {
+  convertBatch,
+  findRoundTripLosses
+}
+
+// the maximum number of inputs (per worker) dispatched ahead of the next result to be returned, which limits
+// the results held in memory while waiting for a slower input ahead of them.
+const MAX_AHEAD_PER_WORKER = 4;
+
+
+/**
+ * Convert the given inputs from version vFrom to version vTo, in worker threads if jobs > 1. Each input is
+ * converted with convertResource() (see qnvconv.js), i.e., the inputs can be questionnaires, questionnaire
+ * responses, or bundles, and the other resources are returned as they are. An input that can't be processed
+ * (e.g., invalid JSON) is reported with its error, and doesn't stop the others from being processed.
+ * @param inputs the list of the inputs, each is one of the following:
+ *        - a file path (string) of a JSON resource (or bundle)
+ *        - a resource (object with resourceType)
+ *        - an object with the following fields:
+ *          - file or resource: the input, as above, where the file (if given with the resource) is only for
+ *            identifying the resource, e.g., in the round trip losses.
+ *          - options: optional, the conversion options for the input, which are applied over the given options.
+ *          - cliOptions: optional, the command line options (see convOptionTable in cli_config.js) for the input,
+ *            which are converted to the conversion options in the worker (and applied over the above options),
+ *            e.g., {valueSetDir: 'my-valuesets'} for the valueSetResolver option, which can't be passed to the
+ *            worker threads, since it's a function.
+ *          - roundTrip: optional, whether to check the round trip conversion, see findRoundTripLosses().
+ *          - withSource: optional, whether to return the source resource (e.g., for a report of the changes).
+ * @param vFrom the FHIR version of the inputs, or "auto" to detect the version of each input.
+ * @param vTo the FHIR version to convert to
+ * @param options optional conversion options. See the description about the converter function table in
+ *        qnvconv.js for more details. With jobs > 1, the options are copied to the worker threads, so they
+ *        can't have functions (e.g., valueSetResolver), see the cliOptions above.
+ * @param jobs optional, the number of worker threads, default to 1, in which case the inputs are converted in
+ *        the current thread, one by one. It's capped at the number of inputs.
+ * @return an async generator of the results, in the order of the inputs, each is an object with the fields:
+ *         - index: the index of the input
+ *         - file: the file path, if the input is a file (or has the file).
+ *         - id, resourceType: the id and the resource type of the input resource.
+ *         - vFrom: the FHIR version of the input, the detected version if vFrom is "auto".
+ *         - confidence: the confidence of the version detection, if vFrom is "auto".
+ *         - result: the result object of the conversion, see convertResource(), or for the inputs already in
+ *           the target version (with vFrom "auto"), {status: 1, data: <the input resource>}.
+ *         - roundTripLosses: the resources that don't survive the round trip, if roundTrip is requested, see
+ *           findRoundTripLosses().
+ *         - source: the input resource, if withSource is requested.
+ *         - error: the error message, if the input can't be processed, e.g., invalid JSON, unable to detect
+ *           the FHIR version, or the worker failed, in which case there is no result.
+ */
+async function* convertBatch(inputs, vFrom, vTo, options, jobs = 1) {
+  jobs = Math.max(1, Math.min(jobs || 1, inputs.length));
+  if(jobs === 1) {
+    for(let index = 0; index < inputs.length; ++index) {
+      yield {index, ...convertInput(inputs[index], vFrom, vTo, options)};
+    }
+    return;
+  }
+  if(Object.values(options || {}).some(v => typeof v === 'function')) {
+    throw new Error('The conversion options with functions (e.g., valueSetResolver) can\'t be passed to the worker ' +
+      'threads, see the cliOptions of the inputs in convertBatch()');
+  }
+
+  yield* convertInWorkers(inputs, vFrom, vTo, options, jobs);
+}
+
+
+/**
+ * Convert the given inputs in the given number of worker threads, see convertBatch().
+ * @param inputs the list of the inputs, see convertBatch().
+ * @param vFrom the FHIR version of the inputs, or "auto".
+ * @param vTo the FHIR version to convert to
+ * @param options optional conversion options, without functions.
+ * @param jobs the number of worker threads (> 1).
+ * @return an async generator of the results, in the order of the inputs, see convertBatch().
+ */
+async function* convertInWorkers(inputs, vFrom, vTo, options, jobs) {
+  let results = new Map(); // the results not returned yet, by the input index
+  let nextInput = 0, nextResult = 0;
+  let notify = null; // to resume the generator waiting for the next result
+  let closing = false;
+
+  const dispatch = (worker) => {
+    worker.index = nextInput < inputs.length && nextInput < nextResult + jobs * MAX_AHEAD_PER_WORKER? nextInput++: null;
+    if(worker.index !== null) {
+      worker.postMessage({index: worker.index, input: inputs[worker.index]});
+    }
+  };
+  const onDone = (index, result) => {
+    results.set(index, {index, ...result});
+    notify?.();
+  };
+  const startWorker = () => {
+    let worker = new Worker(new URL(import.meta.url), {workerData: {vFrom, vTo, options}});
+    worker.on('message', ({index, result}) => {
+      onDone(index, result);
+      dispatch(worker);
+    });
+    worker.on('error', (e) => { // e.g., out of memory, the input is reported as failed and the worker replaced
+      if(closing) {
+        return;
+      }
+      if(worker.index !== null) {
+        onDone(worker.index, {file: inputFile(inputs[worker.index]), error: 'worker failed: ' + e.message});
+      }
+      workers[workers.indexOf(worker)] = startWorker();
+    });
+    dispatch(worker);
+    return worker;
+  };
+
+  let workers = [];
+  for(let i = 0; i < jobs; ++i) {
+    workers.push(startWorker());
+  }
+  try {
+    while(nextResult < inputs.length) {
+      if(! results.has(nextResult)) {
+        await new Promise(resolve => notify = resolve);
+        continue;
+      }
+      const result = results.get(nextResult);
+      results.delete(nextResult++);
+      workers.filter(w => w.index === null).forEach(dispatch); // idle workers waiting for the results returned
+      yield result;
+    }
+  }
+  finally {
+    closing = true;
+    await Promise.all(workers.map(w => w.terminate()));
+  }
+}
+
+
+/**
+ * Get the file path of the given input, if it's a file.
+ * @param input the input, see convertBatch().
+ * @return the file path, or undefined if the input isn't a file.
+ */
+function inputFile(input) {
+  return typeof input === 'string'? input: input?.file;
+}
+
+
+// the conversion options created from the cliOptions, keyed by the cliOptions in JSON, e.g., for reusing
+// the ValueSet resolvers (see createValueSetResolver() in cli_util.js) across the inputs.
+const convOptionsCache = new Map();
+
+
+/**
+ * Convert the given input, see convertBatch().
+ * @param input the input, see convertBatch().
+ * @param vFrom the FHIR version of the input, or "auto".
+ * @param vTo the FHIR version to convert to
+ * @param options optional conversion options.
+ * @return the result, see convertBatch(), without the index.
+ */
+function convertInput(input, vFrom, vTo, options) {
+  const item = typeof input === 'string'? {file: input}: input?.resourceType? {resource: input}: input || {};
+  let ret = item.file !== undefined? {file: item.file}: {};
+  try {
+    const resource = item.resource || JSON.parse(fs.readFileSync(item.file, 'utf8'));
+    Object.assign(ret, {id: resource.id, resourceType: resource.resourceType, vFrom});
+    if(vFrom === 'auto') {
+      const detected = detectVersion(resource);
+      if(! detected.version) {
+        throw new Error('unable to detect the FHIR version');
+      }
+      Object.assign(ret, {vFrom: detected.version, confidence: detected.confidence});
+    }
+
+    if(! getConverter(ret.vFrom, vTo) && ! (vFrom === 'auto' && ret.vFrom === vTo)) {
+      throw new Error(`unable to convert from ${ret.vFrom} to ${vTo}, versions currently supported: ${supportedVersions}`);
+    }
+    let convOptions = {...options, ...item.options};
+    if(item.cliOptions) {
+      const key = JSON.stringify(item.cliOptions);
+      convOptionsCache.has(key) || convOptionsCache.set(key, toConvOptions(item.cliOptions));
+      Object.assign(convOptions, convOptionsCache.get(key));
+    }
+    const converted = ! (vFrom === 'auto' && ret.vFrom === vTo); // already in the target version otherwise
+    ret.result = converted? convertResource(resource, ret.vFrom, vTo, convOptions): {status: 1, data: resource};
+    if(item.roundTrip && converted) {
+      ret.roundTripLosses = findRoundTripLosses(resource, ret.vFrom, vTo, [item.file ?? ''], convOptions);
+    }
+    if(item.withSource) {
+      ret.source = resource;
+    }
+  }
+  catch(e) { // e.g., invalid JSON file, so that one bad input doesn't stop the others from being processed.
+    ret.error = e.message;
+  }
+  return ret;
+}
+
+
+/**
+ * Check if the given resource (or resources if it's a bundle) survives the round trip conversion, i.e., from
+ * vFrom to vTo and back to vFrom, see roundTrip() in qnvconv.js.
+ * @param res a questionnaire (or questionnaire response) resource or a bundle
+ * @param vFrom the FHIR version of the resource
+ * @param vTo the FHIR version to convert to (and back from)
+ * @param parentIdPath the id path of the parent (file name or bundle), for identifying the resource.
+ * @param options optional conversion options, used in both conversions.
+ * @return the list of the resources that don't survive the round trip, each as an object with the fields idPath
+ *         (e.g., my-file.json.my-bundle.my-qn), differences, and aborted (if either conversion is aborted), see
+ *         roundTrip() in qnvconv.js.
+ */
+function findRoundTripLosses(res, vFrom, vTo, parentIdPath, options) {
+  const idPath = [...parentIdPath, res.id || '#unknown#'];
+  let losses = [];
+  if(res.resourceType === 'Bundle') {
+    (res.entry || []).forEach(ent => ent?.resource &&
+      losses.push(...findRoundTripLosses(ent.resource, vFrom, vTo, idPath, options)));
+  }
+  else if(supportedResourceTypes.includes(res.resourceType)) {
+    const {lossless, differences, aborted} = roundTrip(res, vFrom, vTo, options);
+    if(! lossless) {
+      losses.push({idPath: idPath.join('.'), differences, ...(aborted && {aborted})});
+    }
+  }
+  return losses;
+}
+
+
+// The worker thread, which converts the inputs posted to it, one at a time, see convertInWorkers().
+if(! isMainThread && parentPort) {
+  const {vFrom, vTo, options} = workerData;
+  parentPort.on('message', ({index, input}) => {
+    parentPort.postMessage({index, result: convertInput(input, vFrom, vTo, options)});
+  });
+}
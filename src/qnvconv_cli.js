@@ -1,140 +1,434 @@
 
 
 // Command line interface for FHIR Questionnaire resources conversion between versions.
-// As of 2025-02-07, it supports conversion between any of these versions: STU3, R4, and R5.
+// It supports conversion between any of the versions in supportedVersions (see qnvconv.js).
 // See the commander description below on the usage details.
 
 
 import * as fs from 'fs';
 import * as path from'path';
-import { program as commander} from "commander";
+import { once } from 'events';
+import { text } from 'stream/consumers';
+import { program as commander, InvalidArgumentError } from "commander";
 
-import { getConverter, supportedVersions } from './qnvconv.js';
-import { updateRetStatus, createMsg } from './qnvconv_common.js';
+import { getConverter, convertNdjson, toOperationOutcome, createHtmlReport, supportedVersions } from './qnvconv.js';
+import { convertBatch } from './qnvconv_batch.js';
+import { updateRetStatus } from './qnvconv_common.js';
 import { newPathFrom } from'./cli_util.js';
+import { CONFIG_FILE_NAME, convOptionTable, loadConfig, createOptionsResolver } from './cli_config.js';
+import { FailOn, createSummary, addFileResult, toSummaryCsv, toFailOnThreshold, toExitCode } from './cli_summary.js';
+
+// the logger for the progress and the conversion messages, which is switched to stderr when the converted
+// resource is written to stdout, so that stdout has the converted resource (JSON) only.
+let logger = console;
 
 commander.showHelpAfterError(); // instruct commander to show full help message on invalid command line arguments.
 commander
   .option('-v, --verbosity <number>', 'message display level: 0 - very brief; 1 - brief; 2 - detailed.',
     (x)=>parseInt(x), 1) // there seems to be a bug, using parseInt alone doesn't work when option value equals default.
   .option('-p, --pretty', 'whether to enable pretty print when writing results to file', false)
-  .argument('<version-from>', 'the FHIR version for the input questionnaires')
+  .option('--outcome', 'whether to also write the conversion status and messages as a FHIR OperationOutcome ' +
+    'resource next to each output file, e.g., my-file-R5-outcome.json', false)
+  .option('--round-trip', 'whether to also convert each resource back to the source version and report the ' +
+    'differences from the input, i.e., what would not survive the round trip', false)
+  .option('--html-report', 'whether to also write an HTML report of the changes (item by item, with the ' +
+    'conversion messages) next to each output file, e.g., my-file-R5-report.html', false)
+  .option('--config <file>', 'the config file for the default options, and the options for the input files ' +
+    `matching given glob patterns, default to ${CONFIG_FILE_NAME} in the current directory, if any. See ` +
+    'src/cli_config.js for the details')
+  .option('--summary <file>', 'the JSON file for the summary report of the conversions (the files processed, ' +
+    'ignored, and failed, with the status and message counts), which is also written in CSV next to it, ' +
+    'default to qnvconv-summary.json in the output-dir')
+  .option('--ndjson', 'whether the input from stdin is NDJSON (one resource per line), e.g., from a FHIR Bulk Data ' +
+    'export, as the .ndjson input files', false)
+  .option('--report <file>', 'the JSON file for the conversion status and messages of each input file, e.g., ' +
+    'for reading the input from stdin and writing the output to stdout, where the progress and the messages ' +
+    'are displayed on stderr')
+  .option('--fail-on <status>', 'exit with a non-zero code (1: warning; 2: loss; 3: aborted or failed) if the ' +
+    `worst status is at or below the given status, one of: ${Object.keys(FailOn).join(', ')}`, checkFailOn, 'aborted')
+  .option('-j, --jobs <number>', 'the number of worker threads for converting the .json files in parallel, where ' +
+    'the results are still reported (and written) in the order of the input files', (x)=>parseInt(x), 1);
+// the conversion options, see the converter function table in qnvconv.js
+convOptionTable.forEach(o => commander.option(o.flags, o.description));
+commander
+  .argument('<version-from>', 'the FHIR version for the input questionnaires, or "auto" to detect the version ' +
+    'of each input file based on its content')
   .argument('<version-to>', 'the target version for the converted questionnaires')
-  .argument('<input-path>', 'the path for the input file or directory - only .json files will be processed.')
-  .argument('<output-dir>', 'output directory (must exist).')
-  .description('Converting questionnaire resources between FHIR versions. Note that the output files will be ' +
+  .argument('<input-path>', 'the path for the input file or directory - only .json and .ndjson (converted ' +
+    'line by line) files will be processed, or "-" to read a single resource (or bundle) from stdin')
+  .argument('<output-dir>', 'output directory (must exist), or "-" to write the converted resource to stdout, ' +
+    'where the input must be a single file (or stdin)')
+  .description('Converting questionnaire (and questionnaire response) resources between FHIR versions. Note that the output files will be ' +
     'put under the output-dir, where the output file names are created based on the input file names. ' +
     'For example, for converting input file "my-file.json" to R5, the output file name is "my-file-R5.json' )
-  .action((vFrom, vTo, inputPath, outputDir) => {
+  .action(async (vFrom, vTo, inputPath, outputDir) => {
     // console.log(JSON.stringify(commander.opts(), null, 4)); process.exit(0);
-    processPath(inputPath, outputDir, vFrom, vTo, commander.opts());
+    let opts = commander.opts();
+    if(! (opts.jobs >= 1)) {
+      commander.error('error: --jobs should be a positive number');
+    }
+    if(outputDir === '-') {
+      if(inputPath !== '-' && fs.statSync(inputPath).isDirectory()) {
+        commander.error('error: the input must be a single file (or "-" for stdin) for the output to stdout');
+      }
+      logger = new console.Console(process.stderr);
+    }
+    const configFile = opts.config || (fs.existsSync(CONFIG_FILE_NAME)? CONFIG_FILE_NAME: null);
+    const config = configFile && loadConfig(configFile);
+    opts.lossyRoundTrips = []; // the resources that don't survive the round trip, if opts.roundTrip.
+    opts.batchSummary = createSummary(); // the summary report of the conversions, see cli_summary.js
+    opts.fileReports = []; // the conversion status and messages of each input file, for opts.report
+    opts.optionsFor = createOptionsResolver(opts, name => commander.getOptionValueSource(name) === 'cli', config);
+    await processPath(inputPath, outputDir, vFrom, vTo, opts);
+    if(opts.roundTrip) {
+      logger.log('==== Round trip %s -> %s -> %s: %d resource(s) with differences', vFrom, vTo, vFrom,
+        opts.lossyRoundTrips.length);
+      opts.lossyRoundTrips.forEach(lossy => lossy.aborted?
+        logger.log('%s: the %s conversion aborted', lossy.idPath, lossy.aborted):
+        logger.log('%s: %d difference(s)', lossy.idPath, lossy.differences.length));
+    }
+    if(opts.report) {
+      fs.writeFileSync(opts.report, JSON.stringify(opts.fileReports, null, 4));
+      logger.log('==== conversion report written to:', opts.report);
+    }
+    writeSummary(opts.batchSummary, opts.summary || (outputDir !== '-' && path.join(outputDir, 'qnvconv-summary.json')));
+    process.exitCode = toExitCode(opts.batchSummary, opts.failOn);
   })
-  .parse(process.argv);
+  .parseAsync(process.argv);
+
+
+/**
+ * Check the --fail-on value when the command line is parsed, i.e., before any input is read.
+ * @param failOn the --fail-on value
+ * @return the given value, if valid.
+ * @throws InvalidArgumentError if the value is invalid, which commander reports as a usage error.
+ */
+function checkFailOn(failOn) {
+  if(isNaN(toFailOnThreshold(failOn))) {
+    throw new InvalidArgumentError(`It should be one of: ${Object.keys(FailOn).join(', ')}, or a status (e.g., -1).`);
+  }
+  return failOn;
+}
 
 
 /**
- * Convert the resource (or resources) in the given path (file or directory).
+ * Convert the resource (or resources) in the given path (file or directory). The .json files are converted with
+ * convertBatch() (see qnvconv_batch.js), in opts.jobs worker threads, and the results are written (and reported)
+ * in the order of the files, as are the .ndjson files, which are converted line by line in the current thread.
  * @param inPath the input questionnaire file (or directory) name. Directories will be searched
- *        recursively for .json file to be processed.
+ *        recursively for .json and .ndjson files to be processed. "-" for reading a single resource from
+ *        stdin, or NDJSON with the --ndjson option.
  * @param outDir output directory - the output file names are created based on the input file names
  *        by adding the target FHIR version as file name suffix, e.g., if the input file name is
  *        my-qn.json and the target/output version is R5, the output file name will be: my-qn-R5.json
+ *        (stdin-R5.json for stdin). "-" for writing the converted resource to stdout.
  * @param vFrom the FHIR version of the input questionnaires
  * @param vTo the FHIR version of the output questionnaires
- * @param opts conversion options. Currently, there are two options, verbosity and pretty.
+ * @param opts the command line options (see the commander options above), plus the following:
+ *        - optionsFor: the function that gets the command line options for a given input file, with the
+ *          options from the config file applied, and convOptions, which is the options for the converters
+ *          (see the converter function table in qnvconv.js), see createOptionsResolver() in cli_config.js.
+ *        - lossyRoundTrips: the list for collecting the resources that don't survive the round trip
+ *          conversion (if opts.roundTrip), see findRoundTripLosses() in qnvconv_batch.js.
+ *        - batchSummary: the summary of the conversions, for the summary report, see cli_summary.js.
+ *        - fileReports: the list for collecting the conversion status and messages of each input file, each
+ *          with the fields file, and status, message, and entries (for bundles), or lines (for NDJSON files,
+ *          the status and messages of each line), or error (if failed).
+ * @return a promise that resolves when all the files in the path are processed.
  */
-function processPath(inPath, outDir, vFrom, vTo, opts) {
-  let stats = fs.statSync(inPath);
-  if (stats.isDirectory()) {
-    stats.num_dir += 1;
-    fs.readdirSync(inPath, {withFileTypes: true}).forEach(entry => {
+async function processPath(inPath, outDir, vFrom, vTo, opts) {
+  let files = [];
+  collectFiles(inPath, outDir, vTo, files, opts);
+  const stdinFile = files.find(f => f.inPath === '-' && f.ext === '.json' && ! f.error);
+  if(stdinFile) { // stdin can't be read in the worker threads, and may be non-blocking (e.g., a pipe or TTY)
+    try {
+      stdinFile.resource = JSON.parse(await text(process.stdin));
+    }
+    catch(e) {
+      stdinFile.error = e.message;
+    }
+  }
+  const resFiles = files.filter(f => f.ext === '.json' && ! f.error);
+  const batch = convertBatch(resFiles.map(f => toBatchInput(f, opts)), vFrom, vTo, null, opts.jobs);
+
+  try {
+    for(let {inPath, outPath, ext, fileOpts, error} of files) {
+      if(! ext) {
+        addFileResult(opts.batchSummary, inPath, {ignored: true});
+        logger.log('==== Ignoring: ', inPath);
+        continue;
+      }
+      try {
+        if(error) {
+          throw new Error(error);
+        }
+        const result = ext === '.ndjson'? await processNdjsonFile(inPath, outPath, vFrom, vTo, fileOpts):
+          writeResFile(inPath, outPath, (await batch.next()).value, vFrom, vTo, fileOpts);
+        addFileResult(opts.batchSummary, inPath, {result});
+        const {status, message, entries, lines} = result;
+        opts.fileReports.push({file: inPath, status, ...(lines? {lines}: {message: message || [], ...(entries && {entries})})});
+      }
+      catch(e) { // e.g., invalid JSON file, so that one bad file doesn't stop the others from being processed.
+        console.error('%s: failed to process the file, skipped: %s', inPath, e.message);
+        addFileResult(opts.batchSummary, inPath, {error: e.message});
+        opts.fileReports.push({file: inPath, error: e.message});
+      }
+    }
+  }
+  finally {
+    await batch.return(); // stops the worker threads, if any
+  }
+}
+
+
+/**
+ * Collect the files in the given path (file or directory), in the order they are to be processed, see
+ * processPath(). The directories that can't be read are reported as failed.
+ * @param inPath the input file or directory, or "-" for stdin.
+ * @param outDir output directory, or "-" for stdout, see processPath().
+ * @param vTo the FHIR version of the output questionnaires, for the output file names.
+ * @param files the list for collecting the files, each is an object with the fields inPath, and for the files
+ *        to be processed, ext (.json or .ndjson), outPath, and fileOpts (the command line options for the file,
+ *        see processPath()), where processPath() adds the resource (read from stdin), or error (the error message,
+ *        if stdin can't be read).
+ * @param opts the command line options, see processPath() for more details.
+ */
+function collectFiles(inPath, outDir, vTo, files, opts) {
+  let entries = null;
+  try { // e.g., broken links, or directories that can't be read.
+    entries = inPath !== '-' && fs.statSync(inPath).isDirectory()? fs.readdirSync(inPath, {withFileTypes: true}): null;
+  }
+  catch(e) {
+    console.error('%s: failed to read, skipped: %s', inPath, e.message);
+    addFileResult(opts.batchSummary, inPath, {error: e.message});
+    opts.fileReports.push({file: inPath, error: e.message});
+    return;
+  }
+
+  if(entries) {
+    opts.batchSummary.dirsProcessed += 1;
+    for(let entry of entries) {
       let subOutDir = entry.isDirectory()? path.join(outDir, entry.name): outDir;
-      processPath(path.join(inPath, entry.name), subOutDir, vFrom, vTo, opts);
-    });
+      collectFiles(path.join(inPath, entry.name), subOutDir, vTo, files, opts);
+    }
   }
-  else if(inPath.match(/.+\.json$/)) {
-    stats.num_json_file += 1;
-    const outPath = newPathFrom(inPath, outDir, '-' + vTo, '.json');
-    processResFile(inPath, outPath, vFrom, vTo, opts);
+  else if(inPath === '-' || inPath.match(/.+\.(nd)?json$/)) {
+    const ext = inPath.endsWith('.ndjson') || inPath === '-' && opts.ndjson? '.ndjson': '.json';
+    const file = inPath === '-'? 'stdin' + ext: inPath;
+    files.push({inPath, ext, outPath: outDir === '-'? '-': newPathFrom(file, outDir, '-' + vTo, ext),
+      fileOpts: opts.optionsFor(file)});
   }
   else {
-    stats.num_file_ignored += 1;
-    console.log('==== Ignoring: ', inPath);
+    files.push({inPath});
   }
 }
 
 
 /**
- * Process the given file, which can be a single resource or a bundle.
- * @param inPath the input json file name
- * @param outPath the output file name
- * @param vFrom the FHIR version of the input questionnaires
- * @param vTo the FHIR version of the output questionnaires
- * @param opts conversion options, currently only has one option, verbosity
- * @return true if successful, false if error(s) occurred
+ * Create the input of convertBatch() (see qnvconv_batch.js) for the given file.
+ * @param file the file to be converted, see collectFiles().
+ * @param opts the command line options, see processPath() for more details.
+ * @return the input of convertBatch(), where the conversion options are passed as the command line options,
+ *         since some of them (e.g., valueSetResolver) can't be passed to the worker threads.
+ */
+function toBatchInput({inPath, resource, fileOpts}, opts) {
+  const cliOptions = Object.fromEntries(convOptionTable.filter(o => fileOpts[o.name] !== undefined)
+    .map(o => [o.name, fileOpts[o.name]]));
+  return {file: inPath, ...(resource && {resource}), cliOptions, roundTrip: opts.roundTrip,
+    withSource: opts.htmlReport};
+}
+
+
+/**
+ * Write the summary report of the conversions, in JSON and in CSV (with the .csv extension, next to the
+ * JSON file), and display the totals.
+ * @param summary the summary of the conversions, see createSummary() in cli_summary.js.
+ * @param summaryPath the path of the JSON summary report, or null if the report isn't to be written (the totals
+ *        are still displayed), e.g., when writing to stdout.
  */
-function processResFile(inPath, outPath, vFrom, vTo, opts) {
-  console.log('==== converting', inPath);
-  let converter = getConverter(vFrom, vTo);
-  if(! converter) {
-    console.error('Unable to convert from %s to %s. Versions currently supported:', vFrom, vTo, supportedVersions);
-    return false;
+function writeSummary(summary, summaryPath) {
+  logger.log('==== %d file(s) processed, %d ignored, %d failed; status counts: %s',
+    summary.filesProcessed, summary.filesIgnored, summary.filesFailed, JSON.stringify(summary.statusCounts));
+  if(! summaryPath) {
+    return;
   }
+  fs.mkdirSync(path.dirname(summaryPath), {recursive: true});
+  fs.writeFileSync(summaryPath, JSON.stringify(summary, null, 4));
+  const csvPath = summaryPath.replace(/(\.json)?$/, '.csv');
+  fs.writeFileSync(csvPath, toSummaryCsv(summary));
+  logger.log('==== summary report written to: %s and %s', summaryPath, csvPath);
+}
+
 
-  let resource = JSON.parse(fs.readFileSync(inPath));
-  let result = convertResource(resource, converter, null, opts);
+/**
+ * Write (and report) the conversion result of the given file, which can be a single resource or a bundle.
+ * @param inPath the input json file name, or "-" for stdin
+ * @param outPath the output file name, or "-" for stdout, in which case the other output files (e.g., the
+ *        outcome and the provenance) aren't written, see the --report option for the status and messages.
+ * @param item the conversion result of the file from convertBatch(), see qnvconv_batch.js.
+ * @param vFrom the FHIR version of the input questionnaires, or "auto" to detect it from the file content.
+ * @param vTo the FHIR version of the output questionnaires
+ * @param opts the command line options and the converter options (convOptions) for the file, see processPath()
+ *        for more details.
+ * @return the result object of the conversion, see convertResource() in qnvconv.js. An error is thrown if
+ *         the file can't be processed, e.g., invalid JSON, or unable to detect the FHIR version.
+ */
+function writeResFile(inPath, outPath, item, vFrom, vTo, opts) {
+  logger.log('==== converting', inPath);
+  if(item.error) {
+    throw new Error(item.error);
+  }
+  const result = item.result;
+  const converted = vFrom !== 'auto' || item.vFrom !== vTo;
+  if(vFrom === 'auto') {
+    logger.log('Detected FHIR version %s (confidence: %s)', item.vFrom, item.confidence.toFixed(2));
+  }
+  if(! converted) { // written to the output as is.
+    logger.log('%s: already in version %s, no conversion needed.', inPath, vTo);
+  }
+  else {
+    reportResult(result, item.id, null, opts);
+    for(let lossy of item.roundTripLosses || []) {
+      opts.lossyRoundTrips.push(lossy);
+      if(opts.verbosity > 0 && lossy.aborted) {
+        logger.log('Round trip aborted in the %s conversion for %s\n', lossy.aborted, lossy.idPath);
+      }
+      else if(opts.verbosity > 0) {
+        logger.log('Round trip differences for %s:\n%s\n', lossy.idPath,
+          lossy.differences.map(d => [d.type, d.path].join(' | ')).join('\n'));
+      }
+    }
+  }
 
-  if(result.data) {
+  if(result.data && outPath === '-') {
+    process.stdout.write(JSON.stringify(result.data, null, opts.pretty? 4: 0) + '\n');
+    if(opts.outcome || opts.htmlReport || result.provenance) {
+      logger.log('==== the outcome, HTML report, and provenance files are not written for the output to stdout');
+    }
+  }
+  else if(result.data) {
     fs.mkdirSync(path.dirname(outPath), {recursive: true});
     fs.writeFileSync(outPath, JSON.stringify(result.data, null, opts.pretty? 4: 0));
-    console.log('==== converted questionnaire written to:', outPath);
+    logger.log('==== converted questionnaire written to:', outPath);
+    if(opts.outcome) {
+      const outcomePath = newPathFrom(outPath, null, '-outcome', '.json');
+      fs.writeFileSync(outcomePath, JSON.stringify(toOperationOutcome(result), null, opts.pretty? 4: 0));
+      logger.log('==== conversion outcome written to:', outcomePath);
+    }
+    if(opts.htmlReport && converted) { // not for the files already in the target version
+      const reportPath = newPathFrom(outPath, null, '-report', '.json').replace(/\.json$/, '.html');
+      fs.writeFileSync(reportPath, createHtmlReport(item.source, result, item.vFrom, vTo, path.basename(inPath)));
+      logger.log('==== HTML report written to:', reportPath);
+    }
+    if(result.provenance) { // for single resources, the provenances of the bundle entries are in the bundle.
+      const provenancePath = newPathFrom(outPath, null, '-provenance', '.json');
+      fs.writeFileSync(provenancePath, JSON.stringify(result.provenance, null, opts.pretty? 4: 0));
+      logger.log('==== provenance written to:', provenancePath);
+    }
   }
   else {
     console.error('%s: result.data not set, conversion might have failed.', inPath);
-    return false;
   }
-  return true;
+  return result;
 }
 
 
 /**
- * Convert the questionnaire resource (or resources if it's a bundle) using the given version converter.
- * Note that resources that aren't questionnaires will not be changed and returned as they are.
- * @param res a questionnaire resource or a bundle
- * @param converter the converter to use.
- * @param parentIdPath optional, it should be provided if and only if the given resource is in a bundle,
- *        and this path is the resource id path starting from the top level.
- *        It's used to put a context in the displayed messages.
- * @param opts conversion options, currently only has one option, verbosity
- * @return the result object as described in updateRetStatus(). Specifically, the data field is the
- *         converted resource.
+ * Process the given NDJSON file (one resource per line, e.g., from a FHIR Bulk Data export), line by line,
+ * i.e., without reading the whole file into memory, see convertNdjson() in qnvconv.js. The lines that aren't
+ * questionnaires (or questionnaire responses) are written to the output as they are, and the provenances (if
+ * the provenance option is on) are written to a separate NDJSON file next to the output file, e.g.,
+ * my-file-R5-provenance.ndjson.
+ * @param inPath the input NDJSON file name, or "-" for stdin
+ * @param outPath the output file name, or "-" for stdout, in which case the provenances aren't written.
+ * @param vFrom the FHIR version of the input resources ("auto" isn't supported for NDJSON files).
+ * @param vTo the FHIR version of the output resources
+ * @param opts the command line options and the converter options (convOptions) for the file, see processPath()
+ *        for more details.
+ * @return a promise of the result object of the file, with the worst status of the lines, the messages of all
+ *         the lines (each with the line number in the line field), and the lines field, the list of the
+ *         per-line results, each with the fields line, id, resourceType, status, and message. The promise is
+ *         rejected if the file can't be processed, e.g., unable to read.
  */
-function convertResource(res, converter, parentIdPath, opts) {
-  if(res.resourceType === 'Questionnaire') {
-    let result = converter(res);
-    let idPath = [...(parentIdPath || []), res.id].join('.');
-    if(opts.verbosity > 0) {
-      console.log('Conversion status for %s: %s (1: success; 0: with-warning; -1: with-loss)', idPath, result.status);
-    }
-    if(opts.verbosity > 1) { // slightly formatted warning/error message recorded during conversion.
-      console.log('Conversion messages for %s:\n%s\n', idPath,
-        (result.message || []).map(m => [m.status || ' 0', m.ctxId, m.text].join(' | ')).join('\n') || '[]');
-    }
-    return result;
-  }
-  else if(res.resourceType === 'Bundle') {
-    parentIdPath = [...(parentIdPath || []), res.id || '#unknown-bundle#'];
-    let bundleRet = {status: 1, data: res};
-    res.entry.forEach(ent => {
-      let result = convertResource(ent.resource, converter, parentIdPath, opts);
-      ent.resource = result.data;
-      updateRetStatus(bundleRet, result.status, result.message);
-    });
-    return bundleRet;
+async function processNdjsonFile(inPath, outPath, vFrom, vTo, opts) {
+  logger.log('==== converting', inPath);
+  if(! getConverter(vFrom, vTo)) {
+    throw new Error(`unable to convert from ${vFrom} to ${vTo}, versions currently supported: ${supportedVersions}` +
+      (vFrom === 'auto'? ' (auto detection isn\'t supported for NDJSON)': ''));
   }
-  else {
-    let idPath =  [...(parentIdPath||[]), res.id || '#unknown-qn#'].join('.');
-    console.log('Not a Questionnaire nor a Bundle (returned as is): %s', idPath);
-    return {status: 0, data: res, message: [createMsg(idPath, 0, 'Not a Questionnaire nor bundle.')]}
+  if(outPath !== '-') {
+    fs.mkdirSync(path.dirname(outPath), {recursive: true});
+  }
+  const output = outPath === '-'? process.stdout: fs.createWriteStream(outPath);
+  const provenancePath = outPath !== '-' && newPathFrom(outPath, null, '-provenance', '.ndjson');
+  let provenanceOutput = null;
+  const write = async (stream, line) => {
+    if(! stream.write(line + '\n')) { // wait for the buffered lines to be written out
+      await once(stream, 'drain');
+    }
+  };
+  if(opts.roundTrip) {
+    logger.log('==== the round trip check is not supported for NDJSON files, skipped for:', inPath);
+  }
+
+  let fileRet = {status: 1, message: [], lines: []};
+  try {
+    const input = inPath === '-'? process.stdin: fs.createReadStream(inPath);
+    for await (let lineRet of convertNdjson(input, vFrom, vTo, opts.convOptions)) {
+      const {line, id, resourceType, status, message} = lineRet;
+      reportResult(lineRet, id, [`${inPath}:${line}`], opts);
+      fileRet.lines.push({line, id, resourceType, status, message: message || []});
+      updateRetStatus(fileRet, status, message?.map(m => ({...m, line})));
+      if(lineRet.output !== undefined) {
+        await write(output, lineRet.output);
+      }
+      if(lineRet.provenance && provenancePath) {
+        provenanceOutput = provenanceOutput || fs.createWriteStream(provenancePath);
+        await write(provenanceOutput, JSON.stringify(lineRet.provenance));
+      }
+    }
+  }
+  finally {
+    for(let stream of [output, provenanceOutput]) {
+      if(stream && stream !== process.stdout) {
+        stream.end();
+        await once(stream, 'close');
+      }
+    }
+  }
+  logger.log('==== %d line(s) processed, written to: %s', fileRet.lines.length, outPath === '-'? 'stdout': outPath);
+  if(provenanceOutput) {
+    logger.log('==== provenances written to:', provenancePath);
+  }
+  return fileRet;
+}
+
+
+/**
+ * Display the conversion status (and messages, depending on the verbosity) of the given resource, or of
+ * each of the resources if it's a bundle.
+ * @param result the result object of the conversion, see convertResource() in qnvconv.js, where the per-entry
+ *        results of a bundle are in the entries field.
+ * @param resId the id of the resource that has been converted, for the displayed messages.
+ * @param parentIdPath optional, it should be provided if and only if the given resource is in a bundle (or in
+ *        a line of an NDJSON file), and this path is the resource id path starting from the top level.
+ * @param opts the command line options and the converter options, see processPath() for more details.
+ */
+function reportResult(result, resId, parentIdPath, opts) {
+  if(result.entries) {
+    const idPath = [...(parentIdPath || []), resId || '#unknown-bundle#'];
+    result.entries.forEach(entRet => entRet.resourceType && reportResult(entRet, entRet.id, idPath, opts));
+    return;
+  }
+
+  const idPath = [...(parentIdPath || []), resId || '#unknown-qn#'].join('.');
+  if(opts.verbosity > 0) {
+    logger.log('Conversion status for %s: %s (1: success; 0: with-warning; -1: with-loss; -2: aborted)',
+      idPath, result.status);
+  }
+  if(opts.verbosity > 1) { // slightly formatted warning/error message recorded during conversion.
+    logger.log('Conversion messages for %s:\n%s\n', idPath,
+      (result.message || []).map(m => [m.status || ' 0', m.step, m.code, m.path || m.ctxId, m.text]
+        .filter(f => f !== undefined).join(' | ')).join('\n') || '[]');
   }
 }
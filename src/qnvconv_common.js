@@ -2,16 +2,57 @@
 // Common functions used by the converters.
 
 export {
+  MsgCode,
   createMsg,
   updateRetStatus,
   findChoiceX,
   findIntVerExts,
   toIntVerExtUrl,
   removeInterVerExts,
-  addExtension
+  addExtension,
+  copyElement,
+  moveElement,
+  deleteElement,
+  convertContained,
+  subItemsWithPaths,
+  checkInput,
+  cloneJson
 }
 
 
+// The message codes, i.e., the nature of the messages, see createMsg().
+const MsgCode = Object.freeze({
+  // an element (or some of its repetitions) is dropped, with no equivalent in the target version
+  DROPPED_ELEMENT: 'DROPPED_ELEMENT',
+  // an enableWhen operator (or a ValueSet filter operator) isn't supported in the target version
+  OPERATOR_UNSUPPORTED: 'OPERATOR_UNSUPPORTED',
+  // a data type, e.g., of enableWhen answer[x], isn't supported in the target version
+  TYPE_UNSUPPORTED: 'TYPE_UNSUPPORTED',
+  // converted to the closest construct in the target version, but the semantics may differ
+  APPROXIMATED: 'APPROXIMATED',
+  // a reference is converted to (or from) a canonical, or resolved to a canonical url
+  REFERENCE_CONVERTED: 'REFERENCE_CONVERTED',
+  // a reference can't be resolved, e.g., to a contained resource
+  REFERENCE_UNRESOLVED: 'REFERENCE_UNRESOLVED',
+  // enableWhen conditions are translated into an enableWhenExpression
+  EXPRESSION_TRANSLATED: 'EXPRESSION_TRANSLATED',
+  // an extension is converted to its equivalent (url and/or value type) in the target version, see qnvconv_extensions.js
+  EXTENSION_CONVERTED: 'EXTENSION_CONVERTED',
+  // an extension is dropped, with no equivalent in the target version, see qnvconv_extensions.js
+  EXTENSION_UNSUPPORTED: 'EXTENSION_UNSUPPORTED',
+  // a profile in meta.profile is removed, with no equivalent in the target version, see qnvconv_profiles.js
+  PROFILE_UNMAPPED: 'PROFILE_UNMAPPED',
+  // the input is invalid or incomplete, e.g., an inter-version extension without value, a missing required element
+  INVALID_INPUT: 'INVALID_INPUT',
+  // the conversion result isn't valid in the target version, see the validate option in qnvconv.js
+  INVALID_OUTPUT: 'INVALID_OUTPUT',
+  // the resource isn't converted, e.g., not a Questionnaire resource
+  NOT_CONVERTED: 'NOT_CONVERTED',
+  // the conversion is aborted due to an unexpected error, e.g., an exception from a converter
+  CONVERSION_ERROR: 'CONVERSION_ERROR'
+});
+
+
 /**
  * Find the choice type [X] key in the given object for the given prefix and optionally create a new
  * key name for the given toPrefix.
@@ -48,14 +89,27 @@ function findChoiceX(srcObj, srcPrefix, toPrefix) {
  * - status: the status code related to this message, the code definition is the same as that
  *           specified in updateRetStatus().
  * - text: the message text.
+ * - code: optional, the message code, one of the MsgCode values, for filtering and aggregating messages.
+ * - path: optional, the full path of the element the message is about, in the source resource, e.g.,
+ *         Questionnaire.item[2].item[0].enableWhen[1]
+ * - value: optional, the original value of the element that has been dropped (or changed).
+ * - step: optional, the conversion step that produced the message, e.g., R5->R4. It's added by the
+ *         chained converter (see getConverter() in qnvconv.js), not by the individual converters.
  * @param idOrCtx an id or context object (questionnaire resource or item) to identify whom the message is about.
  * @param status the conversion status code, see updateRetStatus() for more details
  * @param text the message text.
+ * @param details optional, an object with the optional fields code, path, and value, as described above.
  * @return the message object created.
  */
-function createMsg(idOrCtx, status, text) {
+function createMsg(idOrCtx, status, text, details) {
   const ctxId = typeof idOrCtx === 'string' && idOrCtx || idOrCtx?.linkId || idOrCtx?.id || 'unknown';
-  return {ctxId, status, text};
+  let msg = {ctxId, status, text};
+  for(let field of ['code', 'path', 'value']) {
+    if(details?.[field] !== undefined) {
+      msg[field] = details[field];
+    }
+  }
+  return msg;
 }
 
 
@@ -132,6 +186,9 @@ function removeInterVerExts(ele, fhirVer) {
       ele.extension.splice(i, 1);
     }
   }
+  if(len && ! ele.extension.length) { // an empty extension list isn't valid FHIR
+    delete ele.extension;
+  }
 }
 
 
@@ -144,3 +201,225 @@ function addExtension(ele, ive) {
   ele.extension = ele.extension || [];
   ele.extension.push(ive);
 }
+
+
+/**
+ * Copy the given element (field) to the given destination, along with its JSON underscore sibling (_field),
+ * if any, which holds the id and extensions (e.g., translations) of primitive elements. For repeating
+ * primitive elements, the _field is an array aligned with the element array, and is copied as it is.
+ * @param src the object that has the element
+ * @param srcField the element (field) name in src, e.g., initialString
+ * @param dest the object to copy the element to, may be the same as src.
+ * @param destField the element (field) name in dest, e.g., valueString
+ */
+function copyElement(src, srcField, dest, destField) {
+  if(src.hasOwnProperty(srcField)) {
+    dest[destField] = src[srcField];
+  }
+  if(src.hasOwnProperty('_' + srcField)) {
+    dest['_' + destField] = src['_' + srcField];
+  }
+}
+
+
+/**
+ * Move (rename) the given element (field), along with its JSON underscore sibling (_field), if any, e.g.,
+ * initialString and _initialString to initial[0].valueString and initial[0]._valueString.
+ * See copyElement() for more details.
+ * @param src the object that has the element
+ * @param srcField the element (field) name in src
+ * @param dest the object to move the element to, may be the same as src.
+ * @param destField the element (field) name in dest
+ */
+function moveElement(src, srcField, dest, destField) {
+  copyElement(src, srcField, dest, destField);
+  deleteElement(src, srcField);
+}
+
+
+/**
+ * Delete the given element (field) along with its JSON underscore sibling (_field), if any.
+ * @param ele the object that has the element
+ * @param field the element (field) name
+ */
+function deleteElement(ele, field) {
+  delete ele[field];
+  delete ele['_' + field];
+}
+
+
+/**
+ * Convert the contained resources of the given (already copied) resource, in place, using the given
+ * converters, which are for the same version step as the resource being converted. The contained resources
+ * whose types don't have a converter are left unchanged.
+ * The messages from the conversion of a contained resource are added to the returned result with the
+ * context id contained/<id> (or contained/<index> without id), e.g., contained/vs1, i.e., the contained
+ * resource, including the messages about its items, whose linkIds could be mixed up with those of the containing
+ * resource otherwise. The elements are located by the path, which is made relative to the containing resource,
+ * e.g., Questionnaire.contained[0].item[1].
+ * @param res the resource whose contained resources are to be converted.
+ * @param converters the converter functions keyed by the resource type, with the same signature as the
+ *        questionnaire converter functions, i.e., <converter_func>(resource, options), plus the container
+ *        (the given resource) as the third parameter, e.g., for resolving the references to the other
+ *        contained resources.
+ * @param options optional conversion options, to be passed to the converters.
+ * @return the "return object", see updateRetStatus() for more details
+ */
+function convertContained(res, converters, options) {
+  let ret = {status: 1, data: res};
+
+  (res.contained || []).forEach((contained, i) => {
+    const converter = converters[contained?.resourceType];
+    if(! converter) return;
+
+    const subRet = converter(contained, options, res);
+    res.contained[i] = subRet.data;
+    const ctxId = 'contained/' + (contained.id || i);
+    const pathPrefix = `${res.resourceType}.contained[${i}]`;
+    const messages = subRet.message?.map(m => ({...m, ctxId,
+      ...(m.path && {path: pathPrefix + m.path.replace(/^\w+/, '')})}));
+    updateRetStatus(ret, subRet.status, messages);
+  });
+
+  return ret;
+}
+
+
+/**
+ * Get the child items of the given questionnaire response item, i.e., the items nested under its answers
+ * and the items directly under it, along with their paths.
+ * @param item the questionnaire response item
+ * @param path the path of the item, e.g., QuestionnaireResponse.item[0]
+ * @return the list of [child item, child item path] pairs.
+ */
+function subItemsWithPaths(item, path) {
+  return [
+    ...(item.answer || []).flatMap((ans, i) =>
+      (ans.item || []).map((sub, j) => [sub, `${path}.answer[${i}].item[${j}]`])),
+    ...(item.item || []).map((sub, j) => [sub, `${path}.item[${j}]`])
+  ];
+}
+
+
+
+/**
+ * Check the given questionnaire (or questionnaire response) for the malformed input that the converters
+ * can't handle, e.g., item that isn't an array, enableWhen without question, or initial that isn't a list
+ * of objects. The contained resources are checked as well (only if they are questionnaires or
+ * questionnaire responses).
+ * Note that this is not a validation, see validateQuestionnaire() in qnvconv_validate.js for that.
+ * @param res the questionnaire (or questionnaire response) to check.
+ * @return the "return object", with status 1 if the input can be converted, or -2 otherwise, with a message
+ *         (with code INVALID_INPUT) that names the malformed element found. See updateRetStatus().
+ */
+function checkInput(res) {
+  const malformed = findMalformed(res, res?.resourceType || 'resource');
+  if(! malformed) {
+    return {status: 1, data: res};
+  }
+  return {status: -2, data: res, message: [createMsg(res, -2, `Conversion aborted: ${malformed.text} at ${malformed.path}`,
+    {code: MsgCode.INVALID_INPUT, path: malformed.path})]};
+}
+
+
+/**
+ * Find a malformed element in the given questionnaire (or questionnaire response), see checkInput().
+ * @param res the questionnaire (or questionnaire response) to check.
+ * @param resPath the path of the resource, e.g., Questionnaire, or Questionnaire.contained[0]
+ * @return null if no malformed element is found, or an object with the fields path and text (the problem).
+ */
+function findMalformed(res, resPath) {
+  if(! isObject(res)) {
+    return {path: resPath, text: 'expecting a resource object'};
+  }
+
+  const itemListFields = res.resourceType === 'QuestionnaireResponse'? ['extension', 'answer', 'item']:
+    ['extension', 'enableWhen', 'answerOption', 'option', 'initial', 'item'];
+  // A stack of [element, path, list fields to check], for checking the (nested) items iteratively.
+  let stack = [[res, resPath, ['extension', 'contained', 'item']]];
+  while(stack.length) {
+    const [ele, path, fields] = stack.pop();
+    for(let field of fields) {
+      if(ele[field] === undefined) continue;
+      if(! Array.isArray(ele[field])) {
+        return {path: `${path}.${field}`, text: 'expecting an array'};
+      }
+      for(let [i, entry] of ele[field].entries()) {
+        const entryPath = `${path}.${field}[${i}]`;
+        if(! isObject(entry)) {
+          return {path: entryPath, text: 'expecting an object'};
+        }
+        if(field === 'item' || field === 'answer') {
+          stack.push([entry, entryPath, field === 'answer'? ['item']: itemListFields]);
+        }
+        else if(field === 'enableWhen' && ! entry.question) {
+          return {path: entryPath, text: 'enableWhen without question'};
+        }
+        else if(field === 'contained' && (entry.resourceType === 'Questionnaire' ||
+            entry.resourceType === 'QuestionnaireResponse')) {
+          const malformed = findMalformed(entry, entryPath);
+          if(malformed) return malformed;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+
+/**
+ * Check if the given value is a (non-null, non-array) object.
+ * @param value the value to check
+ * @return true if it's an object, false otherwise.
+ */
+function isObject(value) {
+  return typeof value === 'object' && value !== null && ! Array.isArray(value);
+}
+
+
+/**
+ * Make a deep copy of the given JSON value (e.g., a resource), the same as JSON.parse(JSON.stringify(value)),
+ * but without the intermediate JSON string, i.e., undefined, function, and symbol values are dropped from
+ * objects (and become null in arrays), toJSON() is used when available (e.g., for Date), and the non-finite
+ * numbers become null. Also the same as JSON.stringify(), an error is thrown for BigInt values. And the same as
+ * JSON.parse(), an own "__proto__" key (e.g., from the parsed JSON) is copied as a plain property.
+ * @param value the JSON value to copy
+ * @return the copy of the value, or undefined if it has no JSON representation, e.g., undefined.
+ */
+function cloneJson(value) {
+  if(typeof value?.toJSON === 'function') {
+    value = value.toJSON();
+  }
+  if(typeof value === 'number') {
+    return isFinite(value)? value || 0: null; // -0 becomes 0 too, as in JSON
+  }
+  if(typeof value === 'bigint') {
+    throw new TypeError('Do not know how to serialize a BigInt');
+  }
+  if(typeof value !== 'object' || value === null) {
+    return typeof value === 'function' || typeof value === 'symbol'? undefined: value;
+  }
+
+  if(Array.isArray(value)) {
+    let copy = new Array(value.length);
+    for(let i = 0; i < value.length; ++i) {
+      const ele = cloneJson(value[i]);
+      copy[i] = ele === undefined? null: ele;
+    }
+    return copy;
+  }
+  let copy = {};
+  for(let key of Object.keys(value)) {
+    const ele = cloneJson(value[key]);
+    if(ele === undefined) {
+      continue;
+    }
+    if(key === '__proto__') { // the assignment would set the prototype of the copy
+      Object.defineProperty(copy, key, {value: ele, enumerable: true, writable: true, configurable: true});
+    }
+    else {
+      copy[key] = ele;
+    }
+  }
+  return copy;
+}
@@ -0,0 +1,148 @@
+// Detecting the FHIR version of Questionnaire (and QuestionnaireResponse) resources based on their content.
+// Each piece of evidence found in the resource is compatible with a set of FHIR versions and carries a
+// weight. The detected version is the one compatible with the most (weighted) evidence.
+
+import {getConversionHistory} from './qnvconv_history.js';
+
+export {
+  detectVersion
+}
+
+// The versions, in the order of preference when the evidence can't tell them apart, e.g., R4 and R4B
+// questionnaires are the same except for meta.profile.
+const versionsByPreference = ['R4', 'R5', 'STU3', 'R4B', 'R6'];
+
+const STU3_ONLY = ['STU3'];
+const R4_PLUS = ['R4', 'R4B', 'R5', 'R6'];
+const UP_TO_R4B = ['STU3', 'R4', 'R4B'];
+const R5_PLUS = ['R5', 'R6'];
+
+// Evidence weights: the declared versions (profiles and conversion tags) outweigh the structural evidence.
+const WEIGHT_DECLARED = 10;
+const WEIGHT_STRUCTURAL = 1;
+
+// The FHIR version path segments used in the (base) profile urls, e.g., http://hl7.org/fhir/4.0/StructureDefinition/...
+const profileVersionSegments = {
+  '3.0': 'STU3', 'stu3': 'STU3', 'STU3': 'STU3', '4.0': 'R4', 'R4': 'R4', '4.3': 'R4B', 'R4B': 'R4B',
+  '5.0': 'R5', 'R5': 'R5', '6.0': 'R6', 'R6': 'R6'
+};
+
+
+/**
+ * Detect the FHIR version of the given Questionnaire, QuestionnaireResponse, or Bundle of such resources,
+ * based on the following evidence found in the resource:
+ * - meta.profile, for the FHIR core profiles, e.g., http://hl7.org/fhir/4.0/StructureDefinition/Questionnaire
+ * - the conversion tags added by previous conversions, see getConversionHistory()
+ * - STU3 only elements, e.g., item.option, item.options, item.initial[x], enableWhen without operator
+ * - R4 (and later) elements, e.g., item.answerOption, item.answerValueSet, item.initial[], enableWhen.operator
+ * - R5 (and later) elements and codes, e.g., item type coding, item.answerConstraint
+ * - R4 (and earlier) item type codes choice and open-choice
+ * Note that R4 and R4B (and R5 and R6, to a lesser extent) can't be told apart without meta.profile or
+ * conversion tags, in which case, the earlier version is returned.
+ * @param resource the resource whose FHIR version is to be detected.
+ * @return an object with the following fields:
+ *         - version: the detected FHIR version, or null if there is no evidence for any version.
+ *         - confidence: a number between 0 and 1, which is the portion of the (weighted) evidence that
+ *           is compatible with the detected version; 0 if the version can't be detected.
+ *         - candidates: the list of versions that are equally compatible with the evidence, which
+ *           includes the detected version.
+ */
+function detectVersion(resource) {
+  let evidence = [];
+  collectEvidence(resource, evidence);
+
+  let totalWeight = evidence.reduce((acc, e) => acc + e.weight, 0);
+  if(! totalWeight) {
+    return {version: null, confidence: 0, candidates: []};
+  }
+
+  let scores = Object.fromEntries(versionsByPreference.map(v => [v, 0]));
+  for(let e of evidence) {
+    e.versions.forEach(v => scores[v] += e.weight);
+  }
+  let maxScore = Math.max(...Object.values(scores));
+  let candidates = versionsByPreference.filter(v => scores[v] === maxScore);
+
+  return {version: candidates[0], confidence: maxScore / totalWeight, candidates};
+}
+
+
+/**
+ * Collect the version evidence in the given resource (recursively for bundles).
+ * @param res the resource in which to look for the evidence.
+ * @param evidence the list of evidence found so far. Each piece of evidence has two fields:
+ *        versions (the list of versions compatible with it) and weight.
+ */
+function collectEvidence(res, evidence) {
+  if(res?.resourceType === 'Bundle') {
+    for(let ent of res.entry || []) {
+      collectEvidence(ent.resource, evidence);
+    }
+    return;
+  }
+  if(res?.resourceType !== 'Questionnaire' && res?.resourceType !== 'QuestionnaireResponse') {
+    return;
+  }
+
+  for(let profile of res.meta?.profile || []) {
+    if(typeof profile !== 'string') { // invalid, e.g., null, not evidence for any version
+      continue;
+    }
+    let ver = profileVersionSegments[profile.match(/^https?:\/\/hl7\.org\/fhir\/([^/]+)\/StructureDefinition\//)?.[1]];
+    if(ver) {
+      evidence.push({versions: [ver], weight: WEIGHT_DECLARED});
+    }
+  }
+
+  // Only the latest conversion matters, the resource may have been converted more than once.
+  let taggedVer = getConversionHistory(res).pop();
+  if(versionsByPreference.includes(taggedVer)) {
+    evidence.push({versions: [taggedVer], weight: WEIGHT_DECLARED});
+  }
+
+  const addEvidence = (versions) => evidence.push({versions, weight: WEIGHT_STRUCTURAL});
+  if(res.resourceType === 'Questionnaire') {
+    if(res.derivedFrom) addEvidence(R4_PLUS);
+    if(res.versionAlgorithmString || res.versionAlgorithmCoding || res.copyrightLabel) addEvidence(R5_PLUS);
+    for(let item of res.item || []) {
+      collectItemEvidence(item, addEvidence);
+    }
+  }
+  else {
+    if(res.questionnaire) addEvidence(typeof res.questionnaire === 'object'? STU3_ONLY: R4_PLUS);
+    if(res.parent || res.context) addEvidence(STU3_ONLY);
+    if(res.partOf || res.encounter) addEvidence(R4_PLUS);
+    if(res.identifier) addEvidence(Array.isArray(res.identifier)? R5_PLUS: UP_TO_R4B);
+  }
+}
+
+
+/**
+ * Collect the version evidence in the given questionnaire item, recursively.
+ * @param item the questionnaire item in which to look for the evidence.
+ * @param addEvidence the function for adding a piece of evidence, given the compatible versions.
+ */
+function collectItemEvidence(item, addEvidence) {
+  if(item.option || item.options) addEvidence(STU3_ONLY);
+  if(item.answerOption || item.answerValueSet) addEvidence(R4_PLUS);
+
+  if(Array.isArray(item.initial)) {
+    addEvidence(R4_PLUS);
+  }
+  else if(Object.keys(item).some(f => f.startsWith('initial') && f !== 'initial')) {
+    addEvidence(STU3_ONLY);
+  }
+
+  if(item.type === 'coding') addEvidence(R5_PLUS);
+  if(item.type === 'choice' || item.type === 'open-choice') addEvidence(UP_TO_R4B);
+  if(item.answerConstraint || item.disabledDisplay) addEvidence(R5_PLUS);
+  if(item.enableBehavior) addEvidence(R4_PLUS);
+
+  for(let ew of item.enableWhen || []) {
+    addEvidence(ew.operator? R4_PLUS: STU3_ONLY); // operator is required in R4 (and later)
+  }
+
+  for(let subItem of item.item || []) {
+    collectItemEvidence(subItem, addEvidence);
+  }
+}
@@ -0,0 +1,66 @@
+// Functions for the structural comparison of FHIR resources (in JSON), e.g., for comparing a questionnaire
+// against the result of its round trip conversion (see roundTrip() in qnvconv.js).
+
+export {
+  diffResources
+}
+
+
+/**
+ * Compare the given two resources (or any JSON values) structurally, and report the paths where they differ.
+ * Objects are compared field by field (in any order), and arrays are compared element by element in order.
+ * @param original the original resource
+ * @param other the resource to compare against the original
+ * @param basePath optional, the path of the given resources, default to the original resourceType (if any).
+ * @return the list of differences, each is an object with the following fields:
+ *         - path: the element path, e.g., Questionnaire.item[2].enableWhen[1].operator
+ *         - type: "removed" (only in the original), "added" (only in the other), or "changed"
+ *         - original: the value in the original, not present for "added"
+ *         - other: the value in the other, not present for "removed"
+ */
+function diffResources(original, other, basePath) {
+  let diffs = [];
+  diffValues(original, other, basePath ?? original?.resourceType ?? '', diffs);
+  return diffs;
+}
+
+
+/**
+ * Compare the given two values recursively and collect the differences, see diffResources().
+ * @param a the value in the original
+ * @param b the value in the other
+ * @param path the path of the values
+ * @param diffs the list of differences found so far.
+ */
+function diffValues(a, b, path, diffs) {
+  if(isContainer(a) && isContainer(b) && Array.isArray(a) === Array.isArray(b)) {
+    const keys = Array.isArray(a)?
+      [...Array(Math.max(a.length, b.length)).keys()]:
+      [...new Set([...Object.keys(a), ...Object.keys(b)])];
+    for(let key of keys) {
+      const subPath = Array.isArray(a)? `${path}[${key}]`: (path? path + '.' + key: key);
+      if(! (key in b)) {
+        diffs.push({path: subPath, type: 'removed', original: a[key]});
+      }
+      else if(! (key in a)) {
+        diffs.push({path: subPath, type: 'added', other: b[key]});
+      }
+      else {
+        diffValues(a[key], b[key], subPath, diffs);
+      }
+    }
+  }
+  else if(a !== b) {
+    diffs.push({path, type: 'changed', original: a, other: b});
+  }
+}
+
+
+/**
+ * Check if the given value is an object or array, i.e., to be compared by its members.
+ * @param value the value to check
+ * @return true if it's a non-null object (including arrays), false otherwise.
+ */
+function isContainer(value) {
+  return typeof value === 'object' && value !== null;
+}
@@ -0,0 +1,280 @@
+// Functions for translating between enableWhen conditions and the equivalent FHIRPath expressions, for use
+// with the SDC enableWhenExpression extension, e.g., for enableWhen operators that aren't supported in STU3.
+// Only the expressions in the (simple) form created by enableWhenToExpression() can be translated back
+// to enableWhen. For example, for enableWhen operator ">", with question "/q1" and answerInteger 10:
+//   %resource.repeat(item).where(linkId='/q1').answer.value.where($this > 10).exists()
+// Multiple conditions are joined by "and" (enableBehavior all) or "or" (enableBehavior any), with each
+// condition wrapped in parentheses.
+
+import {findChoiceX} from './qnvconv_common.js';
+
+export {
+  ENABLE_WHEN_EXPR_URL,
+  enableWhenToExpression,
+  expressionToEnableWhen
+}
+
+const ENABLE_WHEN_EXPR_URL = 'http://hl7.org/fhir/uv/sdc/StructureDefinition/sdc-questionnaire-enableWhenExpression';
+
+const comparisonOperators = new Set(['=', '>', '<', '>=', '<=']);
+
+
+/**
+ * Translate the given enableWhen conditions into an equivalent FHIRPath expression.
+ * @param enableWhen the list of (R4) enableWhen conditions
+ * @param enableBehavior the (R4) enableBehavior, "all" or "any", only needed if there are more than one
+ *        enableWhen conditions.
+ * @return the FHIRPath expression, or null if any of the conditions can't be translated.
+ */
+function enableWhenToExpression(enableWhen, enableBehavior) {
+  let conditions = enableWhen.map(ew => conditionToExpression(ew));
+  if(! conditions.length || conditions.includes(null)) {
+    return null;
+  }
+  return conditions.length === 1? conditions[0]:
+    conditions.map(c => '(' + c + ')').join(enableBehavior === 'any'? ' or ': ' and ');
+}
+
+
+/**
+ * Translate the given enableWhen condition into an equivalent FHIRPath expression.
+ * @param ew the (R4) enableWhen condition
+ * @return the FHIRPath expression, or null if the condition can't be translated.
+ */
+function conditionToExpression(ew) {
+  const {srcX: answerX} = findChoiceX(ew, 'answer');
+  if(! ew.question || ! answerX) {
+    return null;
+  }
+  const answers = `%resource.repeat(item).where(linkId=${toStringLiteral(ew.question)}).answer`;
+  const answer = ew[answerX];
+
+  if(ew.operator === 'exists') {
+    return answers + (answer? '.exists()': '.empty()');
+  }
+  if(ew.operator !== '!=' && ! comparisonOperators.has(ew.operator)) {
+    return null;
+  }
+  const notEqual = ew.operator === '!=';
+
+  let criteria;
+  if(answerX === 'answerCoding' || answerX === 'answerReference') {
+    if(ew.operator !== '=' && ! notEqual) {
+      return null;
+    }
+    criteria = answerX === 'answerReference'? 'reference = ' + toStringLiteral(answer.reference):
+      ['code', 'system'].filter(f => answer[f]).map(f => f + ' = ' + toStringLiteral(answer[f])).join(' and ');
+  }
+  else {
+    const literal = toLiteral(answerX, answer);
+    if(literal === null) {
+      return null;
+    }
+    criteria = `$this ${notEqual? '=': ew.operator} ${literal}`;
+  }
+
+  return `${answers}.value.where(${criteria}).${notEqual? 'empty': 'exists'}()`;
+}
+
+
+/**
+ * Create the FHIRPath literal for the given enableWhen answer.
+ * @param answerX the answer[x] field name, e.g., answerDecimal
+ * @param answer the answer value
+ * @return the FHIRPath literal, or null if the answer type isn't supported.
+ */
+function toLiteral(answerX, answer) {
+  switch(answerX) {
+    case 'answerBoolean':
+    case 'answerInteger':
+      return String(answer);
+    case 'answerDecimal': // keep the decimal point so that the type can be recovered.
+      return Number.isInteger(answer)? answer.toFixed(1): String(answer);
+    case 'answerDate':
+    case 'answerDateTime':
+      return '@' + answer;
+    case 'answerTime':
+      return '@T' + answer;
+    case 'answerString':
+      return toStringLiteral(answer);
+    case 'answerQuantity':
+      return typeof answer.value === 'number'? answer.value + ' ' + toStringLiteral(answer.code || answer.unit || '1'): null;
+    default:
+      return null;
+  }
+}
+
+
+/**
+ * Create a FHIRPath string literal for the given string.
+ * @param str the string
+ * @return the string literal, quoted and escaped.
+ */
+function toStringLiteral(str) {
+  return "'" + String(str).replace(/\\/g, '\\\\').replace(/'/g, "\\'") + "'";
+}
+
+
+/**
+ * Translate the given FHIRPath expression back to enableWhen conditions. This is the reverse of
+ * enableWhenToExpression(), and only expressions in the form it creates can be translated.
+ * @param expression the FHIRPath expression
+ * @return an object with the fields enableWhen (the list of R4 enableWhen conditions) and enableBehavior
+ *         (only if there are more than one conditions), or null if the expression can't be translated.
+ */
+function expressionToEnableWhen(expression) {
+  let parts = splitTopLevel(expression?.trim() || '');
+  if(! parts) {
+    return null;
+  }
+  let connectives = new Set(parts.filter((_, i) => i % 2 === 1));
+  if(connectives.size > 1) { // mixing "and" and "or"
+    return null;
+  }
+
+  let conditions = parts.filter((_, i) => i % 2 === 0);
+  if(conditions.length > 1) {
+    if(! conditions.every(c => c.startsWith('(') && c.endsWith(')'))) {
+      return null;
+    }
+    conditions = conditions.map(c => c.substring(1, c.length - 1).trim());
+  }
+  let enableWhen = conditions.map(c => expressionToCondition(c));
+  if(enableWhen.includes(null)) {
+    return null;
+  }
+
+  let ret = {enableWhen};
+  if(enableWhen.length > 1) {
+    ret.enableBehavior = connectives.has('or')? 'any': 'all';
+  }
+  return ret;
+}
+
+
+/**
+ * Split the given expression by the top-level (not in parentheses or string literals) "and" and "or".
+ * @param expression the FHIRPath expression
+ * @return the list of sub-expressions and the connectives in between, e.g., ["(a)", "and", "(b)"], or
+ *         null if the parentheses or quotes are unbalanced.
+ */
+function splitTopLevel(expression) {
+  let parts = [], depth = 0, inString = false, start = 0;
+  for(let i = 0; i < expression.length; ++i) {
+    const ch = expression[i];
+    if(inString) {
+      if(ch === '\\') ++i;
+      else if(ch === "'") inString = false;
+    }
+    else if(ch === "'") inString = true;
+    else if(ch === '(') ++depth;
+    else if(ch === ')') --depth;
+    else if(depth === 0) {
+      const m = expression.substring(i).match(/^\s+(and|or)\s+/);
+      if(m) {
+        parts.push(expression.substring(start, i).trim(), m[1]);
+        i += m[0].length - 1;
+        start = i + 1;
+      }
+    }
+    if(depth < 0) return null;
+  }
+  if(depth !== 0 || inString) {
+    return null;
+  }
+  parts.push(expression.substring(start).trim());
+  return parts;
+}
+
+
+/**
+ * Translate the given FHIRPath expression of a single condition back to an enableWhen condition.
+ * @param expression the FHIRPath expression of the condition, as created by conditionToExpression()
+ * @return the enableWhen condition, or null if the expression can't be translated.
+ */
+function expressionToCondition(expression) {
+  const str = "'((?:[^'\\\\]|\\\\.)*)'"; // string literal, with the content captured
+  const m = expression.match(new RegExp(`^%resource\\.repeat\\(item\\)\\.where\\(linkId=${str}\\)\\.answer\\.` +
+    `(?:(exists|empty)\\(\\)|value\\.where\\((.+)\\)\\.(exists|empty)\\(\\))$`));
+  if(! m) {
+    return null;
+  }
+  const [, question, existsFunc, criteria, whereFunc] = m;
+  let ew = {question: fromStringLiteral(question)};
+  if(existsFunc) {
+    ew.operator = 'exists';
+    ew.answerBoolean = existsFunc === 'exists';
+    return ew;
+  }
+
+  const notEqual = whereFunc === 'empty';
+  let cm;
+  if((cm = criteria.match(new RegExp(`^\\$this (=|>|<|>=|<=) (.+)$`)))) {
+    const answer = fromLiteral(cm[2]);
+    if(! answer || (notEqual && cm[1] !== '=')) {
+      return null;
+    }
+    ew.operator = notEqual? '!=': cm[1];
+    Object.assign(ew, answer);
+  }
+  else if((cm = criteria.match(new RegExp(`^reference = ${str}$`)))) {
+    ew.operator = notEqual? '!=': '=';
+    ew.answerReference = {reference: fromStringLiteral(cm[1])};
+  }
+  else if((cm = criteria.match(new RegExp(`^code = ${str}(?: and system = ${str})?$`)))) {
+    ew.operator = notEqual? '!=': '=';
+    ew.answerCoding = {code: fromStringLiteral(cm[1])};
+    if(cm[2] !== undefined) {
+      ew.answerCoding.system = fromStringLiteral(cm[2]);
+    }
+  }
+  else {
+    return null;
+  }
+  return ew;
+}
+
+
+/**
+ * The reverse of toLiteral(), i.e., create the enableWhen answer from the given FHIRPath literal.
+ * @param literal the FHIRPath literal
+ * @return an object with the answer[x] field, e.g., {answerDecimal: 1.5}, or null if not supported.
+ */
+function fromLiteral(literal) {
+  let m;
+  if(literal === 'true' || literal === 'false') {
+    return {answerBoolean: literal === 'true'};
+  }
+  if(/^-?\d+$/.test(literal)) {
+    return {answerInteger: parseInt(literal)};
+  }
+  if(/^-?\d+\.\d+$/.test(literal)) {
+    return {answerDecimal: parseFloat(literal)};
+  }
+  if((m = literal.match(/^@T(.+)$/))) {
+    return {answerTime: m[1]};
+  }
+  if((m = literal.match(/^@(.+T.*)$/))) {
+    return {answerDateTime: m[1]};
+  }
+  if((m = literal.match(/^@(.+)$/))) {
+    return {answerDate: m[1]};
+  }
+  if((m = literal.match(/^'((?:[^'\\]|\\.)*)'$/))) {
+    return {answerString: fromStringLiteral(m[1])};
+  }
+  if((m = literal.match(/^(-?\d+(?:\.\d+)?) '((?:[^'\\]|\\.)*)'$/))) {
+    return {answerQuantity: {value: parseFloat(m[1]), code: fromStringLiteral(m[2])}};
+  }
+  return null;
+}
+
+
+/**
+ * Un-escape the content of a FHIRPath string literal (without the quotes).
+ * @param str the string literal content
+ * @return the un-escaped string
+ */
+function fromStringLiteral(str) {
+  return str.replace(/\\(.)/g, '$1');
+}
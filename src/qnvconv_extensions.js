@@ -0,0 +1,236 @@
+// The (data-driven) extension mapping registry, for the SDC and core extensions whose url or value type
+// changed between the FHIR versions, or that became core elements, e.g., the STU3 cqif-calculatedValue
+// (valueString) is the SDC calculatedExpression (valueExpression) in R4.
+// The mappings are listed for each pair of adjacent versions (with a converter module), where each mapping
+// has the following fields:
+// - lower: the extension in the lower version, {url, type}, where type is the value[x] type, e.g., String,
+//          or null if the extension has no equivalent in the lower version.
+// - higher: the extension in the higher version, {url, type}, or {element} if the extension became a core
+//           element in the higher version, or null if the extension has no equivalent in the higher version.
+//           In the down-conversions, such an element is converted back to the extension (in the value type of
+//           the extension, default to String), before the converters drop the elements unknown to the lower
+//           version.
+// The type may be omitted, in which case any value type is accepted, and the value is copied as it is.
+// The extensions are matched by the url and the value type, and the extensions not in the registry are left
+// unchanged. Additional mappings (e.g., for local extensions) can be given with the extensionMappings
+// conversion option, in the same format and keyed by the version pair, e.g., {'STU3-R4': [...]}, which take
+// precedence over the built-in ones.
+
+import {MsgCode, createMsg, updateRetStatus, copyElement, deleteElement} from './qnvconv_common.js';
+
+export {
+  extensionMappings,
+  mapExtensions,
+  mapItemExtensions
+}
+
+const CORE = 'http://hl7.org/fhir/StructureDefinition/';
+const SDC = 'http://hl7.org/fhir/uv/sdc/StructureDefinition/';
+
+const extensionMappings = Object.freeze({
+  'STU3-R4': [
+    // the data element mapping, superseded by item.definition in R4.
+    {lower: {url: CORE + 'questionnaire-deMap'}, higher: null},
+    {lower: {url: CORE + 'cqif-calculatedValue', type: 'String'},
+      higher: {url: SDC + 'sdc-questionnaire-calculatedExpression', type: 'Expression'}},
+    {lower: {url: CORE + 'cqif-initialValue', type: 'String'},
+      higher: {url: SDC + 'sdc-questionnaire-initialExpression', type: 'Expression'}},
+    {lower: {url: CORE + 'questionnaire-allowedResource', type: 'Code'},
+      higher: {url: CORE + 'questionnaire-referenceResource', type: 'Code'}},
+    {lower: {url: CORE + 'questionnaire-allowedUnits', type: 'CodeableConcept'},
+      higher: {url: CORE + 'questionnaire-unitOption', type: 'Coding'}},
+    {lower: {url: CORE + 'questionnaire-allowedUnits', type: 'Reference'},
+      higher: {url: CORE + 'questionnaire-unitValueSet', type: 'Canonical'}},
+    {lower: {url: CORE + 'iso21090-CO-value', type: 'Decimal'},
+      higher: {url: CORE + 'ordinalValue', type: 'Decimal'}}
+  ],
+  'R4-R5': [
+    {lower: {url: CORE + 'ordinalValue', type: 'Decimal'},
+      higher: {url: CORE + 'itemWeight', type: 'Decimal'}},
+    {lower: {url: CORE + 'artifact-copyrightLabel', type: 'String'},
+      higher: {element: 'copyrightLabel'}}
+  ]
+});
+
+// The value conversions between the value types, keyed by "<from type>><to type>". Each function takes the
+// value and returns the list of the converted values (one extension for each), or null if it can't be converted.
+const valueConverters = {
+  'String>Expression': value => [{language: 'text/fhirpath', expression: value}],
+  'Expression>String': value => value.language === 'text/fhirpath' && value.expression? [value.expression]: null,
+  'Coding>CodeableConcept': value => [{coding: [value]}],
+  'CodeableConcept>Coding': value => value.coding?.length? value.coding: null,
+  'Canonical>Reference': value => [{reference: value}],
+  'Reference>Canonical': value => value.reference? [value.reference]: null
+};
+
+
+/**
+ * Find the extension mappings for the conversion between the given (adjacent) versions.
+ * @param fromVer the source version, e.g., STU3
+ * @param toVer the target version, e.g., R4
+ * @param options optional conversion options, for the extensionMappings option.
+ * @return the list of mappings, each with the source and target fields, i.e., lower and higher for
+ *         up-conversions, or the other way around for down-conversions.
+ */
+function findMappings(fromVer, toVer, options) {
+  let mappings = [];
+  for(let [key, up] of [[fromVer + '-' + toVer, true], [toVer + '-' + fromVer, false]]) {
+    for(let m of [...(options?.extensionMappings?.[key] || []), ...(extensionMappings[key] || [])]) {
+      mappings.push(up? {source: m.lower, target: m.higher}: {source: m.higher, target: m.lower});
+    }
+  }
+  return mappings;
+}
+
+
+/**
+ * Convert the extensions (the extension list only, not the nested ones) on the given element, in place,
+ * based on the extension mappings for the given versions, see the extension mapping registry above.
+ * @param ele the element whose extensions are to be converted, e.g., the questionnaire or an item.
+ * @param fromVer the source version, e.g., STU3
+ * @param toVer the target version, e.g., R4
+ * @param options optional conversion options. See converter function table in qnvconv.js for more details.
+ * @param path the path of the given element, e.g., Questionnaire.item[2]
+ * @param ctx optional, the context of the messages, see createMsg(), default to the given element.
+ * @return the "return object", see updateRetStatus() for more details
+ */
+function mapExtensions(ele, fromVer, toVer, options, path, ctx = ele) {
+  let ret = {status: 1, data: ele};
+  const mappings = findMappings(fromVer, toVer, options);
+  mapElementsToExtensions(ele, mappings, ret, path, ctx);
+  if(! ele.extension?.length || ! mappings.length) {
+    return ret;
+  }
+
+  let extensions = [];
+  ele.extension.forEach((ext, i) => {
+    const valueX = Object.keys(ext).find(f => f.startsWith('value'));
+    const mapping = mappings.find(m => m.source?.url === ext.url &&
+      (! m.source.type || 'value' + m.source.type === valueX));
+    const details = {path: `${path}.extension[${i}]`, value: ext};
+    if(! mapping) {
+      extensions.push(ext);
+    }
+    else if(! mapping.target) {
+      updateRetStatus(ret, -1, createMsg(ctx, -1, `Dropped extension ${ext.url}, no equivalent in ${toVer}`,
+        {...details, code: MsgCode.EXTENSION_UNSUPPORTED}));
+    }
+    else if(mapping.target.element) {
+      const element = mapping.target.element;
+      if(ele.hasOwnProperty(element) || ! valueX) {
+        extensions.push(ext); // the element is already there, or there is nothing to convert
+      }
+      else {
+        copyElement(ext, valueX, ele, element);
+        updateRetStatus(ret, 0, createMsg(ctx, 0, `Extension ${ext.url} converted to ${element}`,
+          {...details, code: MsgCode.EXTENSION_CONVERTED}));
+      }
+    }
+    else {
+      const converted = convertExtension(ext, valueX, mapping);
+      if(converted) {
+        extensions.push(...converted);
+        updateRetStatus(ret, 0, createMsg(ctx, 0, `Extension ${ext.url} converted to ${mapping.target.url}`,
+          {...details, code: MsgCode.EXTENSION_CONVERTED}));
+      }
+      else {
+        updateRetStatus(ret, -1, createMsg(ctx, -1,
+          `Dropped extension ${ext.url}, unable to convert ${valueX} to value${mapping.target.type} in ${toVer}`,
+          {...details, code: MsgCode.EXTENSION_UNSUPPORTED}));
+      }
+    }
+  });
+
+  if(extensions.length) {
+    ele.extension = extensions;
+  }
+  else {
+    delete ele.extension;
+  }
+
+  return ret;
+}
+
+
+/**
+ * Convert the elements on the given element (e.g., the R5 copyrightLabel on the questionnaire) that are
+ * extensions in the target (lower) version back to the extensions, in place, see the registry above.
+ * @param ele the element, e.g., the questionnaire or an item.
+ * @param mappings the mappings for the conversion, see findMappings().
+ * @param ret the "return object" for the messages, see updateRetStatus().
+ * @param path the path of the given element, e.g., Questionnaire.item[2]
+ * @param ctx the context of the messages, see createMsg().
+ */
+function mapElementsToExtensions(ele, mappings, ret, path, ctx) {
+  for(let {source, target} of mappings) {
+    const element = source?.element;
+    if(! element || ! target?.url || ! ele.hasOwnProperty(element)) continue;
+
+    let ext = {url: target.url};
+    copyElement(ele, element, ext, 'value' + (target.type || 'String'));
+    (ele.extension = ele.extension || []).push(ext);
+    updateRetStatus(ret, 0, createMsg(ctx, 0, `${element} converted to extension ${target.url}`,
+      {code: MsgCode.EXTENSION_CONVERTED, path: `${path}.${element}`, value: ele[element]}));
+    deleteElement(ele, element);
+  }
+}
+
+
+/**
+ * Convert the given extension based on the given mapping.
+ * @param ext the extension to convert
+ * @param valueX the value[x] field name of the extension, if any, e.g., valueString
+ * @param mapping the mapping of the extension, with the source and target, see findMappings().
+ * @return the list of the converted extensions, or null if the value can't be converted.
+ */
+function convertExtension(ext, valueX, mapping) {
+  const {source, target} = mapping;
+  const targetX = target.type? 'value' + target.type: valueX;
+  let values = [ext[valueX]];
+  if(valueX && targetX !== valueX) {
+    values = valueConverters[`${source.type}>${target.type}`]?.(ext[valueX]);
+    if(! values) {
+      return null;
+    }
+  }
+
+  return values.map(value => {
+    let converted = {...ext, url: target.url};
+    if(valueX) {
+      deleteElement(converted, valueX);
+      converted[targetX] = value;
+      if(values.length === 1 && ext.hasOwnProperty('_' + valueX)) { // primitive extensions
+        converted['_' + targetX] = ext['_' + valueX];
+      }
+    }
+    return converted;
+  });
+}
+
+
+/**
+ * Convert the extensions on the given item, and those on its answer options (and their Coding values), in
+ * place, based on the extension mappings for the given versions. The child items aren't converted here.
+ * See mapExtensions() for more details.
+ * @param item the item whose extensions are to be converted.
+ * @param fromVer the source version, e.g., STU3
+ * @param toVer the target version, e.g., R4
+ * @param options optional conversion options. See converter function table in qnvconv.js for more details.
+ * @param path the path of the item in the questionnaire, e.g., Questionnaire.item[2].item[0]
+ * @return the "return object", see updateRetStatus() for more details
+ */
+function mapItemExtensions(item, fromVer, toVer, options, path) {
+  let ret = mapExtensions(item, fromVer, toVer, options, path);
+  for(let optField of ['option', 'answerOption']) { // STU3 option, R4 and later answerOption
+    (Array.isArray(item[optField])? item[optField]: []).forEach((opt, i) => {
+      const optPath = `${path}.${optField}[${i}]`;
+      for(let [ele, elePath] of [[opt, optPath], [opt.valueCoding, optPath + '.valueCoding']]) {
+        if(ele) {
+          let subRet = mapExtensions(ele, fromVer, toVer, options, elePath, item);
+          updateRetStatus(ret, subRet.status, subRet.message);
+        }
+      }
+    });
+  }
+  return ret;
+}
@@ -0,0 +1,76 @@
+// The conversion history, recorded as a meta.tag on the converted resources, e.g.,
+//   {system: CONV_TAG_SYSTEM, code: 'lhc-qnvconv-R4-to-R5', display: 'Converted from R4 to R5 by ...'}
+// where the code lists the FHIR versions the resource has been converted through, e.g.,
+// lhc-qnvconv-R4-to-R5-to-R4 after being converted from R4 to R5 and back to R4. There is at most one such tag
+// on a resource, i.e., the tag from the previous conversions is replaced, rather than added to, and the
+// back-and-forth conversions between the same two versions are collapsed, e.g., R4 to R5 to R4 to R5 is
+// recorded as R4 to R5. The tags without the system, from the earlier releases, are recognized as well.
+
+export {
+  CONV_TAG_SYSTEM,
+  CONV_TAG_PREFIX,
+  getConversionHistory,
+  addConversionTag
+}
+
+const CONV_TAG_SYSTEM = 'http://lhcforms.nlm.nih.gov/fhir/CodeSystem/lhc-qnvconv';
+const CONV_TAG_PREFIX = 'lhc-qnvconv-';
+
+
+/**
+ * Check if the given tag (Coding) is a conversion tag.
+ * @param tag the tag (Coding) to check
+ * @return true if it's a conversion tag (with or without the system), false otherwise.
+ */
+function isConversionTag(tag) {
+  return (! tag?.system || tag.system === CONV_TAG_SYSTEM) && !! tag?.code?.startsWith(CONV_TAG_PREFIX);
+}
+
+
+/**
+ * Get the conversion history of the given resource, based on its conversion tags, i.e., the FHIR versions
+ * the resource has been converted through, starting from the original version.
+ * @param res the resource, e.g., a questionnaire converted by this converter.
+ * @return the list of the FHIR versions, e.g., ['R4', 'R5', 'R4'], or an empty list if the resource has not
+ *         been converted (or if the conversion was not tagged, see the tag_conv option). If there are several
+ *         conversion tags (from the earlier releases), the versions are combined in the order of the tags.
+ */
+function getConversionHistory(res) {
+  let versions = [];
+  for(let tag of (Array.isArray(res?.meta?.tag)? res.meta.tag: []).filter(isConversionTag)) {
+    let tagVersions = tag.code.substring(CONV_TAG_PREFIX.length).split('-to-');
+    versions.push(...(tagVersions[0] === versions[versions.length - 1]? tagVersions.slice(1): tagVersions));
+  }
+  return versions;
+}
+
+
+/**
+ * Add the conversion tag for the given conversion to the given (converted) resource, replacing the conversion
+ * tag(s) from the previous conversions, if any. See the description at the top for the details.
+ * @param res the converted resource
+ * @param vFrom the FHIR version converted from
+ * @param vTo the FHIR version converted to
+ */
+function addConversionTag(res, vFrom, vTo) {
+  let versions = getConversionHistory(res);
+  if(versions[versions.length - 1] !== vFrom) {
+    versions.push(vFrom);
+  }
+  versions.push(vTo);
+  // collapsing the back-and-forth conversions, e.g., R4, R5, R4, R5 to R4, R5
+  const len = versions.length;
+  if(len >= 4 && versions[len - 1] === versions[len - 3] && versions[len - 2] === versions[len - 4]) {
+    versions.splice(len - 2, 2);
+  }
+
+  res.meta = res.meta || {};
+  res.meta.tag = (res.meta.tag || []).filter(t => ! isConversionTag(t));
+  const via = versions.slice(1, -1);
+  res.meta.tag.push({
+    system: CONV_TAG_SYSTEM,
+    code: CONV_TAG_PREFIX + versions.join('-to-'),
+    display: `Converted from ${versions[0]} to ${vTo}` + (via.length? ` (via ${via.join(', ')})`: '') +
+      ' by the LHC Questionnaire Version Converter'
+  });
+}
@@ -0,0 +1,97 @@
+// Functions for representing the conversion results (status and messages) as FHIR OperationOutcome resources,
+// e.g., for processing the conversion results along with the validation results in a pipeline.
+// The OperationOutcome created here is valid in all the supported FHIR versions (STU3 and later).
+
+import {MsgCode} from './qnvconv_common.js';
+
+export {
+  toOperationOutcome
+}
+
+// The issue severity for each of the status codes, see updateRetStatus() for the status codes.
+const severityByStatus = {
+  '1': 'information',
+  '0': 'warning',
+  '-1': 'error',
+  '-2': 'fatal'
+};
+
+// The issue type (code) for each of the message codes, see MsgCode for the message codes.
+const issueTypeByMsgCode = {
+  [MsgCode.DROPPED_ELEMENT]: 'not-supported',
+  [MsgCode.OPERATOR_UNSUPPORTED]: 'not-supported',
+  [MsgCode.TYPE_UNSUPPORTED]: 'not-supported',
+  [MsgCode.NOT_CONVERTED]: 'not-supported',
+  [MsgCode.REFERENCE_CONVERTED]: 'informational',
+  [MsgCode.EXPRESSION_TRANSLATED]: 'informational',
+  [MsgCode.EXTENSION_CONVERTED]: 'informational',
+  [MsgCode.EXTENSION_UNSUPPORTED]: 'not-supported',
+  [MsgCode.PROFILE_UNMAPPED]: 'not-supported',
+  [MsgCode.REFERENCE_UNRESOLVED]: 'not-found',
+  [MsgCode.INVALID_INPUT]: 'invalid',
+  [MsgCode.INVALID_OUTPUT]: 'structure',
+  [MsgCode.CONVERSION_ERROR]: 'exception'
+};
+
+
+/**
+ * Create an OperationOutcome resource from the given conversion result. Each message in the result becomes
+ * an issue, where:
+ * - severity: based on the message status: 1 - information, 0 - warning, -1 - error (data loss), -2 - fatal
+ * - code: the issue type based on the message code, e.g., not-supported for DROPPED_ELEMENT, default to processing.
+ * - details: the message code (as details.coding.code) and the message text.
+ * - expression: the element path in the message, if any, e.g., Questionnaire.item[2].enableWhen[1]
+ * - diagnostics: the conversion step and the original value (as JSON) in the message, if any.
+ * If the result has no messages, there will be a single issue for the overall status, as required by
+ * OperationOutcome.
+ * @param result the conversion result, with the status and message fields, see updateRetStatus().
+ * @param id optional, the id for the OperationOutcome resource.
+ * @return the OperationOutcome resource
+ */
+function toOperationOutcome(result, id) {
+  let issue = (result?.message || []).map(msg => messageToIssue(msg));
+  if(! issue.length) {
+    const status = result?.status ?? -2;
+    issue.push({
+      severity: severityByStatus[status] || 'fatal',
+      code: status === 1? 'informational': 'processing',
+      details: {text: status === 1? 'Conversion completed successfully': 'Conversion completed with status ' + status}
+    });
+  }
+
+  return {resourceType: 'OperationOutcome', ...(id && {id}), issue};
+}
+
+
+/**
+ * Create an OperationOutcome issue from the given conversion message.
+ * @param msg the conversion message, see createMsg() for the fields.
+ * @return the OperationOutcome issue
+ */
+function messageToIssue(msg) {
+  let issue = {
+    severity: severityByStatus[msg.status] || 'fatal',
+    code: issueTypeByMsgCode[msg.code] || 'processing',
+    details: {text: msg.text}
+  };
+  if(msg.code) {
+    issue.details.coding = [{code: msg.code}];
+  }
+
+  if(msg.path) {
+    issue.expression = [msg.path];
+  }
+
+  let diagnostics = [];
+  if(msg.step) {
+    diagnostics.push('Conversion step: ' + msg.step);
+  }
+  if(msg.value !== undefined) {
+    diagnostics.push('Original value: ' + JSON.stringify(msg.value));
+  }
+  if(diagnostics.length) {
+    issue.diagnostics = diagnostics.join('; ');
+  }
+
+  return issue;
+}
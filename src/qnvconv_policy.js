@@ -0,0 +1,163 @@
+// The loss handling policy, i.e., what to do when an element can't be represented in the target version.
+// The policy is given as the lossPolicy conversion option (see the converter function table in qnvconv.js),
+// which is an object with the following optional fields:
+// - rules: the actions keyed by the message code (see MsgCode in qnvconv_common.js), e.g.,
+//          {OPERATOR_UNSUPPORTED: 'display', DROPPED_ELEMENT: 'extension'}
+// - default: the action for the message codes not in the rules, default to "drop".
+// - strict: boolean (default false), if true, any loss aborts the conversion, regardless of the rules.
+// Where the actions (see LossAction below) are:
+// - drop: the element is dropped (with a message), the default behavior.
+// - extension: the element is kept as an inter-version extension, where supported, i.e., the same as the
+//   interVerExt option but only for the messages of the given codes; dropped otherwise.
+// - display: the item is replaced with a display item that explains what was removed, where its child items
+//   are removed too (display items can't have child items), each with its own message. Only applicable to
+//   item level losses, the questionnaire level losses are dropped.
+// - abort: the conversion is aborted, with status -2 and no data.
+// Note that only the losses (i.e., the messages with status -1, including the profiles removed from
+// meta.profile) are subject to the policy, except that the validation issues (INVALID_OUTPUT) can abort the
+// conversion too, with the strict mode or an abort rule for them. The
+// extension and display actions are applied in the STU3/R4 and R4/R5 converters (and the extension action
+// in the R5/R6 converter too, for DROPPED_ELEMENT), whereas the abort action
+// (and the strict mode) is applied to all the conversion steps. A policy with an unknown action is rejected
+// with an error, see checkLossPolicy().
+
+import {MsgCode, createMsg, updateRetStatus} from './qnvconv_common.js';
+
+export {
+  LossAction,
+  lossAction,
+  checkLossPolicy,
+  keepAsExtension,
+  replaceWithDisplayItem,
+  applyAbortPolicy
+}
+
+const LossAction = Object.freeze({
+  DROP: 'drop',
+  EXTENSION: 'extension',
+  DISPLAY: 'display',
+  ABORT: 'abort'
+});
+
+
+/**
+ * Get the loss handling action for the given message code, based on the lossPolicy option.
+ * @param options the conversion options, see the converter function table in qnvconv.js.
+ * @param code the message code, see MsgCode in qnvconv_common.js
+ * @return the action, one of the LossAction values.
+ */
+function lossAction(options, code) {
+  const policy = options?.lossPolicy;
+  if(policy?.strict) {
+    return LossAction.ABORT;
+  }
+  return policy?.rules?.[code] || policy?.default || LossAction.DROP;
+}
+
+
+/**
+ * Check the actions in the given loss policy, see the top of this file.
+ * @param policy the lossPolicy conversion option, may be undefined.
+ * @throws Error if any of the actions (in the rules or the default) isn't one of the LossAction values.
+ */
+function checkLossPolicy(policy) {
+  const actions = Object.values(LossAction);
+  for(let [key, action] of [['default', policy?.default], ...Object.entries(policy?.rules || {})]) {
+    if(action !== undefined && ! actions.includes(action)) {
+      throw new Error(`Invalid loss policy action for ${key}: ${action}, should be one of: ${actions.join(', ')}`);
+    }
+  }
+}
+
+
+/**
+ * Check whether the element to be dropped, for a message of the given code, is to be kept as an inter-version
+ * extension, i.e., if the interVerExt option is on, or the loss policy action for the code is "extension".
+ * @param options the conversion options, see the converter function table in qnvconv.js.
+ * @param code the code of the message for the element to be dropped.
+ * @return true if the element is to be kept as an inter-version extension, false otherwise.
+ */
+function keepAsExtension(options, code) {
+  return !! options?.interVerExt || lossAction(options, code) === LossAction.EXTENSION;
+}
+
+
+/**
+ * Replace the given (converted) item, in place, with a display item that explains what was removed, if the
+ * loss policy action for any of the losses on the item itself is "display". The id and linkId (and their
+ * extensions in _id and _linkId) are kept. The child items, which haven't been converted yet, are removed,
+ * since display items can't have child items, with a message for each of them (and their descendants).
+ * @param item the item that has been converted, except for its child items.
+ * @param ret the "return object" of the item conversion, whose messages are about the item itself (not the
+ *        child items), see updateRetStatus().
+ * @param options the conversion options, see the converter function table in qnvconv.js.
+ * @param path the path of the item in the questionnaire, e.g., Questionnaire.item[2].item[0]
+ * @param targetVer the target FHIR version, for the display text.
+ * @return true if the item has been replaced, false otherwise.
+ */
+function replaceWithDisplayItem(item, ret, options, path, targetVer) {
+  const losses = (ret.message || []).filter(m => m.status === -1);
+  if(! losses.some(m => lossAction(options, m.code) === LossAction.DISPLAY)) {
+    return false;
+  }
+
+  const label = item.text || item.linkId;
+  const {item: children, ...removed} = item;
+  for(let field of Object.keys(item)) {
+    if(! ['id', '_id', 'linkId', '_linkId'].includes(field)) {
+      delete item[field];
+    }
+  }
+  item.type = 'display';
+  item.text = `"${label}" can't be represented in ${targetVer} and has been removed: ` +
+    losses.map(m => m.text).join('; ');
+  updateRetStatus(ret, -1, createMsg(item, -1, 'Item replaced with a display item',
+    {code: MsgCode.DROPPED_ELEMENT, path, value: removed}));
+  reportRemovedItems(children, item, ret, path);
+
+  return true;
+}
+
+
+/**
+ * Report the given child items, and their descendants, of an item replaced with a display item as removed,
+ * one message per item, see replaceWithDisplayItem().
+ * @param children the child items removed, may be undefined.
+ * @param ctx the context of the messages, i.e., the display item, see createMsg()
+ * @param ret the "return object" of the item conversion, see updateRetStatus().
+ * @param parentPath the path of the parent item, e.g., Questionnaire.item[2]
+ */
+function reportRemovedItems(children, ctx, ret, parentPath) {
+  (Array.isArray(children)? children: []).forEach((child, i) => {
+    const {item: grandChildren, ...removed} = child || {};
+    const path = `${parentPath}.item[${i}]`;
+    updateRetStatus(ret, -1, createMsg(ctx, -1, 'Child item of the item replaced with a display item removed',
+      {code: MsgCode.DROPPED_ELEMENT, path, value: removed}));
+    reportRemovedItems(grandChildren, ctx, ret, path);
+  });
+}
+
+
+/**
+ * Abort the conversion, i.e., set the status to -2 and remove the data, if the loss policy action for any
+ * of the losses in the given result is "abort" (or if the policy is strict). The validation issues (with
+ * code INVALID_OUTPUT, see the validate option in qnvconv.js) aren't losses, but they abort the conversion
+ * too if the policy is strict, or if there is an "abort" rule for INVALID_OUTPUT.
+ * @param ret the "return object" of a conversion (step), see updateRetStatus().
+ * @param options the conversion options, see the converter function table in qnvconv.js.
+ * @return the given "return object", updated if aborted.
+ */
+function applyAbortPolicy(ret, options) {
+  const policy = options?.lossPolicy;
+  if(ret.status === -2 || ! policy) {
+    return ret;
+  }
+  const loss = ret.message?.find(m => m.status === -1? lossAction(options, m.code) === LossAction.ABORT:
+    m.code === MsgCode.INVALID_OUTPUT && (policy.strict || policy.rules?.[m.code] === LossAction.ABORT));
+  if(loss) {
+    delete ret.data;
+    updateRetStatus(ret, -2, createMsg(loss.ctxId, -2, 'Conversion aborted by the loss policy: ' + loss.text,
+      {code: loss.code, path: loss.path}));
+  }
+  return ret;
+}
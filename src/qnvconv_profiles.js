@@ -0,0 +1,135 @@
+// The profile mapping, for translating the profiles claimed in meta.profile (e.g., the SDC profiles) to their
+// equivalents in the target version, see updateMeta() in qnvconv.js.
+// The mappings are listed for each pair of adjacent versions (see supportedVersions in qnvconv.js), where R4B
+// is treated as R4, since the Questionnaire (and QuestionnaireResponse) resources are the same in both, i.e.,
+// the pairs are STU3-R4, R4-R5, and R5-R6. Each mapping has the following fields:
+// - lower: the profile (canonical url) in the lower version.
+// - higher: the equivalent profile in the higher version, or null if there is no equivalent.
+// A url ending with "*" is a prefix, where the rest of the profile url is carried over, e.g.,
+//   {lower: 'http://example.org/StructureDefinition/*', higher: 'http://example.org/r4/StructureDefinition/*'}
+// maps http://example.org/StructureDefinition/my-qn to http://example.org/r4/StructureDefinition/my-qn.
+// The version suffix of a versioned canonical (e.g., |2.0) is dropped when the url is changed by the mapping.
+// The base resource profiles (e.g., http://hl7.org/fhir/4.0/StructureDefinition/Questionnaire) aren't mapped,
+// they are replaced with the base profile of the target version. Additional mappings (e.g., for the national
+// IG profiles) can be given with the profileMappings conversion option, in the same format and keyed by the
+// version pair, e.g., {'STU3-R4': [...]}, which take precedence over the built-in ones.
+
+import {MsgCode, createMsg, updateRetStatus} from './qnvconv_common.js';
+
+export {
+  profileMappings,
+  mapProfiles,
+  isBaseProfile
+}
+
+const SDC_STU3 = 'http://hl7.org/fhir/us/sdc/StructureDefinition/*'; // SDC 2.0, a US realm IG back then.
+const SDC = 'http://hl7.org/fhir/uv/sdc/StructureDefinition/*';
+
+const profileMappings = Object.freeze({
+  'STU3-R4': [{lower: SDC_STU3, higher: SDC}],
+  'R4-R5': [{lower: SDC, higher: SDC}],
+  'R5-R6': [{lower: SDC, higher: SDC}]
+});
+
+
+/**
+ * Find the profile mappings for the conversion between the given (adjacent) versions.
+ * @param fromVer the source version, e.g., STU3
+ * @param toVer the target version, e.g., R4
+ * @param options optional conversion options, for the profileMappings option.
+ * @return the list of mappings, each with the source and target fields, i.e., lower and higher for
+ *         up-conversions, or the other way around for down-conversions.
+ */
+function findMappings(fromVer, toVer, options) {
+  let mappings = [];
+  for(let [key, up] of [[fromVer + '-' + toVer, true], [toVer + '-' + fromVer, false]]) {
+    for(let m of [...(options?.profileMappings?.[key] || []), ...(profileMappings[key] || [])]) {
+      mappings.push(up? {source: m.lower, target: m.higher}: {source: m.higher, target: m.lower});
+    }
+  }
+  return mappings;
+}
+
+
+/**
+ * Map the given profile through the given mappings.
+ * @param profile the profile (canonical url), possibly versioned, e.g., <url>|<version>
+ * @param mappings the list of mappings, each with the source and target fields, i.e., lower and higher for
+ *        up-conversions, or the other way around for down-conversions.
+ * @return an object with the field mapped (boolean), and the field profile, the mapped profile, or null
+ *         if there is no equivalent profile.
+ */
+function mapProfile(profile, mappings) {
+  const [url] = profile.split('|');
+  for(let {source, target} of mappings) {
+    const prefix = source?.endsWith('*') && source.substring(0, source.length - 1);
+    if(source !== url && ! (prefix && url.startsWith(prefix))) continue;
+
+    if(! target) {
+      return {mapped: true, profile: null};
+    }
+    const mappedUrl = target.endsWith('*')?
+      target.substring(0, target.length - 1) + url.substring(prefix.length): target;
+    return {mapped: true, profile: mappedUrl === url? profile: mappedUrl};
+  }
+  return {mapped: false};
+}
+
+
+/**
+ * Check if the given profile is a base resource profile (of any version) of the given resource type, e.g.,
+ * http://hl7.org/fhir/4.0/StructureDefinition/Questionnaire or http://hl7.org/fhir/StructureDefinition/Questionnaire.
+ * @param profile the profile (canonical url), possibly versioned, e.g., <url>|<version>
+ * @param resourceType the resource type, e.g., Questionnaire
+ * @return true if it's a base resource profile, false otherwise.
+ */
+function isBaseProfile(profile, resourceType) {
+  return typeof profile === 'string' && new RegExp(
+    `^http://hl7\\.org/fhir/([^/]+/)?StructureDefinition/${resourceType}$`).test(profile.split('|')[0]);
+}
+
+
+/**
+ * Map the given profiles (meta.profile of the converted resource) to the target version, through the
+ * chain of the versions in the conversion. The base resource profiles are removed, and the base profile of
+ * the target version is added as the first one. The profiles that can't be mapped are removed, as losses (status -1).
+ * @param profiles the profiles, e.g., meta.profile of the resource before the conversion
+ * @param versionChain the list of versions in the conversion, e.g., ['STU3', 'R4', 'R4B', 'R5'], where
+ *        R4B is treated as R4.
+ * @param baseProfile the base resource profile of the target version
+ * @param ctx the context of the messages (e.g., the resource), see createMsg()
+ * @param options optional conversion options, for the profileMappings option.
+ * @return the "return object" (see updateRetStatus()), where the data is the list of the mapped profiles.
+ */
+function mapProfiles(profiles, versionChain, baseProfile, ctx, options) {
+  let mappedProfiles = [baseProfile];
+  let ret = {status: 1, data: mappedProfiles};
+  const resourceType = baseProfile.substring(baseProfile.lastIndexOf('/') + 1);
+
+  // R4B is treated as R4, e.g., ['STU3', 'R4', 'R4B', 'R5'] becomes ['STU3', 'R4', 'R5']
+  versionChain = versionChain.map(v => v === 'R4B'? 'R4': v).filter((v, i, chain) => v !== chain[i - 1]);
+
+  (Array.isArray(profiles)? profiles: []).forEach((profile, i) => {
+    if(typeof profile !== 'string' || isBaseProfile(profile, resourceType)) return;
+
+    let mapped = profile;
+    for(let v = 0; mapped && v < versionChain.length - 1; ++v) {
+      const [from, to] = versionChain.slice(v, v + 2);
+      const result = mapProfile(mapped, findMappings(from, to, options));
+      if(! result.mapped || ! result.profile) {
+        const reason = result.mapped? 'no equivalent in ' + to: `no mapping from ${from} to ${to}`;
+        updateRetStatus(ret, -1, createMsg(ctx, -1, `Removed profile ${profile}, ${reason}`,
+          {code: MsgCode.PROFILE_UNMAPPED, path: `${resourceType}.meta.profile[${i}]`, value: profile}));
+        mapped = null;
+      }
+      else {
+        mapped = result.profile;
+      }
+    }
+    if(mapped && ! mappedProfiles.includes(mapped)) {
+      mappedProfiles.push(mapped);
+    }
+  });
+
+  return ret;
+}
@@ -0,0 +1,67 @@
+// Functions for creating FHIR Provenance resources for the conversions, see the provenance conversion option
+// in qnvconv.js. The Provenance resource is created in the target version of the conversion, where:
+// - target: the converted resource
+// - entity: the source resource (role "source"), with its FHIR version, and its meta.versionId, if any.
+// - agent: the converter, with its name and version (the version in package.json, see qnvconv_version.js).
+
+import {CONVERTER_VERSION} from './qnvconv_version.js';
+
+export {
+  CONVERTER_NAME,
+  CONVERTER_VERSION,
+  createProvenance
+}
+
+const CONVERTER_NAME = 'LHC Questionnaire Version Converter';
+
+
+/**
+ * Create a reference to the given resource.
+ * @param res the resource
+ * @param ver the FHIR version of the resource, for the display.
+ * @return the reference, with the display, and the (relative) reference if the resource has an id, which
+ *         is a version specific reference if the resource has meta.versionId.
+ */
+function toReference(res, ver) {
+  let ref = {};
+  if(res.id) {
+    ref.reference = `${res.resourceType}/${res.id}` + (res.meta?.versionId? '/_history/' + res.meta.versionId: '');
+  }
+  ref.display = [res.resourceType, res.id, `(FHIR ${ver})`].filter(s => s).join(' ');
+  return ref;
+}
+
+
+/**
+ * Create the Provenance resource for the given conversion.
+ * @param source the resource before the conversion
+ * @param target the converted resource
+ * @param vFrom the FHIR version of the source resource
+ * @param vTo the FHIR version of the converted resource, which is also the version of the Provenance resource.
+ * @param recorded optional, the time the conversion was recorded (an instant), default to now.
+ * @return the Provenance resource
+ */
+function createProvenance(source, target, vFrom, vTo, recorded) {
+  const sourceRef = toReference(source, vFrom);
+  const converterRef = {display: `${CONVERTER_NAME} ${CONVERTER_VERSION}`};
+  let provenance = {
+    resourceType: 'Provenance',
+    target: [toReference(target, vTo)],
+    recorded: recorded || new Date().toISOString()
+  };
+
+  if(vTo === 'STU3') { // agent.who[x] and entity.what[x] in STU3
+    provenance.agent = [{whoReference: converterRef}];
+    provenance.entity = [{role: 'source', whatReference: sourceRef}];
+  }
+  else {
+    provenance.agent = [{
+      type: {coding: [{system: 'http://terminology.hl7.org/CodeSystem/provenance-participant-type',
+        code: 'assembler', display: 'Assembler'}]},
+      who: converterRef
+    }];
+    provenance.entity = [{role: 'source', what: sourceRef}];
+  }
+
+  return provenance;
+}
@@ -1,30 +1,53 @@
 
 // Functions for FHIR Questionnaire conversion between R4 and R5
 
-import {createMsg, updateRetStatus, addExtension, findIntVerExts, removeInterVerExts, toIntVerExtUrl} from './qnvconv_common.js';
+import {MsgCode, createMsg, updateRetStatus, addExtension, findIntVerExts, removeInterVerExts, toIntVerExtUrl,
+  copyElement, deleteElement, convertContained, checkInput} from './qnvconv_common.js';
+import {vsR5ToR4, csR5ToR4} from './qnvconv_terminology.js';
+import {keepAsExtension, replaceWithDisplayItem} from './qnvconv_policy.js';
+import {mapExtensions, mapItemExtensions} from './qnvconv_extensions.js';
 
 export {
   qnR4ToR5,
   qnR5ToR4
 }
 
+// The R5 answerConstraint on R4 items, where it can't be represented by the item type (open-choice), e.g.,
+// integer items with answerOption that allow other values, is kept as the (standard) inter-version extension
+// for Questionnaire.item.answerConstraint, regardless of the interVerExt option. It tells the renderers that
+// free entry is allowed, and it's used to restore the answerConstraint when converting back to R5.
+const answerConstraintExtUrl = toIntVerExtUrl('5.0', 'Questionnaire.item.answerConstraint');
+
 /**
  * Converting the given FHIR questionnaire resource from R4 to R5.
- * @param r4qn the R4 questionnaire to convert
+ * @param r4qn the R4 questionnaire to convert, in place (i.e., changed).
+ * @param options optional conversion options. See converter function table above for more details.
  * @return the result object that has the fields: data, status, and message, where
  *         data is the converted questionnaire. See updateRetStatus() for more details.
  */
-function qnR4ToR5(r4qn) {
+function qnR4ToR5(r4qn, options) {
+  let inputRet = checkInput(r4qn);
+  if(inputRet.status === -2) {
+    return inputRet;
+  }
   if(r4qn.resourceType !== 'Questionnaire') {
-    return {status: 0, data: r4qn, message: [createMsg(r4qn, 0, 'Not a Questionnaire resource')]}
+    return {status: 0, data: r4qn, message: [createMsg(r4qn, 0, 'Not a Questionnaire resource',
+      {code: MsgCode.NOT_CONVERTED, path: r4qn.resourceType})]}
   }
-  let r5qn = JSON.parse(JSON.stringify(r4qn)); // make a deep copy
+  let r5qn = r4qn; // converted in place, see chainedConverter() in qnvconv.js
 
   let ret = {status: 1, data: r5qn};
-  for(let item of r5qn.item || []) {
-    let subRet = qnItemR4ToR5(item);
+  (r5qn.item || []).forEach((item, i) => {
+    let subRet = qnItemR4ToR5(item, options, `Questionnaire.item[${i}]`);
     updateRetStatus(ret, subRet.status, subRet.message)
-  }
+  });
+
+  // R4 ValueSets and CodeSystems are valid in R5, as far as questionnaires are concerned.
+  let containedRet = convertContained(r5qn, {Questionnaire: qnR4ToR5}, options);
+  updateRetStatus(ret, containedRet.status, containedRet.message);
+
+  let extRet = mapExtensions(r5qn, 'R4', 'R5', options, 'Questionnaire');
+  updateRetStatus(ret, extRet.status, extRet.message);
 
   // Recover R5 data (if any) that had been preserved as inter-version extensions
   for(let extName of ['versionAlgorithm', 'copyrightLabel']) {
@@ -34,10 +57,11 @@ function qnR4ToR5(r4qn) {
     let valueKey = Object.keys(ive).find(f => f === 'valueCoding' || f === 'valueString');
     if(valueKey) {
       const fieldName = extName === 'versionAlgorithm'? extName + valueKey.substring(5): extName;
-      r5qn[fieldName] = ive[valueKey];
+      copyElement(ive, valueKey, r5qn, fieldName);
     }
     else {
-      updateRetStatus(ret, 0, extName + 'Missing valueX for inter-version extension ' + extName);
+      updateRetStatus(ret, 0, createMsg(r5qn, 0, 'Missing valueX for inter-version extension ' + extName,
+        {code: MsgCode.INVALID_INPUT, path: 'Questionnaire.extension', value: ive}));
     }
   }
 
@@ -51,68 +75,86 @@ function qnR4ToR5(r4qn) {
 /**
  * Converting the given questionnaire item from R4 to R5, in place.
  * @param item the questionnaire item to be converted from R4 to R5.
- * @return a result object with two fields, status and data (the converted item).
- *         See updateRetStatus() for more details
+ * @param options optional conversion options. See the converter function table above for more details.
+ * @param path the path of the item in the questionnaire, e.g., Questionnaire.item[2].item[0]
+ * @return the "return object", see updateRetStatus() for more details
  */
-function qnItemR4ToR5(item) {
+function qnItemR4ToR5(item, options, path) {
+  let ret = mapItemExtensions(item, 'R4', 'R5', options, path);
+
   if(item.type === 'choice') { // implies Coding answer options
     item.type = 'coding'; // the answerOptions are fine
   }
   else if(item.type === 'open-choice') {
-    item.type = 'coding';
+    // open-choice with string options (no Coding) is a string item with answerOption in R5
+    const stringOptions = item.answerOption?.length &&
+      item.answerOption.every(opt => opt.hasOwnProperty('valueString'));
+    item.type = stringOptions? 'string': 'coding';
     item.answerConstraint = 'optionsOrString';
   }
 
-  // Recover R5 data (if any) that had been preserved as inter-version extensions
+  // Recover R5 data (if any) that had been preserved as inter-version extensions, including the answerConstraint
+  // that couldn't be represented by the item type in R4, see qnItemR5ToR4().
   for(let field of ['answerConstraint', 'disabledDisplay']) {
     let ive = findIntVerExts(item, "5.0", "Questionnaire.item", field)[0];
     if(ive) {
-      item[field] = ive.valueCode;
+      copyElement(ive, 'valueCode', item, field);
     }
   }
 
   // removing inter-version extensions - can't have inter-version extensions of the same FHIR version as the resource
   removeInterVerExts(item, '5.0');
 
-  for(let subItem of item.item || []) {
-    qnItemR4ToR5(subItem);
-  }
+  (item.item || []).forEach((subItem, i) => {
+    let subRet = qnItemR4ToR5(subItem, options, `${path}.item[${i}]`);
+    updateRetStatus(ret, subRet.status, subRet.message);
+  });
 
-  return {status: 1, data: item};
+  return ret;
 }
 
 
 /**
  * Converting the given FHIR questionnaire resource from R5 to R4.
- * @param r5qn the R5 questionnaire to convert.
+ * @param r5qn the R5 questionnaire to convert, in place (i.e., changed).
  * @param options optional conversion options. See converter function table above for more details.
  * @return the result object that has the fields: data, status, and message, where
            data is the converted questionnaire. See updateRetStatus() for more details.
  */
 function qnR5ToR4(r5qn, options) {
+  let inputRet = checkInput(r5qn);
+  if(inputRet.status === -2) {
+    return inputRet;
+  }
   if(r5qn.resourceType !== 'Questionnaire') {
-    return {status: 0, data: r5qn, message: [createMsg(r5qn, 0, 'Not a Questionnaire resource')]}
+    return {status: 0, data: r5qn, message: [createMsg(r5qn, 0, 'Not a Questionnaire resource',
+      {code: MsgCode.NOT_CONVERTED, path: r5qn.resourceType})]}
   }
-  let r4qn = JSON.parse(JSON.stringify(r5qn)); // make a deep copy
+  let r4qn = r5qn; // converted in place, see chainedConverter() in qnvconv.js
 
   let ret = {status: 1, data: r4qn};
-  for(let item of r4qn.item || []) {
-    let subRet = qnItemR5ToR4(item, options);
+  (r4qn.item || []).forEach((item, i) => {
+    let subRet = qnItemR5ToR4(item, options, `Questionnaire.item[${i}]`);
     updateRetStatus(ret, subRet.status, subRet.message);
-  }
+  });
+
+  let containedRet = convertContained(r4qn, {Questionnaire: qnR5ToR4, ValueSet: vsR5ToR4, CodeSystem: csR5ToR4}, options);
+  updateRetStatus(ret, containedRet.status, containedRet.message);
+
+  let extRet = mapExtensions(r4qn, 'R5', 'R4', options, 'Questionnaire');
+  updateRetStatus(ret, extRet.status, extRet.message);
 
   for(let field of ['versionAlgorithmCoding', 'versionAlgorithmString', 'copyrightLabel']) {
     if(r4qn.hasOwnProperty(field)) {
-      if(options?.interVerExt) { // add inter-version extensions, which deletes the field afterward by default
+      if(keepAsExtension(options, MsgCode.DROPPED_ELEMENT)) { // add inter-version extensions
         const [_, iveFieldName, valueType='String'] = field.match(/(.+?)(String|Coding)?$/);
-        const ive = {
-          url: toIntVerExtUrl('5.0', 'Questionnaire.' + iveFieldName),
-          ['value' + valueType]: r4qn[field]
-        }
+        const ive = {url: toIntVerExtUrl('5.0', 'Questionnaire.' + iveFieldName)};
+        copyElement(r4qn, field, ive, 'value' + valueType);
         addExtension(r4qn, ive);
       }
-      delete r4qn[field];
-      updateRetStatus(ret, -1, createMsg(r4qn, -1, 'Dropped ' + field));
+      updateRetStatus(ret, -1, createMsg(r4qn, -1, 'Dropped ' + field,
+        {code: MsgCode.DROPPED_ELEMENT, path: 'Questionnaire.' + field, value: r4qn[field]}));
+      deleteElement(r4qn, field);
     }
   }
 
@@ -124,62 +166,94 @@ function qnR5ToR4(r5qn, options) {
  * Converting R5 item to R4 item.
  * @param item the R5 item to convert.
  * @param options optional conversion options. See the converter function table above for more details.
+ * @param path the path of the item in the questionnaire, e.g., Questionnaire.item[2].item[0]
  * @return the "return object", see updateRetStatus() for more details
  */
-function qnItemR5ToR4(item, options) {
-  let ret = {status: 1, data: item}; // successful
+function qnItemR5ToR4(item, options, path) {
+  let ret = mapItemExtensions(item, 'R5', 'R4', options, path);
 
   if(item.answerOption?.length || item.answerValueSet) {
     if(item.type === 'coding') {
       if(item.answerConstraint === 'optionsOrType') {
         item.type = 'open-choice';
-        updateRetStatus(ret, 0, createMsg(item, 0, 'optionsOrType with type coding is converted as open-choice'));
+        updateRetStatus(ret, 0, createMsg(item, 0, 'optionsOrType with type coding is converted as open-choice',
+          {code: MsgCode.APPROXIMATED, path: path + '.answerConstraint', value: item.answerConstraint}));
       }
       else {
         item.type = item.answerConstraint === 'optionsOrString'? 'open-choice': 'choice'
-        delete item.answerConstraint;
+        deleteElement(item, 'answerConstraint');
       }
     }
-    else {
-      if(item.answerConstraint && item.answerConstraint !== 'optionsOnly') {
-        updateRetStatus(ret, -1, createMsg(item, -1,
-          item.answerConstraint + ': non-coding, non-optionsOnly answerOption treated as options-only.'));
+    else if(item.answerConstraint && item.answerConstraint !== 'optionsOnly') {
+      if(item.type === 'string') { // optionsOrString is the same as open-choice with string options
+        item.type = 'open-choice';
+        if(item.answerConstraint === 'optionsOrString') {
+          deleteElement(item, 'answerConstraint');
+        }
+        else {
+          keepAnswerConstraint(item, ret, path, item.answerConstraint + ' with type string is converted as open-choice');
+        }
       }
       else {
-        delete item.answerConstraint;
+        keepAnswerConstraint(item, ret, path, item.answerConstraint + ' with type ' + item.type +
+          ' is converted as an extension that allows free entry');
       }
     }
+    else {
+      deleteElement(item, 'answerConstraint');
+    }
   }
   else if(item.type === 'coding') {
     // This may happen only if some list is specified by some extension(s). For now, we are converting
     // such items to type choice or open-choice based on the value (or absence) of the answerConstraint.
     item.type = (item.answerConstraint && item.answerConstraint !== 'optionsOnly')? 'open-choice': 'choice';
-    updateRetStatus(ret, 0, createMsg(item, 0, 'Item of type coding converted to ' + item.type));
+    updateRetStatus(ret, 0, createMsg(item, 0, 'Item of type coding converted to ' + item.type,
+      {code: MsgCode.APPROXIMATED, path: path + '.type', value: 'coding'}));
   }
   else if(item.answerConstraint) { // no equivalence in R4
-    updateRetStatus(ret, -1, createMsg(item, -1,
-      'Unable to handle answerConstraint without answerOption/answerValueSet for type ' + item.type));
+    keepAnswerConstraint(item, ret, path,
+      'answerConstraint without answerOption/answerValueSet is converted as an extension for type ' + item.type);
   }
 
   for(let field of ['answerConstraint', 'disabledDisplay']) {
     if(item[field]) {
-      if(options?.interVerExt) { // add inter-version extension
-        const ive = {
-          url: toIntVerExtUrl('5.0', 'Questionnaire.item.' + field),
-          valueCode: item[field]
-        }
+      if(keepAsExtension(options, MsgCode.DROPPED_ELEMENT)) { // add inter-version extension
+        const ive = {url: toIntVerExtUrl('5.0', 'Questionnaire.item.' + field)};
+        copyElement(item, field, ive, 'valueCode');
         addExtension(item, ive);
       }
-      delete item[field];
-      updateRetStatus(ret, -1, createMsg(item, -1, 'Dropped ') + field);
+      updateRetStatus(ret, -1, createMsg(item, -1, 'Dropped ' + field,
+        {code: MsgCode.DROPPED_ELEMENT, path: `${path}.${field}`, value: item[field]}));
+      deleteElement(item, field);
     }
   }
 
-  for(let subItem of item.item || []) {
-    let subRet = qnItemR5ToR4(subItem, options);
-    updateRetStatus(ret, subRet.status, subRet.message);
+  if(replaceWithDisplayItem(item, ret, options, path, 'R4')) {
+    return ret;
   }
 
+  (item.item || []).forEach((subItem, i) => {
+    let subRet = qnItemR5ToR4(subItem, options, `${path}.item[${i}]`);
+    updateRetStatus(ret, subRet.status, subRet.message);
+  });
+
   return ret;
 }
 
+
+/**
+ * Keep the answerConstraint of the given R5 item as the answerConstraint extension (see answerConstraintExtUrl),
+ * for the answerConstraint that can't be (fully) represented by the R4 item type, and remove it from the item.
+ * @param item the item being converted from R5 to R4.
+ * @param ret the "return object" of the item conversion, see updateRetStatus().
+ * @param path the path of the item in the questionnaire, e.g., Questionnaire.item[2].item[0]
+ * @param text the message text.
+ */
+function keepAnswerConstraint(item, ret, path, text) {
+  let ext = {url: answerConstraintExtUrl};
+  copyElement(item, 'answerConstraint', ext, 'valueCode');
+  addExtension(item, ext);
+  updateRetStatus(ret, 0, createMsg(item, 0, text,
+    {code: MsgCode.APPROXIMATED, path: path + '.answerConstraint', value: item.answerConstraint}));
+  deleteElement(item, 'answerConstraint');
+}
@@ -0,0 +1,220 @@
+// Functions for FHIR Questionnaire conversion between R5 and R6
+// R6 is still being balloted, and the Questionnaire resource is nearly unchanged from R5. Rather than
+// hard-coding a list of R6 changes that may still move, the down-conversion checks the elements against
+// the (stable) list of R5 Questionnaire elements, and anything R5 doesn't know about is either preserved
+// as an inter-version extension (if requested, with the interVerExt option or the "extension" loss policy
+// action for DROPPED_ELEMENT, and if possible) or dropped. Only the primitive values (with their _element
+// siblings) can be preserved, since the R6 types of the complex values aren't known here.
+
+import {MsgCode, createMsg, updateRetStatus, addExtension, removeInterVerExts, toIntVerExtUrl, convertContained,
+  checkInput, copyElement} from './qnvconv_common.js';
+import {keepAsExtension} from './qnvconv_policy.js';
+
+export {
+  qnR5ToR6,
+  qnR6ToR5
+}
+
+// The R5 Questionnaire elements (choice type [x] elements are listed with their types).
+const r5QnElements = new Set([
+  'resourceType', 'id', 'meta', 'implicitRules', 'language', 'text', 'contained', 'extension',
+  'modifierExtension', 'url', 'identifier', 'version', 'versionAlgorithmString', 'versionAlgorithmCoding',
+  'name', 'title', 'derivedFrom', 'status', 'experimental', 'subjectType', 'date', 'publisher', 'contact',
+  'description', 'useContext', 'jurisdiction', 'purpose', 'copyright', 'copyrightLabel', 'approvalDate',
+  'lastReviewDate', 'effectivePeriod', 'code', 'item'
+]);
+
+// The R5 Questionnaire.item elements.
+const r5ItemElements = new Set([
+  'id', 'extension', 'modifierExtension', 'linkId', 'definition', 'code', 'prefix', 'text', 'type',
+  'enableWhen', 'enableBehavior', 'disabledDisplay', 'required', 'repeats', 'readOnly', 'maxLength',
+  'answerConstraint', 'answerValueSet', 'answerOption', 'initial', 'item'
+]);
+
+
+/**
+ * Converting the given FHIR questionnaire resource from R5 to R6.
+ * @param r5qn the R5 questionnaire to convert, in place (i.e., changed).
+ * @param options optional conversion options. See converter function table above for more details.
+ * @return the result object that has the fields: data, status, and message, where
+ *         data is the converted questionnaire. See updateRetStatus() for more details.
+ */
+function qnR5ToR6(r5qn, options) {
+  let inputRet = checkInput(r5qn);
+  if(inputRet.status === -2) {
+    return inputRet;
+  }
+  if(r5qn.resourceType !== 'Questionnaire') {
+    return {status: 0, data: r5qn, message: [createMsg(r5qn, 0, 'Not a Questionnaire resource',
+      {code: MsgCode.NOT_CONVERTED, path: r5qn.resourceType})]}
+  }
+  let r6qn = r5qn; // converted in place, see chainedConverter() in qnvconv.js
+
+  let ret = {status: 1, data: r6qn};
+  (r6qn.item || []).forEach((item, i) => {
+    let subRet = qnItemR5ToR6(item, `Questionnaire.item[${i}]`);
+    updateRetStatus(ret, subRet.status, subRet.message);
+  });
+
+  // Only the contained questionnaires are converted, ValueSets and CodeSystems are left as they are.
+  let containedRet = convertContained(r6qn, {Questionnaire: qnR5ToR6}, options);
+  updateRetStatus(ret, containedRet.status, containedRet.message);
+
+  let iveRet = recoverR6InterVerExts(r6qn, 'Questionnaire', 'Questionnaire');
+  updateRetStatus(ret, iveRet.status, iveRet.message);
+
+  return ret;
+}
+
+
+/**
+ * Converting the given questionnaire item from R5 to R6, in place.
+ * @param item the questionnaire item to be converted from R5 to R6.
+ * @param path the path of the item in the questionnaire, e.g., Questionnaire.item[2].item[0]
+ * @return the "return object", see updateRetStatus() for more details
+ */
+function qnItemR5ToR6(item, path) {
+  let ret = recoverR6InterVerExts(item, 'Questionnaire.item', path);
+
+  (item.item || []).forEach((subItem, i) => {
+    let subRet = qnItemR5ToR6(subItem, `${path}.item[${i}]`);
+    updateRetStatus(ret, subRet.status, subRet.message);
+  });
+
+  return ret;
+}
+
+
+/**
+ * Recover the R6 data (if any) that had been preserved as inter-version extensions on the given element,
+ * and remove all R6 inter-version extensions from it - can't have inter-version extensions of the same
+ * FHIR version as the resource.
+ * @param ele the questionnaire or item, whose R6 inter-version extensions are to be recovered.
+ * @param extPathPrefix inter-version extension url path without the field name, e.g., "Questionnaire.item"
+ * @param path the path of the given element, e.g., Questionnaire.item[2].item[0]
+ * @return the "return object", see updateRetStatus() for more details
+ */
+function recoverR6InterVerExts(ele, extPathPrefix, path) {
+  let ret = {status: 1, data: ele};
+  const urlPrefix = toIntVerExtUrl('6.0', extPathPrefix + '.');
+
+  for(let ive of ele.extension || []) {
+    let field = ive.url?.startsWith(urlPrefix) && ive.url.substring(urlPrefix.length);
+    if(! field || field.includes('.')) continue; // sub-elements aren't preserved by qnR6ToR5()
+
+    let valueKey = Object.keys(ive).find(f => f.startsWith('value'));
+    if(valueKey) {
+      copyElement(ive, valueKey, ele, field); // along with the _valueX, if any
+    }
+    else {
+      updateRetStatus(ret, 0, createMsg(ele, 0, 'Missing valueX for inter-version extension ' + field,
+        {code: MsgCode.INVALID_INPUT, path: path + '.extension', value: ive}));
+    }
+  }
+  removeInterVerExts(ele, '6.0');
+
+  return ret;
+}
+
+
+/**
+ * Converting the given FHIR questionnaire resource from R6 to R5.
+ * @param r6qn the R6 questionnaire to convert, in place (i.e., changed).
+ * @param options optional conversion options. See converter function table above for more details.
+ * @return the result object that has the fields: data, status, and message, where
+           data is the converted questionnaire. See updateRetStatus() for more details.
+ */
+function qnR6ToR5(r6qn, options) {
+  let inputRet = checkInput(r6qn);
+  if(inputRet.status === -2) {
+    return inputRet;
+  }
+  if(r6qn.resourceType !== 'Questionnaire') {
+    return {status: 0, data: r6qn, message: [createMsg(r6qn, 0, 'Not a Questionnaire resource',
+      {code: MsgCode.NOT_CONVERTED, path: r6qn.resourceType})]}
+  }
+  let r5qn = r6qn; // converted in place, see chainedConverter() in qnvconv.js
+
+  let ret = {status: 1, data: r5qn};
+  (r5qn.item || []).forEach((item, i) => {
+    let subRet = qnItemR6ToR5(item, options, `Questionnaire.item[${i}]`);
+    updateRetStatus(ret, subRet.status, subRet.message);
+  });
+
+  // Only the contained questionnaires are converted, ValueSets and CodeSystems are left as they are.
+  let containedRet = convertContained(r5qn, {Questionnaire: qnR6ToR5}, options);
+  updateRetStatus(ret, containedRet.status, containedRet.message);
+
+  let dropRet = dropNonR5Elements(r5qn, r5QnElements, 'Questionnaire', options, 'Questionnaire');
+  updateRetStatus(ret, dropRet.status, dropRet.message);
+
+  return ret;
+}
+
+
+/**
+ * Converting R6 item to R5 item, in place.
+ * @param item the R6 item to convert.
+ * @param options optional conversion options. See the converter function table above for more details.
+ * @param path the path of the item in the questionnaire, e.g., Questionnaire.item[2].item[0]
+ * @return the "return object", see updateRetStatus() for more details
+ */
+function qnItemR6ToR5(item, options, path) {
+  let ret = dropNonR5Elements(item, r5ItemElements, 'Questionnaire.item', options, path);
+
+  (item.item || []).forEach((subItem, i) => {
+    let subRet = qnItemR6ToR5(subItem, options, `${path}.item[${i}]`);
+    updateRetStatus(ret, subRet.status, subRet.message);
+  });
+
+  return ret;
+}
+
+
+/**
+ * Drop the elements on the given questionnaire or item that do not exist in R5. If they are to be kept as
+ * extensions (see keepAsExtension() in qnvconv_policy.js), the elements with primitive values are preserved
+ * as R6 inter-version extensions, along with their _element siblings (as _valueX). Since the R6 types of such
+ * elements aren't known here, the extension value type is based on the JSON value type, i.e., valueBoolean,
+ * valueInteger, valueDecimal, or valueString. The elements with complex values (objects or arrays) can't be
+ * preserved, which is reported in the message.
+ * @param ele the questionnaire or item to be checked.
+ * @param r5Elements the set of the element names allowed in R5 for the given element.
+ * @param extPathPrefix inter-version extension url path without the field name, e.g., "Questionnaire.item"
+ * @param options optional conversion options. See the converter function table above for more details.
+ * @param path the path of the given element, e.g., Questionnaire.item[2].item[0]
+ * @return the "return object", see updateRetStatus() for more details
+ */
+function dropNonR5Elements(ele, r5Elements, extPathPrefix, options, path) {
+  let ret = {status: 1, data: ele};
+
+  const keepExt = keepAsExtension(options, MsgCode.DROPPED_ELEMENT);
+  const fields = Object.keys(ele);
+  for(let field of fields) {
+    let baseField = field.startsWith('_')? field.substring(1): field; // primitive extensions
+    if(r5Elements.has(baseField) || field !== baseField && fields.includes(baseField)) {
+      continue; // the _element is handled along with the element
+    }
+
+    let value = ele[field];
+    let text = 'Dropped ' + field;
+    if(keepExt && field === baseField) {
+      let valueType = typeof value === 'boolean'? 'Boolean':
+        typeof value === 'number'? (Number.isInteger(value)? 'Integer': 'Decimal'):
+        typeof value === 'string'? 'String': null;
+      if(valueType) {
+        let ive = {url: toIntVerExtUrl('6.0', extPathPrefix + '.' + field)};
+        copyElement(ele, field, ive, 'value' + valueType);
+        addExtension(ele, ive);
+      }
+      else {
+        text += ', unable to keep it as an inter-version extension, the R6 type of the complex value is unknown';
+      }
+    }
+    delete ele[field];
+    delete ele['_' + baseField];
+    updateRetStatus(ret, -1, createMsg(ele, -1, text, {code: MsgCode.DROPPED_ELEMENT, path: `${path}.${field}`, value}));
+  }
+
+  return ret;
+}
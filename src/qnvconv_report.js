@@ -0,0 +1,364 @@
+// The HTML report of a conversion, for reviewing what the conversion changed, item by item, e.g., before
+// publishing the converted questionnaires. The report is a self-contained HTML document (with no external
+// resources, so that it can be viewed offline), which shows:
+// - the resource level changes (the elements other than the items), and the messages not about any items.
+// - the item tree, where each item has the changed elements with the values before and after the conversion,
+//   the dropped elements (and items) highlighted, the inter-version extensions (IVE) added (or recovered
+//   from) annotated, and the conversion messages about the item (by the message path, or the linkId).
+// The items are matched by the linkId (in order, for the repeating items in questionnaire responses), where
+// the items in the converted resource without a match in the source are shown as added.
+// Bundles are reported with a section for each questionnaire (and questionnaire response) in the bundle.
+
+import {diffResources} from './qnvconv_diff.js';
+
+export {
+  createHtmlReport
+}
+
+const ivePattern = /^http:\/\/hl7\.org\/fhir\/([^/]+)\/StructureDefinition\/extension-(.+)$/;
+
+const statusLabels = {'1': 'success', '0': 'warning', '-1': 'loss', '-2': 'aborted'};
+
+const style = `
+  body { font-family: sans-serif; font-size: 14px; margin: 1em 2em; color: #222; }
+  h1 { font-size: 1.5em; } h2 { font-size: 1.25em; border-bottom: 1px solid #ccc; }
+  .summary span { margin-right: 1.5em; }
+  ul.items { list-style: none; padding-left: 1.5em; border-left: 1px dotted #bbb; }
+  li.item { margin: 0.5em 0; }
+  .item-head { padding: 2px 4px; }
+  .item-head .linkId { font-family: monospace; background: #eee; padding: 0 4px; margin-right: 0.5em; }
+  .item-head .type { color: #666; margin-left: 0.5em; }
+  li.item.changed > .item-head { background: #fff8dc; }
+  li.item.dropped > .item-head { background: #fdd; text-decoration: line-through; }
+  li.item.added > .item-head { background: #dfd; }
+  table.changes { border-collapse: collapse; margin: 4px 0 4px 1em; }
+  table.changes td, table.changes th { border: 1px solid #ccc; padding: 2px 6px; vertical-align: top; text-align: left; }
+  table.changes td.value { font-family: monospace; white-space: pre-wrap; max-width: 40em; overflow-wrap: anywhere; }
+  tr.removed { background: #fdd; } tr.added { background: #dfd; } tr.changed { background: #fff8dc; }
+  ul.notes { margin: 2px 0 2px 1em; padding-left: 1em; }
+  li.ive { color: #055; } li.msg { color: #333; }
+  .status-0 { color: #a60; } .status--1 { color: #c00; } .status--2 { color: #c00; font-weight: bold; }
+  .legend span { margin-right: 1em; padding: 0 4px; }
+`;
+
+
+/**
+ * Create the HTML report of the given conversion, see the description at the top.
+ * @param source the resource before the conversion, a questionnaire, a questionnaire response, or a bundle.
+ * @param result the result object of the conversion, see convertResource() in qnvconv.js, where the per-entry
+ *        results of a bundle are in the entries field.
+ * @param vFrom the FHIR version of the source resource
+ * @param vTo the FHIR version converted to
+ * @param title optional, the title of the report, e.g., the input file name, default to the resource id.
+ * @return the HTML document
+ */
+function createHtmlReport(source, result, vFrom, vTo, title) {
+  title = title || [source?.resourceType, source?.id].filter(s => s).join(' ');
+  let sections = [];
+  collectSections(source, result, [], sections);
+  const body = sections.length? sections.map(s => resourceSection(s, vFrom, vTo)).join('\n'):
+    '<p>No questionnaires or questionnaire responses found.</p>';
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${esc(`Conversion report: ${title} (${vFrom} to ${vTo})`)}</title>
+<style>${style}</style>
+</head>
+<body>
+<h1>${esc(`Conversion report: ${title}`)}</h1>
+<p class="summary"><span>${esc(`FHIR ${vFrom} to ${vTo}`)}</span>${statusSpan(result.status)}</p>
+<p class="legend">Legend: <span style="background: #fff8dc">changed</span><span style="background: #fdd">dropped</span>
+<span style="background: #dfd">added</span></p>
+${body}
+</body>
+</html>
+`;
+}
+
+
+/**
+ * Collect the (questionnaire and questionnaire response) resources to report from the given conversion, i.e.,
+ * the resource itself, or the resources in the bundle (including the nested bundles).
+ * @param source the resource before the conversion
+ * @param result the result object of the conversion of the resource, see createHtmlReport().
+ * @param bundlePath the list of the bundle entry indexes of the resource, empty if it's not in a bundle.
+ * @param sections the list of the collected resources, each with the fields source, converted, message,
+ *        status, and label (for the section heading).
+ */
+function collectSections(source, result, bundlePath, sections) {
+  if(source?.resourceType === 'Bundle') {
+    (result.entries || []).forEach(entRet => {
+      const resource = source.entry[entRet.index]?.resource;
+      resource && collectSections(resource, {...entRet, data: result.data?.entry?.[entRet.index]?.resource},
+        [...bundlePath, entRet.index], sections);
+    });
+  }
+  else if(source?.resourceType === 'Questionnaire' || source?.resourceType === 'QuestionnaireResponse') {
+    const label = [source.resourceType, source.id, source.title || source.name].filter(s => s).join(' ');
+    sections.push({source, converted: result.data, message: result.message || [], status: result.status,
+      label: bundlePath.map(i => `entry[${i}]`).join('.') + (bundlePath.length? ': ': '') + label});
+  }
+}
+
+
+/**
+ * Create the HTML section of the given resource.
+ * @param section the resource to report, see collectSections().
+ * @param vFrom the FHIR version of the source resource
+ * @param vTo the FHIR version converted to
+ * @return the HTML section
+ */
+function resourceSection(section, vFrom, vTo) {
+  const {source, converted} = section;
+  let itemMessages = new Map(); // the messages by the source item
+  let resourceMessages = [];
+  const itemsByPath = new Map(), itemsByLinkId = new Map();
+  walkItems(source, source.resourceType, (item, itemPath) => {
+    itemsByPath.set(itemPath, item);
+    itemsByLinkId.has(item.linkId) || itemsByLinkId.set(item.linkId, item);
+  });
+  for(let msg of section.message) {
+    const item = findMsgItem(msg, itemsByPath, itemsByLinkId);
+    item? (itemMessages.get(item) || itemMessages.set(item, []).get(item)).push(msg): resourceMessages.push(msg);
+  }
+
+  let html = [`<section>`, `<h2>${esc(section.label)}</h2>`,
+    `<p class="summary">${statusSpan(section.status)}<span>${section.message.length} message(s)</span></p>`];
+  if(! converted) {
+    html.push('<p class="status--2">The conversion was aborted, nothing to compare.</p>');
+  }
+  else {
+    html.push(changesTable(diffResources(withoutItems(source), withoutItems(converted), '')));
+    html.push(notesList(iveNotes(source, converted, vFrom, vTo), resourceMessages));
+    html.push(itemsList(source.item, converted.item, itemMessages, vFrom, vTo));
+  }
+  html.push('</section>');
+  return html.join('\n');
+}
+
+
+/**
+ * Find the (source) item the given message is about, by the message path (the closest item), or by the
+ * message context id (the linkId) if the message has no path.
+ * @param msg the message object, see createMsg() in qnvconv_common.js.
+ * @param itemsByPath the source items by their paths, e.g., Questionnaire.item[2].item[0]
+ * @param itemsByLinkId the source items by their linkIds (the first one for the repeating linkIds).
+ * @return the item, or null if the message isn't about any item.
+ */
+function findMsgItem(msg, itemsByPath, itemsByLinkId) {
+  if(msg.path) {
+    for(let path = msg.path; path.includes('.'); path = path.substring(0, path.lastIndexOf('.'))) {
+      if(itemsByPath.has(path)) {
+        return itemsByPath.get(path);
+      }
+    }
+    return null;
+  }
+  return itemsByLinkId.get(msg.ctxId) || null;
+}
+
+
+/**
+ * Walk the item tree of the given resource (or item), depth first, including the items nested in the
+ * answers (questionnaire responses).
+ * @param parent the resource or item.
+ * @param parentPath the path of the resource or item, e.g., Questionnaire.item[2]
+ * @param callback the function to call for each item, with the item and its path.
+ */
+function walkItems(parent, parentPath, callback) {
+  for(let [item, itemPath] of childItems(parent, parentPath)) {
+    callback(item, itemPath);
+    walkItems(item, itemPath, callback);
+  }
+}
+
+
+/**
+ * Get the child items of the given resource (or item), including the items nested in the answers.
+ * @param parent the resource or item.
+ * @param parentPath optional, the path of the resource or item, for the paths of the child items.
+ * @return the list of [item, path] pairs.
+ */
+function childItems(parent, parentPath) {
+  let children = (Array.isArray(parent?.item)? parent.item: []).map((item, i) => [item, `${parentPath}.item[${i}]`]);
+  (Array.isArray(parent?.answer)? parent.answer: []).forEach((answer, a) => {
+    (Array.isArray(answer?.item)? answer.item: []).forEach((item, i) =>
+      children.push([item, `${parentPath}.answer[${a}].item[${i}]`]));
+  });
+  return children.filter(([item]) => item && typeof item === 'object');
+}
+
+
+/**
+ * Make a copy of the given resource (or item) without the child items, including those in the answers.
+ * @param ele the resource or item
+ * @return the copy, for comparing the resource (or item) itself.
+ */
+function withoutItems(ele) {
+  let copy = {...ele};
+  delete copy.item;
+  if(Array.isArray(copy.answer)) {
+    copy.answer = copy.answer.map(a => {
+      let answer = {...a};
+      delete answer.item;
+      return answer;
+    });
+  }
+  return copy;
+}
+
+
+/**
+ * Create the HTML list of the given items, matched against the converted items by linkId.
+ * @param items the source items (one level)
+ * @param convItems the converted items of the same parent, if any.
+ * @param itemMessages the messages by the source item
+ * @param vFrom the FHIR version of the source resource
+ * @param vTo the FHIR version converted to
+ * @return the HTML list, or an empty string if there are no items.
+ */
+function itemsList(items, convItems, itemMessages, vFrom, vTo) {
+  let unmatched = (Array.isArray(convItems)? convItems: []).filter(item => item && typeof item === 'object');
+  let html = (Array.isArray(items)? items: []).filter(item => item && typeof item === 'object').map(item => {
+    const index = unmatched.findIndex(c => c.linkId === item.linkId);
+    const converted = index >= 0? unmatched.splice(index, 1)[0]: null;
+    return itemEntry(item, converted, itemMessages, vFrom, vTo);
+  });
+  html.push(...unmatched.map(converted => itemEntry(null, converted, itemMessages, vFrom, vTo)));
+  return html.length? `<ul class="items">\n${html.join('\n')}\n</ul>`: '';
+}
+
+
+/**
+ * Create the HTML list entry for the given item, with its changes, notes, and child items.
+ * @param item the source item, or null if the converted item has no match in the source.
+ * @param converted the converted item, or null if the item is dropped.
+ * @param itemMessages the messages by the source item
+ * @param vFrom the FHIR version of the source resource
+ * @param vTo the FHIR version converted to
+ * @return the HTML list entry.
+ */
+function itemEntry(item, converted, itemMessages, vFrom, vTo) {
+  const diffs = item && converted? diffResources(withoutItems(item), withoutItems(converted), ''): [];
+  const cls = ! converted? 'dropped': ! item? 'added': diffs.length? 'changed': 'unchanged';
+  const head = item || converted;
+  const typeHtml = item && converted && item.type !== converted.type?
+    `${esc(item.type)} &rarr; ${esc(converted.type)}`: esc(head.type);
+  const children = (ele) => childItems(ele).map(([child]) => child);
+
+  return [`<li class="item ${cls}">`,
+    `<div class="item-head"><span class="linkId">${esc(head.linkId)}</span>${esc(head.text)}` +
+      (typeHtml? `<span class="type">(${typeHtml})</span>`: '') +
+      (cls === 'dropped' || cls === 'added'? ` <em>${cls}</em>`: '') + '</div>',
+    changesTable(diffs),
+    notesList(item && converted? iveNotes(item, converted, vFrom, vTo): [], item && itemMessages.get(item) || []),
+    itemsList(children(item), children(converted), itemMessages, vFrom, vTo),
+    '</li>'].filter(s => s).join('\n');
+}
+
+
+/**
+ * Create the HTML table of the given differences, see diffResources() in qnvconv_diff.js.
+ * @param diffs the list of differences
+ * @return the HTML table, or an empty string if there are no differences.
+ */
+function changesTable(diffs) {
+  if(! diffs.length) {
+    return '';
+  }
+  const rows = diffs.map(d => `<tr class="${d.type}"><td>${esc(d.path)}</td><td>${d.type === 'removed'? 'dropped': d.type}</td>` +
+    `<td class="value">${esc(toText(d.original))}</td><td class="value">${esc(toText(d.other))}</td></tr>`);
+  return `<table class="changes">\n<tr><th>Element</th><th>Change</th><th>Before</th><th>After</th></tr>\n` +
+    rows.join('\n') + '\n</table>';
+}
+
+
+/**
+ * Find the inter-version extensions added to (or recovered from) the given element (resource or item, not
+ * including the child items) in the conversion.
+ * @param ele the element before the conversion
+ * @param converted the element after the conversion
+ * @param vFrom the FHIR version of the source resource
+ * @param vTo the FHIR version converted to
+ * @return the list of the notes (text) on the inter-version extensions.
+ */
+function iveNotes(ele, converted, vFrom, vTo) {
+  const iveElements = (e) => findIves(withoutItems(e)).map(url => url.match(ivePattern)[2]);
+  const [before, after] = [iveElements(ele), iveElements(converted)];
+  return [
+    ...after.filter(e => ! before.includes(e)).map(e => `${e} kept as an inter-version extension (not in ${vTo})`),
+    ...before.filter(e => ! after.includes(e)).map(e => `${e} recovered from the inter-version extension (from ${vFrom})`)
+  ];
+}
+
+
+/**
+ * Find the inter-version extension urls in the given value, recursively.
+ * @param value the value (any JSON value), e.g., an item without the child items.
+ * @return the list of the inter-version extension urls found.
+ */
+function findIves(value) {
+  let urls = [];
+  if(Array.isArray(value)) {
+    value.forEach(v => urls.push(...findIves(v)));
+  }
+  else if(value && typeof value === 'object') {
+    for(let [key, v] of Object.entries(value)) {
+      if(key === 'extension' && Array.isArray(v)) {
+        v.forEach(ext => ivePattern.test(ext?.url) && urls.push(ext.url));
+      }
+      urls.push(...findIves(v));
+    }
+  }
+  return urls;
+}
+
+
+/**
+ * Create the HTML list of the given notes and messages.
+ * @param notes the notes on the inter-version extensions, see iveNotes().
+ * @param messages the conversion messages, see createMsg() in qnvconv_common.js.
+ * @return the HTML list, or an empty string if there are no notes or messages.
+ */
+function notesList(notes, messages) {
+  const entries = [
+    ...notes.map(note => `<li class="ive">IVE: ${esc(note)}</li>`),
+    ...messages.map(m => `<li class="msg status-${m.status}">` +
+      esc([statusLabels[m.status] || m.status, m.step, m.code].filter(s => s !== undefined).join(' | ')) +
+      `: ${esc(m.text)}` + (m.path? ` <code>${esc(m.path)}</code>`: '') + '</li>')
+  ];
+  return entries.length? `<ul class="notes">\n${entries.join('\n')}\n</ul>`: '';
+}
+
+
+/**
+ * Create the HTML span for the given status.
+ * @param status the status code, see updateRetStatus() in qnvconv_common.js.
+ * @return the HTML span
+ */
+function statusSpan(status) {
+  return `<span class="status-${status}">Status: ${status} (${statusLabels[status] || 'unknown'})</span>`;
+}
+
+
+/**
+ * Format the given JSON value as text for the report.
+ * @param value the value, where undefined is formatted as an empty string.
+ * @return the text
+ */
+function toText(value) {
+  return value === undefined? '': typeof value === 'string'? value: JSON.stringify(value, null, 2);
+}
+
+
+/**
+ * Escape the given text for HTML.
+ * @param text the text, where undefined and null are escaped as an empty string.
+ * @return the escaped text
+ */
+function esc(text) {
+  return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -1,88 +1,245 @@
 
 
 // Functions for FHIR Questionnaire conversion between STU3 and R4
-
-import {createMsg, updateRetStatus, findChoiceX} from './qnvconv_common.js';
+//
+// The R4 enableWhen, initial, and answerOption entries that can't be converted to STU3 are kept (if requested)
+// as the complex inter-version extensions, with the sub-extensions defined by HL7 (see elementToComplexIve()).
+// Their positions in the R4 lists, for restoring the list order when converted back to R4, are kept in the
+// converter-owned IVE_INDEX_URL extension on the inter-version extension, rather than an additional
+// sub-extension, so that the inter-version extensions still conform to their HL7 definitions.
+
+import {MsgCode, createMsg, updateRetStatus, findChoiceX, addExtension, findIntVerExts, removeInterVerExts,
+  toIntVerExtUrl, copyElement, moveElement, deleteElement, convertContained, checkInput} from './qnvconv_common.js';
+import {vsR3ToR4, vsR4ToR3, csR3ToR4, csR4ToR3} from './qnvconv_terminology.js';
+import {keepAsExtension, replaceWithDisplayItem} from './qnvconv_policy.js';
+import {mapExtensions, mapItemExtensions} from './qnvconv_extensions.js';
+import {ENABLE_WHEN_EXPR_URL, enableWhenToExpression, expressionToEnableWhen} from './qnvconv_expression.js';
 
 export {
+  IVE_INDEX_URL,
   qnR3ToR4,
   qnR4ToR3
 }
 
+const IVE_INDEX_URL = 'http://lhcforms.nlm.nih.gov/fhir/StructureDefinition/lhc-qnvconv-ive-index';
+
 /**
  * Converting the given FHIR questionnaire resource from STU3 to R4.
- * @param r3qn the STU3 questionnaire to convert
+ * @param r3qn the STU3 questionnaire to convert, in place (i.e., changed).
+ * @param options optional conversion options. See converter function table in qnvconv.js for more details.
+ * @param container optional, the resource that contains the questionnaire, if it's a contained one, see
+ *        convertContained(), whose contained ValueSets can be referenced by the questionnaire items.
  * @return the result object that has the fields: data, status, and message, where
  *         data is the converted questionnaire. See updateRetStatus() for more details.
  */
-function qnR3ToR4(r3qn) {
+function qnR3ToR4(r3qn, options, container) {
+  let inputRet = checkInput(r3qn);
+  if(inputRet.status === -2) {
+    return inputRet;
+  }
   if(r3qn.resourceType !== 'Questionnaire') {
-    return {status: 0, data: r3qn, message: [createMsg(r3qn, 0, 'Not a Questionnaire resource')]}
+    return {status: 0, data: r3qn, message: [createMsg(r3qn, 0, 'Not a Questionnaire resource',
+      {code: MsgCode.NOT_CONVERTED, path: r3qn.resourceType})]}
   }
-  let r4qn = JSON.parse(JSON.stringify(r3qn)); // make a deep copy
+  let r4qn = r3qn; // converted in place, see chainedConverter() in qnvconv.js
 
   let ret = {status: 1, data: r4qn};
-  for(let item of r4qn.item || []) {
-    let subRet = qnItemR3ToR4(item);
+  (r4qn.item || []).forEach((item, i) => {
+    let subRet = qnItemR3ToR4(item, options, [r4qn, container], `Questionnaire.item[${i}]`);
     updateRetStatus(ret, subRet.status, subRet.message);
+  });
+
+  let containedRet = convertContained(r4qn, {Questionnaire: qnR3ToR4, ValueSet: vsR3ToR4, CodeSystem: csR3ToR4}, options);
+  updateRetStatus(ret, containedRet.status, containedRet.message);
+
+  let extRet = mapExtensions(r4qn, 'STU3', 'R4', options, 'Questionnaire');
+  updateRetStatus(ret, extRet.status, extRet.message);
+
+  // Recover R4 data (if any) that had been preserved as inter-version extensions
+  let derivedFromIves = findIntVerExts(r4qn, '4.0', 'Questionnaire', 'derivedFrom');
+  if(derivedFromIves.length) {
+    r4qn.derivedFrom = derivedFromIves.map(ive => ive.valueUri);
+    if(derivedFromIves.some(ive => ive._valueUri)) { // array-aligned primitive extensions
+      r4qn._derivedFrom = derivedFromIves.map(ive => ive._valueUri || null);
+    }
   }
+  // removing inter-version extensions - can't have inter-version extensions of the same FHIR version as the resource
+  removeInterVerExts(r4qn, '4.0');
 
   return ret;
 }
 
 
 /**
- * Stop processing if the status is -1.
- * @param item
- * @return {{status: number}}
+ * Converting the given questionnaire item from STU3 to R4, in place.
+ * @param item the questionnaire item to be converted from STU3 to R4.
+ * @param options optional conversion options. See converter function table in qnvconv.js for more details.
+ * @param hosts the questionnaire the item belongs to, and its container (if any), for resolving references to
+ *        the contained resources.
+ * @param path the path of the item in the questionnaire, e.g., Questionnaire.item[2].item[0]
+ * @return the "return object", see updateRetStatus() for more details
  */
-function qnItemR3ToR4(item) {
-  let ret = {status: 1, data: item}; // successful
+function qnItemR3ToR4(item, options, hosts, path) {
+  let ret = mapItemExtensions(item, 'STU3', 'R4', options, path);
 
-  let ewRet = enableWhenR3ToR4(item);
+  let ewRet = enableWhenR3ToR4(item, path);
   updateRetStatus(ret, ewRet.status, ewRet.message);
 
-  let optRet = answerOptionsR3ToR4(item);
+  let optRet = answerOptionsR3ToR4(item, options, hosts, path);
   updateRetStatus(ret, optRet.status, optRet.message);
 
   let {srcX: initialX, toX: valueX} = findChoiceX(item, 'initial', 'value');
   if(initialX) {
-    item.initial = [{ [valueX]: item[initialX] }];
-    delete item[initialX];
+    item.initial = [{}];
+    moveElement(item, initialX, item.initial[0], valueX);
   }
 
-  for(let subItem of item.item || []) {
-    let subRet = qnItemR3ToR4(subItem);
-    updateRetStatus(ret, subRet.status, subRet.message);
+  if(options?.enableWhenExpr) {
+    enableWhenExprR3ToR4(item);
+  }
+
+  recoverItemR4InterVerExts(item);
+
+  if(replaceWithDisplayItem(item, ret, options, path, 'R4')) {
+    return ret;
   }
 
+  (item.item || []).forEach((subItem, i) => {
+    let subRet = qnItemR3ToR4(subItem, options, hosts, `${path}.item[${i}]`);
+    updateRetStatus(ret, subRet.status, subRet.message);
+  });
+
   return ret;
 }
 
 
+/**
+ * Replace the SDC enableWhenExpression extension on the given item, if any, with the equivalent enableWhen
+ * conditions (and enableBehavior), if the expression is simple enough, i.e., in the form created by
+ * enableWhenExprR4ToR3(). The item is not changed if it already has enableWhen.
+ * @param item the questionnaire item (already converted to R4 otherwise)
+ */
+function enableWhenExprR3ToR4(item) {
+  let extIndex = item.extension?.findIndex(ext => ext.url === ENABLE_WHEN_EXPR_URL);
+  if(item.enableWhen || ! (extIndex >= 0)) {
+    return;
+  }
+
+  let ext = item.extension[extIndex];
+  let converted = ext.valueExpression?.language === 'text/fhirpath' && expressionToEnableWhen(ext.valueExpression.expression);
+  if(converted) {
+    Object.assign(item, converted);
+    item.extension.splice(extIndex, 1);
+    if(! item.extension.length) {
+      delete item.extension;
+    }
+  }
+}
+
+
+/**
+ * Recover the R4 data (if any) that had been preserved as inter-version extensions on the given item
+ * by qnItemR4ToR3(), and remove all the R4 inter-version extensions from the item.
+ * The recovered enableWhen, initial, and answerOption entries are inserted back at their original positions
+ * among the converted STU3 ones (see elementToComplexIve()), or added after them if the positions are unknown.
+ * @param item the questionnaire item (already converted to R4 otherwise)
+ */
+function recoverItemR4InterVerExts(item) {
+  let recovered = [];
+  for(let ive of findIntVerExts(item, '4.0', 'Questionnaire.item', 'enableBehavior', 'enableWhen', 'initial', 'answerOption')) {
+    const field = ive.url.substring(ive.url.lastIndexOf('.') + 1);
+    if(field === 'enableBehavior') {
+      copyElement(ive, 'valueCode', item, 'enableBehavior');
+    }
+    else {
+      const index = ive.extension?.find(subExt => subExt.url === IVE_INDEX_URL)?.valueInteger;
+      recovered.push({field, index: index ?? Infinity, ele: complexIveToElement(ive, field === 'enableWhen'? 'answer': 'value')});
+    }
+  }
+  // in the order of the original positions, so that each entry is inserted where it was.
+  recovered.sort((a, b) => a.index - b.index).forEach(({field, index, ele}) =>
+    (item[field] = item[field] || []).splice(index, 0, ele));
+
+  // removing inter-version extensions - can't have inter-version extensions of the same FHIR version as the resource
+  removeInterVerExts(item, '4.0');
+}
+
+
+/**
+ * Create an inter-version extension for a complex element (e.g., an enableWhen or initial entry), where each
+ * field of the element becomes a sub-extension, as described in https://build.fhir.org/versions.html#extensions.
+ * Choice type fields (e.g., answerDecimal) become value[x] of the sub-extension with the choice name as its url.
+ * The position of the element in its list is kept in the IVE_INDEX_URL extension, after the sub-extensions.
+ * @param ivePath the inter-version extension url path, e.g., Questionnaire.item.enableWhen
+ * @param ele the element to be preserved
+ * @param choicePrefix the choice type [x] prefix in the element, e.g., "answer", "value"
+ * @param fieldTypes a mapping from the non-choice field names to their value types, e.g., {question: 'String'}
+ * @param index the index of the element in its list, e.g., 1 for enableWhen[1].
+ * @return the inter-version extension
+ */
+function elementToComplexIve(ivePath, ele, choicePrefix, fieldTypes, index) {
+  let ive = {url: toIntVerExtUrl('4.0', ivePath), extension: []};
+  for(let field of Object.keys(ele)) {
+    if(field.startsWith(choicePrefix)) {
+      let subExt = {url: choicePrefix};
+      copyElement(ele, field, subExt, 'value' + field.substring(choicePrefix.length));
+      ive.extension.push(subExt);
+    }
+    else if(fieldTypes[field]) {
+      let subExt = {url: field};
+      copyElement(ele, field, subExt, 'value' + fieldTypes[field]);
+      ive.extension.push(subExt);
+    }
+  }
+  ive.extension.push({url: IVE_INDEX_URL, valueInteger: index});
+  return ive;
+}
+
+
+/**
+ * The reverse of elementToComplexIve(), i.e., recover the element from the given inter-version extension.
+ * @param ive the inter-version extension created by elementToComplexIve()
+ * @param choicePrefix the choice type [x] prefix in the element, e.g., "answer", "value"
+ * @return the recovered element
+ */
+function complexIveToElement(ive, choicePrefix) {
+  let ele = {};
+  for(let subExt of (ive.extension || []).filter(subExt => subExt.url !== IVE_INDEX_URL)) {
+    let {srcX: valueX, toX: fieldX} = findChoiceX(subExt, 'value', subExt.url === choicePrefix? choicePrefix: 'value');
+    if(valueX) {
+      copyElement(subExt, valueX, ele, subExt.url === choicePrefix? fieldX: subExt.url);
+    }
+  }
+  return ele;
+}
+
+
 /**
  * Convert the given item's enableWhen (list) in-place.
  * @param item the item whose enableWhen is to be converted.
+ * @param path the path of the item in the questionnaire, e.g., Questionnaire.item[2].item[0]
  * @return {{data, status: number}}
  */
-function enableWhenR3ToR4(item) {
+function enableWhenR3ToR4(item, path) {
   let ret = {status: 1, data: item};
 
   if(!item.enableWhen || !item.enableWhen.length) return ret;
 
-  item.enableWhen = item.enableWhen.map(ew => {
+  item.enableWhen = item.enableWhen.map((ew, i) => {
     if(ew.hasOwnProperty('hasAnswer')) {
       ew.operator = 'exists';
-      ew.answerBoolean = ew.hasAnswer;
-      delete ew.hasAnswer;
+      moveElement(ew, 'hasAnswer', ew, 'answerBoolean');
     }
     else { // answer[X]
-      ew.operator = '=';
       let {srcX: answerX} = findChoiceX(ew, 'answer');
       if(answerX === 'answerUri' || answerX === 'answerAttachment') { // not in R4
-        updateRetStatus(ret, -1, createMsg(item, -1, answerX + ' dropped from enableWhen'));
+        updateRetStatus(ret, -1, createMsg(item, -1, answerX + ' dropped from enableWhen',
+          {code: MsgCode.TYPE_UNSUPPORTED, path: `${path}.enableWhen[${i}]`, value: ew}));
         ew = null; // entry to be filtered out next.
       }
+      else {
+        ew.operator = '=';
+      }
     }
     return ew;
   }).filter(ew => ew);
@@ -96,27 +253,54 @@ function enableWhenR3ToR4(item) {
 
 
 /**
- * Convert the given item's option and options to the R4 counterpart.
+ * Convert the given item's option and options to the R4 counterpart. For item.options.reference:
+ * - absolute urls are used as the answerValueSet canonical as they are.
+ * - references to contained ValueSets (e.g., #vs1) are used as the answerValueSet as they are, which is
+ *   how canonical references to contained resources are made in R4.
+ * - other (relative) references (e.g., ValueSet/123) are resolved to the ValueSet canonical url using
+ *   options.valueSetResolver, if provided.
  * @param item the item whose option and options are to be converted.
+ * @param options optional conversion options. See converter function table in qnvconv.js for more details.
+ * @param hosts the questionnaire the item belongs to, and its container (if any), for checking the contained
+ *        ValueSets.
+ * @param path the path of the item in the questionnaire, e.g., Questionnaire.item[2].item[0]
  * @return {{data, status: number}}
  */
-function answerOptionsR3ToR4(item) {
+function answerOptionsR3ToR4(item, options, hosts, path) {
   let ret = {status: 1, data: item};
 
   if(item.options) {
-    if(item.options.reference?.startsWith('http')) {
-      item.answerValueSet = item.options.reference;
-      updateRetStatus(ret, 0, createMsg(item, 0, 'Using item.options.reference as answerOption canonical.'));
+    const ref = item.options.reference;
+    const details = {path: path + '.options', value: item.options};
+    if(ref?.startsWith('http')) {
+      copyElement(item.options, 'reference', item, 'answerValueSet');
+      updateRetStatus(ret, 0, createMsg(item, 0, 'Using item.options.reference as answerOption canonical.',
+        {...details, code: MsgCode.REFERENCE_CONVERTED}));
+    }
+    else if(ref?.startsWith('#')) {
+      copyElement(item.options, 'reference', item, 'answerValueSet');
+      if(! findContainedValueSet(hosts, vs => '#' + vs.id === ref)) {
+        updateRetStatus(ret, 0, createMsg(item, 0, 'Contained ValueSet not found for item.options.reference ' + ref,
+          {...details, code: MsgCode.REFERENCE_UNRESOLVED}));
+      }
     }
     else {
-      updateRetStatus(ret, -1, createMsg(item, -1, 'Unable to convert item.options.'));
+      const canonical = ref && options?.valueSetResolver?.(ref);
+      if(canonical) {
+        item.answerValueSet = canonical;
+        updateRetStatus(ret, 0, createMsg(item, 0, `item.options.reference ${ref} resolved to answerValueSet ${canonical}`,
+          {...details, code: MsgCode.REFERENCE_CONVERTED}));
+      }
+      else {
+        updateRetStatus(ret, -1, createMsg(item, -1, 'Unable to convert item.options.',
+          {...details, code: MsgCode.REFERENCE_UNRESOLVED}));
+      }
     }
-    delete item.options;
+    deleteElement(item, 'options');
   }
 
   if(item.option) {
-    item.answerOption = item.option;
-    delete item.option;
+    moveElement(item, 'option', item, 'answerOption');
   }
 
   return ret;
@@ -125,25 +309,47 @@ function answerOptionsR3ToR4(item) {
 
 /**
  * Converting the given FHIR questionnaire resource from R4 to STU3.
- * @param r4qn the R4 questionnaire to convert
+ * @param r4qn the R4 questionnaire to convert, in place (i.e., changed).
+ * @param options optional conversion options. See converter function table in qnvconv.js for more details.
+ * @param container optional, the resource that contains the questionnaire, if it's a contained one, see
+ *        convertContained(), whose contained ValueSets can be referenced by the questionnaire items.
  * @return the result object that has the fields: data, status, and message, where
  *         data is the converted questionnaire. See updateRetStatus() for more details.
  */
-function qnR4ToR3(r4qn) {
+function qnR4ToR3(r4qn, options, container) {
+  let inputRet = checkInput(r4qn);
+  if(inputRet.status === -2) {
+    return inputRet;
+  }
   if(r4qn.resourceType !== 'Questionnaire') {
-    return {status: 0, data: r4qn, message: [createMsg(r4qn, 0, 'Not a Questionnaire resource')]}
+    return {status: 0, data: r4qn, message: [createMsg(r4qn, 0, 'Not a Questionnaire resource',
+      {code: MsgCode.NOT_CONVERTED, path: r4qn.resourceType})]}
   }
-  let r3qn = JSON.parse(JSON.stringify(r4qn)); // make a deep copy
+  let r3qn = r4qn; // converted in place, see chainedConverter() in qnvconv.js
 
   let ret = {status: 1, data: r3qn};
-  for(let item of r3qn.item || []) {
-    let subRet = qnItemR4ToR3(item);
+  (r3qn.item || []).forEach((item, i) => {
+    let subRet = qnItemR4ToR3(item, options, [r3qn, container], `Questionnaire.item[${i}]`);
     updateRetStatus(ret, subRet.status, subRet.message);
-  }
+  });
+
+  let containedRet = convertContained(r3qn, {Questionnaire: qnR4ToR3, ValueSet: vsR4ToR3, CodeSystem: csR4ToR3}, options);
+  updateRetStatus(ret, containedRet.status, containedRet.message);
+
+  let extRet = mapExtensions(r3qn, 'R4', 'STU3', options, 'Questionnaire');
+  updateRetStatus(ret, extRet.status, extRet.message);
 
   if(r3qn.derivedFrom) {
-    delete r3qn.derivedFrom;
-    updateRetStatus(ret, -1, createMsg(r3qn, -1, 'derivedFrom is not supported in STU3, deleted'));
+    if(keepAsExtension(options, MsgCode.DROPPED_ELEMENT)) { // canonical is not available in STU3, using uri instead.
+      [].concat(r3qn.derivedFrom).forEach((df, i) => addExtension(r3qn, {
+        url: toIntVerExtUrl('4.0', 'Questionnaire.derivedFrom'),
+        valueUri: df,
+        ...(r3qn._derivedFrom?.[i] && {_valueUri: r3qn._derivedFrom[i]}) // array-aligned primitive extensions
+      }));
+    }
+    updateRetStatus(ret, -1, createMsg(r3qn, -1, 'derivedFrom is not supported in STU3, deleted',
+      {code: MsgCode.DROPPED_ELEMENT, path: 'Questionnaire.derivedFrom', value: r3qn.derivedFrom}));
+    deleteElement(r3qn, 'derivedFrom');
   }
 
   return ret;
@@ -152,40 +358,94 @@ function qnR4ToR3(r4qn) {
 
 /**
  * Convert the given item from R4 to STU3, in-place
- * @param item
- * @return {{status: number}}
+ * @param item the R4 item to convert.
+ * @param options optional conversion options. See converter function table in qnvconv.js for more details.
+ * @param hosts the questionnaire the item belongs to, and its container (if any), for resolving references to
+ *        the contained resources.
+ * @param path the path of the item in the questionnaire, e.g., Questionnaire.item[2].item[0]
+ * @return the "return object", see updateRetStatus() for more details
  */
-function qnItemR4ToR3(item) {
-  let ret = {status: 1, data: item}; // successful
+function qnItemR4ToR3(item, options, hosts, path) {
+  let ret = mapItemExtensions(item, 'R4', 'STU3', options, path);
+  if(options?.enableWhenExpr) {
+    let exprRet = enableWhenExprR4ToR3(item, path);
+    updateRetStatus(ret, exprRet.status, exprRet.message);
+  }
+
   if(item.enableBehavior) {
-    delete item.enableBehavior;
-    updateRetStatus(ret, -1, createMsg(item, -1, 'enableBehavior is not supported in STU3, deleted'));
+    if(keepAsExtension(options, MsgCode.DROPPED_ELEMENT)) {
+      let ive = {url: toIntVerExtUrl('4.0', 'Questionnaire.item.enableBehavior')};
+      copyElement(item, 'enableBehavior', ive, 'valueCode');
+      addExtension(item, ive);
+    }
+    updateRetStatus(ret, -1, createMsg(item, -1, 'enableBehavior is not supported in STU3, deleted',
+      {code: MsgCode.DROPPED_ELEMENT, path: path + '.enableBehavior', value: item.enableBehavior}));
+    deleteElement(item, 'enableBehavior');
   }
 
-  let ewRet = enableWhenR4ToR3(item);
+  let ewRet = enableWhenR4ToR3(item, options, path);
   updateRetStatus(ret, ewRet.status, ewRet.message);
 
-  let optRet = answerOptionsR4ToR3(item);
+  let optRet = answerOptionsR4ToR3(item, options, hosts, path);
   updateRetStatus(ret, optRet.status, optRet.message);
 
   if(item.initial && item.initial.length) {
     let valueKey = Object.keys(item.initial[0]).find(f => f.startsWith('value'));
     if(valueKey) {
-      let initialKey = 'initial' + valueKey.substring(5);
-      item[initialKey] = item.initial[0][valueKey];
+      copyElement(item.initial[0], valueKey, item, 'initial' + valueKey.substring(5));
     }
     else {
-      updateRetStatus(ret, -1, createMsg(item, -1, 'Failed to convert item.initial[0]'));
+      updateRetStatus(ret, -1, createMsg(item, -1, 'Failed to convert item.initial[0]',
+        {code: MsgCode.DROPPED_ELEMENT, path: path + '.initial[0]', value: item.initial[0]}));
     }
     if(item.initial.length > 1) {
-      updateRetStatus(ret, -1, createMsg(item, -1, 'All but the first item.initial have been dropped.'));
+      if(keepAsExtension(options, MsgCode.DROPPED_ELEMENT)) {
+        item.initial.slice(1).forEach((init, i) =>
+          addExtension(item, elementToComplexIve('Questionnaire.item.initial', init, 'value', {}, i + 1)));
+      }
+      updateRetStatus(ret, -1, createMsg(item, -1, 'All but the first item.initial have been dropped.',
+        {code: MsgCode.DROPPED_ELEMENT, path: path + '.initial', value: item.initial.slice(1)}));
     }
   }
   delete item.initial;
 
-  for(let subItem of item.item || []) {
-    let subRet = qnItemR4ToR3(subItem);
+  if(replaceWithDisplayItem(item, ret, options, path, 'STU3')) {
+    return ret;
+  }
+
+  (item.item || []).forEach((subItem, i) => {
+    let subRet = qnItemR4ToR3(subItem, options, hosts, `${path}.item[${i}]`);
     updateRetStatus(ret, subRet.status, subRet.message);
+  });
+
+  return ret;
+}
+
+
+/**
+ * Replace the given item's enableWhen (and enableBehavior) with the equivalent SDC enableWhenExpression
+ * extension, if the enableWhen conditions can't be represented in STU3, i.e., with operators other than
+ * "=" and "exists", or with enableBehavior for multiple conditions. The item is not changed if the
+ * conditions can't be translated, or if the item already has an enableWhenExpression.
+ * @param item the item whose enableWhen is to be converted.
+ * @param path the path of the item in the questionnaire, e.g., Questionnaire.item[2].item[0]
+ * @return {{data, status: number}}
+ */
+function enableWhenExprR4ToR3(item, path) {
+  let ret = {status: 1, data: item};
+  const unsupported = item.enableWhen?.some(ew => ew.operator !== '=' && ew.operator !== 'exists') ||
+    item.enableBehavior && item.enableWhen?.length > 1;
+  if(! unsupported || item.extension?.some(ext => ext.url === ENABLE_WHEN_EXPR_URL)) {
+    return ret;
+  }
+
+  let expression = enableWhenToExpression(item.enableWhen, item.enableBehavior);
+  if(expression) {
+    addExtension(item, {url: ENABLE_WHEN_EXPR_URL, valueExpression: {language: 'text/fhirpath', expression}});
+    updateRetStatus(ret, 0, createMsg(item, 0, 'enableWhen converted to enableWhenExpression: ' + expression,
+      {code: MsgCode.EXPRESSION_TRANSLATED, path: path + '.enableWhen', value: item.enableWhen}));
+    delete item.enableWhen;
+    deleteElement(item, 'enableBehavior');
   }
 
   return ret;
@@ -195,23 +455,29 @@ function qnItemR4ToR3(item) {
 /**
  * Convert the given item's enableWhen (list) in-place.
  * @param item the item whose enableWhen is to be converted.
+ * @param options optional conversion options. See converter function table in qnvconv.js for more details.
+ * @param path the path of the item in the questionnaire, e.g., Questionnaire.item[2].item[0]
  * @return {{data, status: number}}
  */
-function enableWhenR4ToR3(item) {
+function enableWhenR4ToR3(item, options, path) {
   let ret = {status: 1, data: item};
   if(!item.enableWhen || !item.enableWhen.length) return ret;
 
-  item.enableWhen = item.enableWhen.map(ew => {
+  item.enableWhen = item.enableWhen.map((ew, i) => {
     if(ew.operator === 'exists') {
-      ew.hasAnswer = ew.answerBoolean;
-      delete ew.answerBoolean;
+      moveElement(ew, 'answerBoolean', ew, 'hasAnswer');
     }
     else if(ew.operator !== '=') {
-      updateRetStatus(ret, -1, createMsg(item, -1, 'Unable to convert enableWhen with operator ' + ew.operator));
+      if(keepAsExtension(options, MsgCode.OPERATOR_UNSUPPORTED)) {
+        addExtension(item, elementToComplexIve('Questionnaire.item.enableWhen', ew, 'answer',
+          {question: 'String', operator: 'Code'}, i));
+      }
+      updateRetStatus(ret, -1, createMsg(item, -1, 'Unable to convert enableWhen with operator ' + ew.operator,
+        {code: MsgCode.OPERATOR_UNSUPPORTED, path: `${path}.enableWhen[${i}]`, value: {...ew}}));
       ew = null; // to be filtered out next.
     }
     if(ew) {
-      delete ew.operator;
+      deleteElement(ew, 'operator');
     }
     return ew;
   }).filter(ew => ew);
@@ -226,42 +492,65 @@ function enableWhenR4ToR3(item) {
 
 /**
  * Convert the given item's answerValueSet and answerOption from R4 to their counterparts in STU3.
+ * If the answerValueSet refers to a contained ValueSet, either by #id or by its canonical url, it's
+ * converted to the STU3 reference to the contained ValueSet, i.e., #id.
  * @param item the item whose enableWhen is to be converted.
+ * @param options optional conversion options. See converter function table in qnvconv.js for more details.
+ * @param hosts the questionnaire the item belongs to, and its container (if any), for checking the contained
+ *        ValueSets.
+ * @param path the path of the item in the questionnaire, e.g., Questionnaire.item[2].item[0]
  * @return {{data, status: number}}
  */
-function answerOptionsR4ToR3(item) {
+function answerOptionsR4ToR3(item, options, hosts, path) {
   let ret = {status: 1, data: item};
 
   if(item.answerValueSet) {
-    item.options = {reference: item.answerValueSet};
-    updateRetStatus(ret, 0, createMsg(item, 0, 'Using item.answerValueSet as item.options.reference.'));
-    delete item.answerValueSet;
+    const canonical = item.answerValueSet;
+    const containedVS = findContainedValueSet(hosts, vs => '#' + vs.id === canonical ||
+      vs.url && (vs.url === canonical || vs.url + '|' + vs.version === canonical));
+    item.options = {};
+    moveElement(item, 'answerValueSet', item.options, 'reference');
+    if(containedVS) {
+      item.options.reference = '#' + containedVS.id;
+    }
+    else {
+      updateRetStatus(ret, 0, createMsg(item, 0, 'Using item.answerValueSet as item.options.reference.',
+        {code: MsgCode.REFERENCE_CONVERTED, path: path + '.answerValueSet', value: canonical}));
+    }
   }
 
   if(item.answerOption) {
     let initialXSet = false;
-    item.option = item.answerOption.map(opt => {
+    item.option = item.answerOption.map((opt, i) => {
       if(opt.valueReference) {
+        if(keepAsExtension(options, MsgCode.TYPE_UNSUPPORTED)) {
+          addExtension(item, elementToComplexIve('Questionnaire.item.answerOption', opt, 'value',
+            {initialSelected: 'Boolean'}, i));
+        }
+        updateRetStatus(ret, -1, createMsg(item, -1, 'deleted answerOption.valueReference',
+          {code: MsgCode.TYPE_UNSUPPORTED, path: `${path}.answerOption[${i}]`, value: {...opt}}));
         delete opt.valueReference;
-        updateRetStatus(ret, -1, createMsg(item, -1, 'deleted answerOption.valueReference'));
         return null; // filter out the valueReference next.
       }
 
       if(opt.hasOwnProperty('initialSelected')) {
-        delete opt.initialSelected;
         let {srcX: valueX, toX: initialX} = findChoiceX(opt, 'value', 'initial');
         if(initialXSet) {
-          updateRetStatus(ret, -1, createMsg(item, -1, 'ignored answerOption.initialSelected for ' + opt[valueX]));
+          updateRetStatus(ret, -1, createMsg(item, -1, 'ignored answerOption.initialSelected for ' + opt[valueX],
+            {code: MsgCode.DROPPED_ELEMENT, path: `${path}.answerOption[${i}].initialSelected`, value: opt.initialSelected}));
         }
-        else {
-          item[initialX] = opt[valueX];
+        else if(opt.initialSelected) {
+          copyElement(opt, valueX, item, initialX);
+          initialXSet = true;
         }
+        deleteElement(opt, 'initialSelected');
       }
       return opt;
     }).filter(opt => opt);
 
     if(item.option.length < item.answerOption.length) {
-      updateRetStatus(ret, -1, createMsg(item, -1, 'answerOption entries with valueReference have been dropped.'))
+      updateRetStatus(ret, -1, createMsg(item, -1, 'answerOption entries with valueReference have been dropped.',
+        {code: MsgCode.DROPPED_ELEMENT, path: path + '.answerOption'}))
     }
     if(item.option.length === 0) {
       delete item.option;
@@ -272,3 +561,16 @@ function answerOptionsR4ToR3(item) {
   return ret;
 }
 
+
+/**
+ * Find the contained ValueSet that meets the given criteria in the given resources, i.e., in the questionnaire,
+ * and then in its container, if it's a contained questionnaire, in which case the references to the contained
+ * resources (#id) are to those in the container.
+ * @param hosts the questionnaire and its container (if any).
+ * @param criteria the function that takes a ValueSet and returns true if it's the one to be found.
+ * @return the contained ValueSet found, or undefined if not found.
+ */
+function findContainedValueSet(hosts, criteria) {
+  return hosts.flatMap(res => res?.contained || [])
+    .find(res => res?.resourceType === 'ValueSet' && res.id && criteria(res));
+}
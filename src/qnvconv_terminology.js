@@ -0,0 +1,206 @@
+// Functions for converting ValueSet and CodeSystem resources between FHIR versions, for use with the
+// ValueSets and CodeSystems contained in questionnaires. Only the differences that matter in questionnaires
+// are handled, e.g., the elements that don't exist in the target version are dropped. All the functions
+// here convert the given resource in place, which is expected to be a copy already, e.g., as part of the
+// (copied) questionnaire that contains it.
+
+import {MsgCode, createMsg, updateRetStatus} from './qnvconv_common.js';
+
+export {
+  vsR3ToR4,
+  vsR4ToR3,
+  vsR5ToR4,
+  csR3ToR4,
+  csR4ToR3,
+  csR5ToR4
+}
+
+// The elements added to ValueSet and CodeSystem (as canonical resources) in R5.
+const r5CanonicalElements = ['versionAlgorithmString', 'versionAlgorithmCoding', 'copyrightLabel', 'approvalDate',
+  'lastReviewDate', 'effectivePeriod', 'topic', 'author', 'editor', 'reviewer', 'endorser', 'relatedArtifact'];
+
+// The ValueSet compose filter operators added in R5.
+const r5FilterOps = new Set(['child-of', 'descendent-leaf']);
+
+
+/**
+ * Converting the given ValueSet from STU3 to R4, in place.
+ * @param vs the STU3 ValueSet
+ * @return the "return object", see updateRetStatus() for more details
+ */
+function vsR3ToR4(vs) {
+  let ret = {status: 1, data: vs};
+  if(vs.hasOwnProperty('extensible')) {
+    updateRetStatus(ret, -1, createMsg(vs, -1, 'ValueSet.extensible is not supported in R4, deleted',
+      {code: MsgCode.DROPPED_ELEMENT, path: 'ValueSet.extensible', value: vs.extensible}));
+    delete vs.extensible;
+  }
+  return ret;
+}
+
+
+/**
+ * Converting the given ValueSet from R4 to STU3, in place.
+ * @param vs the R4 ValueSet
+ * @return the "return object", see updateRetStatus() for more details
+ */
+function vsR4ToR3(vs) {
+  let ret = {status: 1, data: vs};
+  if(vs.expansion?.parameter) {
+    const dropped = vs.expansion.parameter.filter(p => p.hasOwnProperty('valueDateTime'));
+    if(dropped.length) {
+      vs.expansion.parameter = vs.expansion.parameter.filter(p => ! p.hasOwnProperty('valueDateTime'));
+      updateRetStatus(ret, -1, createMsg(vs, -1, 'expansion.parameter with valueDateTime is not supported in STU3, deleted',
+        {code: MsgCode.TYPE_UNSUPPORTED, path: 'ValueSet.expansion.parameter', value: dropped}));
+    }
+  }
+  return ret;
+}
+
+
+/**
+ * Converting the given ValueSet from R5 to R4, in place.
+ * @param vs the R5 ValueSet
+ * @return the "return object", see updateRetStatus() for more details
+ */
+function vsR5ToR4(vs) {
+  let ret = dropR5CanonicalElements(vs);
+
+  dropElement(vs, 'scope', ret);
+  dropElement(vs.compose, 'property', ret, 'compose.property');
+  dropElement(vs.expansion, 'next', ret, 'expansion.next');
+  dropElement(vs.expansion, 'property', ret, 'expansion.property');
+
+  for(let field of ['include', 'exclude']) {
+    const includes = vs.compose?.[field];
+    for(let i = (includes?.length || 0) - 1; i >= 0; --i) {
+      const op = includes[i].filter?.find(f => r5FilterOps.has(f.op))?.op;
+      if(op) { // dropping just the filter would change the set of codes included.
+        updateRetStatus(ret, -1, createMsg(vs, -1, `compose include/exclude with filter operator ${op} is not supported in R4, deleted`,
+          {code: MsgCode.OPERATOR_UNSUPPORTED, path: `ValueSet.compose.${field}[${i}]`, value: includes[i]}));
+        includes.splice(i, 1);
+      }
+      else {
+        includes[i].concept?.forEach(c => c.designation?.forEach(d => dropElement(d, 'additionalUse', ret,
+          'concept.designation.additionalUse')));
+      }
+    }
+  }
+
+  let containsList = [...(vs.expansion?.contains || [])];
+  while(containsList.length) {
+    let contains = containsList.shift();
+    dropElement(contains, 'property', ret, 'expansion.contains.property');
+    containsList.push(...(contains.contains || []));
+  }
+
+  return ret;
+}
+
+
+/**
+ * Converting the given CodeSystem from STU3 to R4, in place.
+ * @param cs the STU3 CodeSystem
+ * @return the "return object", see updateRetStatus() for more details
+ */
+function csR3ToR4(cs) {
+  if(cs.identifier) { // 0..1 in STU3, 0..* in R4
+    cs.identifier = [cs.identifier];
+  }
+  return {status: 1, data: cs};
+}
+
+
+/**
+ * Converting the given CodeSystem from R4 to STU3, in place.
+ * @param cs the R4 CodeSystem
+ * @return the "return object", see updateRetStatus() for more details
+ */
+function csR4ToR3(cs) {
+  let ret = {status: 1, data: cs};
+
+  if(cs.identifier) { // 0..* in R4, 0..1 in STU3
+    if(cs.identifier.length > 1) {
+      updateRetStatus(ret, -1, createMsg(cs, -1, 'All but the first identifier have been dropped.',
+        {code: MsgCode.DROPPED_ELEMENT, path: 'CodeSystem.identifier', value: cs.identifier.slice(1)}));
+    }
+    if(cs.identifier.length) {
+      cs.identifier = cs.identifier[0];
+    }
+    else {
+      delete cs.identifier;
+    }
+  }
+
+  if(cs.content === 'supplement') {
+    updateRetStatus(ret, -1, createMsg(cs, -1, 'CodeSystem supplement is not supported in STU3, converted as fragment',
+      {code: MsgCode.APPROXIMATED, path: 'CodeSystem.content', value: {content: cs.content, supplements: cs.supplements}}));
+    cs.content = 'fragment';
+    delete cs.supplements;
+  }
+
+  let conceptList = [...(cs.concept || [])];
+  while(conceptList.length) {
+    let concept = conceptList.shift();
+    const dropped = concept.property?.filter(p => p.hasOwnProperty('valueDecimal'));
+    if(dropped?.length) {
+      concept.property = concept.property.filter(p => ! p.hasOwnProperty('valueDecimal'));
+      updateRetStatus(ret, -1, createMsg(cs, -1, `concept.property with valueDecimal is not supported in STU3, deleted for ${concept.code}`,
+        {code: MsgCode.TYPE_UNSUPPORTED, path: 'CodeSystem.concept.property', value: dropped}));
+    }
+    conceptList.push(...(concept.concept || []));
+  }
+
+  return ret;
+}
+
+
+/**
+ * Converting the given CodeSystem from R5 to R4, in place.
+ * @param cs the R5 CodeSystem
+ * @return the "return object", see updateRetStatus() for more details
+ */
+function csR5ToR4(cs) {
+  let ret = dropR5CanonicalElements(cs);
+
+  let conceptList = [...(cs.concept || [])];
+  while(conceptList.length) {
+    let concept = conceptList.shift();
+    concept.designation?.forEach(d => dropElement(d, 'additionalUse', ret, 'concept.designation.additionalUse'));
+    conceptList.push(...(concept.concept || []));
+  }
+
+  return ret;
+}
+
+
+/**
+ * Drop the elements that were added to the canonical resources in R5 from the given ValueSet or CodeSystem.
+ * @param res the R5 ValueSet or CodeSystem
+ * @return the "return object", see updateRetStatus() for more details
+ */
+function dropR5CanonicalElements(res) {
+  let ret = {status: 1, data: res};
+  for(let field of r5CanonicalElements) {
+    dropElement(res, field, ret);
+  }
+  return ret;
+}
+
+
+/**
+ * Drop the given field from the given element, if present, and record the loss in the given return object.
+ * @param ele the element from which the field is to be dropped, may be null or undefined
+ * @param field the field name
+ * @param ret the "return object" for recording the loss, see updateRetStatus() for more details
+ * @param fieldPath optional, the field path (without the resource type) to be used in the message, default
+ *        to the field name.
+ */
+function dropElement(ele, field, ret, fieldPath) {
+  if(ele?.hasOwnProperty(field)) {
+    fieldPath = fieldPath || field;
+    updateRetStatus(ret, -1, createMsg(ret.data, -1, 'Dropped ' + fieldPath,
+      {code: MsgCode.DROPPED_ELEMENT, path: ret.data.resourceType + '.' + fieldPath, value: ele[field]}));
+    delete ele[field];
+  }
+}
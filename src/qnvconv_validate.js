@@ -0,0 +1,229 @@
+// A (built-in, offline) structural validator for Questionnaire resources in the supported FHIR versions, for
+// checking the conversion results. Only the structure defined by the Questionnaire resource is checked, i.e.,
+// the allowed elements, the cardinalities, the choice type [x] suffixes, and the (required) codes, such as the
+// item type codes. The data types (e.g., whether a Coding is a valid Coding) aren't checked, and neither are
+// the other resources, except for the contained questionnaires.
+// Note that R6 is still being balloted, and is assumed to be the same as R5 here.
+
+import {MsgCode, createMsg, updateRetStatus} from './qnvconv_common.js';
+
+export {
+  validateQuestionnaire
+}
+
+// The choice types for the initial[x] and enableWhen.answer[x] in STU3
+const stu3ValueTypes = ['Boolean', 'Decimal', 'Integer', 'Date', 'DateTime', 'Time', 'String', 'Uri', 'Attachment',
+  'Coding', 'Quantity', 'Reference'];
+// The choice types for initial.value[x] in R4 and later
+const r4InitialTypes = stu3ValueTypes;
+// The choice types for enableWhen.answer[x] in R4 and later
+const r4AnswerTypes = ['Boolean', 'Decimal', 'Integer', 'Date', 'DateTime', 'Time', 'String', 'Coding', 'Quantity',
+  'Reference'];
+
+const statusCodes = ['draft', 'active', 'retired', 'unknown'];
+const stu3ItemTypes = ['group', 'display', 'question', 'boolean', 'decimal', 'integer', 'date', 'dateTime', 'time',
+  'string', 'text', 'url', 'choice', 'open-choice', 'attachment', 'reference', 'quantity'];
+const r4ItemTypes = stu3ItemTypes.filter(t => t !== 'question');
+const r5ItemTypes = ['group', 'display', 'question', 'boolean', 'decimal', 'integer', 'date', 'dateTime', 'time',
+  'string', 'text', 'url', 'coding', 'attachment', 'reference', 'quantity'];
+const r4Operators = ['exists', '=', '!=', '>', '<', '>=', '<='];
+
+const STU3_QN = 'resourceType! id meta implicitRules language text contained* extension* modifierExtension* url ' +
+  'identifier* version name title status! experimental date publisher description purpose approvalDate ' +
+  'lastReviewDate effectivePeriod useContext* jurisdiction* contact* copyright code* subjectType* item*';
+const R4_QN = STU3_QN + ' derivedFrom*';
+const R5_QN = R4_QN + ' versionAlgorithm[x] copyrightLabel';
+const ITEM_BASE = 'id extension* modifierExtension* linkId! definition code* prefix text type! enableWhen* required ' +
+  'repeats readOnly maxLength item*';
+const BACKBONE_BASE = 'id extension* modifierExtension*';
+
+// The Questionnaire definitions by the FHIR version, see defineElement() for the format.
+const stu3Def = defineQuestionnaire(STU3_QN, {}, {
+  spec: ITEM_BASE + ' options option* initial[x]',
+  types: {initial: stu3ValueTypes},
+  codes: {type: stu3ItemTypes},
+  children: {
+    enableWhen: defineElement(BACKBONE_BASE + ' question! hasAnswer answer[x]', {types: {answer: stu3ValueTypes}}),
+    option: defineElement(BACKBONE_BASE + ' value[x]!', {types: {value: ['Integer', 'Date', 'Time', 'String', 'Coding']}})
+  }
+});
+const r4Def = defineQuestionnaire(R4_QN, {}, r4ItemDef('', r4ItemTypes, {}));
+const r5Def = defineQuestionnaire(R5_QN, {types: {versionAlgorithm: ['String', 'Coding']}},
+  r4ItemDef(' disabledDisplay answerConstraint', r5ItemTypes, {
+    disabledDisplay: ['hidden', 'protected'],
+    answerConstraint: ['optionsOnly', 'optionsOrType', 'optionsOrString']
+  }));
+
+const definitions = {STU3: stu3Def, R4: r4Def, R4B: r4Def, R5: r5Def, R6: r5Def};
+
+
+/**
+ * Create the element definition from the given specification.
+ * @param spec the space separated list of the element names, where the element names may have a suffix
+ *        "!" (required, 1..1), or "*" (0..*), otherwise 0..1. The choice type elements are specified with the
+ *        [x] suffix, e.g., value[x]!, and their types are specified in the types parameter.
+ * @param types optional, the types for the choice type elements, keyed by the element names without [x].
+ * @param codes optional, the allowed codes for the elements with required value sets, keyed by the element names.
+ * @param children optional, the definitions of the (backbone) sub-elements, keyed by the element names.
+ * @return the element definition, which is an object with the fields elements (a map from the element name
+ *         to an object with the fields min, max, and types if it's a choice type element), codes, and children.
+ */
+function defineElement(spec, {types, codes, children} = {}) {
+  let elements = new Map();
+  for(let [, name, choice, card] of spec.split(' ').map(e => e.match(/^(\w+)(\[x\])?([!*]?)$/))) {
+    elements.set(name, {min: card === '!'? 1: 0, max: card === '*'? '*': 1, ...(choice && {types: types[name]})});
+  }
+  codes = Object.fromEntries(Object.entries(codes || {}).map(([name, list]) => [name, new Set(list)]));
+  return {elements, codes, children: children || {}};
+}
+
+
+/**
+ * Create the Questionnaire definition, see defineElement().
+ * @param spec the specification of the questionnaire elements
+ * @param qnOpts the types of the choice type questionnaire elements, see defineElement().
+ * @param itemOpts the item definition specification, types, codes, and children, see defineElement().
+ * @return the questionnaire definition
+ */
+function defineQuestionnaire(spec, qnOpts, itemOpts) {
+  let itemDef = defineElement(itemOpts.spec, itemOpts);
+  itemDef.children.item = itemDef;
+  return defineElement(spec, {...qnOpts, codes: {status: statusCodes}, children: {item: itemDef}});
+}
+
+
+/**
+ * Create the item definition specification for R4 and later versions.
+ * @param extraSpec the specification of the additional item elements, if any, with a leading space.
+ * @param itemTypes the item type codes
+ * @param extraCodes the allowed codes for the additional item elements, if any
+ * @return the item definition specification, types, codes, and children, see defineElement()
+ */
+function r4ItemDef(extraSpec, itemTypes, extraCodes) {
+  return {
+    spec: ITEM_BASE + ' enableBehavior answerValueSet answerOption* initial*' + extraSpec,
+    codes: {type: itemTypes, enableBehavior: ['all', 'any'], ...extraCodes},
+    children: {
+      enableWhen: defineElement(BACKBONE_BASE + ' question! operator! answer[x]!',
+        {types: {answer: r4AnswerTypes}, codes: {operator: r4Operators}}),
+      answerOption: defineElement(BACKBONE_BASE + ' value[x]! initialSelected',
+        {types: {value: ['Integer', 'Date', 'Time', 'String', 'Coding', 'Reference']}}),
+      initial: defineElement(BACKBONE_BASE + ' value[x]!', {types: {value: r4InitialTypes}})
+    }
+  };
+}
+
+
+/**
+ * Validate the structure of the given questionnaire against the Questionnaire definition of the given FHIR
+ * version. The contained questionnaires, if any, are validated as well.
+ * @param qn the questionnaire to validate
+ * @param version the FHIR version, one of the supported versions, see supportedVersions in qnvconv.js.
+ * @return the "return object" (see updateRetStatus()), where the status is 1 if the questionnaire is valid,
+ *         or 0 otherwise, with a message (with code INVALID_OUTPUT) for each of the issues found.
+ */
+function validateQuestionnaire(qn, version) {
+  let ret = {status: 1, data: qn};
+  const qnDef = definitions[version];
+  if(! qnDef) {
+    throw new Error('Unsupported FHIR version for validation: ' + version);
+  }
+  if(qn?.resourceType !== 'Questionnaire') {
+    updateRetStatus(ret, 0, createMsg(qn, 0, 'Not a Questionnaire resource',
+      {code: MsgCode.INVALID_OUTPUT, path: 'resourceType', value: qn?.resourceType}));
+    return ret;
+  }
+
+  validateElement(qn, qnDef, 'Questionnaire', version, ret);
+  (Array.isArray(qn.contained)? qn.contained: []).forEach((res, i) => {
+    if(res?.resourceType === 'Questionnaire') {
+      const subRet = validateQuestionnaire(res, version);
+      updateRetStatus(ret, subRet.status, subRet.message?.map(m =>
+        ({...m, path: m.path.replace(/^Questionnaire/, `Questionnaire.contained[${i}]`)})));
+    }
+  });
+
+  return ret;
+}
+
+
+/**
+ * Validate the given element against the given element definition, recursively.
+ * @param ele the element to validate, e.g., the questionnaire or an item
+ * @param eleDef the element definition, see defineElement()
+ * @param path the path of the element, e.g., Questionnaire.item[2]
+ * @param version the FHIR version, for the messages
+ * @param ret the "return object" for recording the issues, see updateRetStatus()
+ */
+function validateElement(ele, eleDef, path, version, ret) {
+  const addIssue = (text, subPath, value) => updateRetStatus(ret, 0, createMsg(ele, 0, text,
+    {code: MsgCode.INVALID_OUTPUT, path: subPath, value}));
+  if(typeof ele !== 'object' || ele === null || Array.isArray(ele)) {
+    addIssue('Expecting an object', path, ele);
+    return;
+  }
+
+  let choicesFound = {}; // the choice type elements found, keyed by the element name without [x]
+  for(let key of Object.keys(ele)) {
+    const name = key.startsWith('_')? key.substring(1): key; // primitive extensions
+    if(eleDef.elements.get(name)?.types) { // e.g., value (without the type suffix) for value[x]
+      addIssue(`Missing the type suffix for ${name}[x] in ${version}`, `${path}.${key}`, ele[key]);
+      continue;
+    }
+    if(eleDef.elements.has(name)) continue;
+
+    const choice = [...eleDef.elements.entries()].find(([n, d]) => d.types && name.startsWith(n));
+    const typeSuffix = choice && name.substring(choice[0].length);
+    if(! choice) {
+      addIssue(`Element ${name} is not allowed in ${version}`, `${path}.${key}`, ele[key]);
+    }
+    else if(! choice[1].types.includes(typeSuffix)) {
+      addIssue(`Type ${typeSuffix} is not allowed for ${choice[0]}[x] in ${version}`, `${path}.${key}`, ele[key]);
+    }
+    else if(key === name) {
+      (choicesFound[choice[0]] = choicesFound[choice[0]] || []).push(name);
+    }
+  }
+
+  for(let [name, def] of eleDef.elements) {
+    if(def.types) {
+      const found = choicesFound[name] || [];
+      if(found.length > 1) {
+        addIssue(`Only one of ${found.join(', ')} is allowed`, `${path}.${name}[x]`);
+      }
+      else if(! found.length && def.min) {
+        addIssue(`Missing required element ${name}[x]`, `${path}.${name}[x]`);
+      }
+      continue;
+    }
+
+    const value = ele[name];
+    if(value === undefined || value === null) {
+      if(def.min) {
+        addIssue('Missing required element ' + name, `${path}.${name}`);
+      }
+      continue;
+    }
+    if(def.max === '*' && ! Array.isArray(value)) {
+      addIssue(`Expecting an array for ${name} (0..*) in ${version}`, `${path}.${name}`, value);
+      continue;
+    }
+    if(def.max === 1 && Array.isArray(value)) {
+      addIssue(`Expecting a single value for ${name} (max 1) in ${version}`, `${path}.${name}`, value);
+      continue;
+    }
+
+    if(eleDef.codes[name] && ! eleDef.codes[name].has(value)) {
+      addIssue(`Invalid code ${value} for ${name} in ${version}`, `${path}.${name}`, value);
+    }
+    const childDef = eleDef.children[name];
+    if(childDef) {
+      if(Array.isArray(value)) {
+        value.forEach((child, i) => validateElement(child, childDef, `${path}.${name}[${i}]`, version, ret));
+      }
+      else {
+        validateElement(value, childDef, `${path}.${name}`, version, ret);
+      }
+    }
+  }
+}
@@ -0,0 +1,7 @@
+// Generated by scripts/update-version.js from the version in package.json, don't edit.
+
+export {
+  CONVERTER_VERSION
+}
+
+const CONVERTER_VERSION = '1.1.0';
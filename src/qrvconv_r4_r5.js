@@ -0,0 +1,126 @@
+// Functions for FHIR QuestionnaireResponse conversion between R4 and R5
+// The status codes are the same in R4 and R5, but in R5, questionnaire is required, identifier
+// can repeat, and an answer must have a value, where the items nested under an answer without value
+// are moved to the item itself (item.item), which is allowed in R5.
+
+import {MsgCode, createMsg, updateRetStatus, findChoiceX, subItemsWithPaths, checkInput} from './qnvconv_common.js';
+
+export {
+  qrR4ToR5,
+  qrR5ToR4
+}
+
+/**
+ * Converting the given FHIR questionnaire response resource from R4 to R5.
+ * @param r4qr the R4 questionnaire response to convert, in place (i.e., changed).
+ * @return the result object that has the fields: data, status, and message, where
+ *         data is the converted questionnaire response. See updateRetStatus() for more details.
+ */
+function qrR4ToR5(r4qr) {
+  let inputRet = checkInput(r4qr);
+  if(inputRet.status === -2) {
+    return inputRet;
+  }
+  if(r4qr.resourceType !== 'QuestionnaireResponse') {
+    return {status: 0, data: r4qr, message: [createMsg(r4qr, 0, 'Not a QuestionnaireResponse resource',
+      {code: MsgCode.NOT_CONVERTED, path: r4qr.resourceType})]}
+  }
+  let r5qr = r4qr; // converted in place, see chainedConverter() in qnvconv.js
+
+  let ret = {status: 1, data: r5qr};
+  (r5qr.item || []).forEach((item, i) => {
+    let subRet = qrItemR4ToR5(item, `QuestionnaireResponse.item[${i}]`);
+    updateRetStatus(ret, subRet.status, subRet.message);
+  });
+
+  if(r5qr.identifier) {
+    r5qr.identifier = [r5qr.identifier];
+  }
+
+  if(! r5qr.questionnaire) {
+    updateRetStatus(ret, 0, createMsg(r5qr, 0, 'questionnaire is required in R5 but missing',
+      {code: MsgCode.INVALID_INPUT, path: 'QuestionnaireResponse.questionnaire'}));
+  }
+
+  return ret;
+}
+
+
+/**
+ * Converting the given questionnaire response item from R4 to R5, in place.
+ * @param item the questionnaire response item to be converted from R4 to R5.
+ * @param path the path of the item in the questionnaire response, e.g., QuestionnaireResponse.item[0].answer[0].item[1]
+ * @return the "return object", see updateRetStatus() for more details
+ */
+function qrItemR4ToR5(item, path) {
+  let ret = {status: 1, data: item}; // successful
+
+  // The child items are converted first so that their paths are those in the source resource.
+  for(let [subItem, subPath] of subItemsWithPaths(item, path)) {
+    let subRet = qrItemR4ToR5(subItem, subPath);
+    updateRetStatus(ret, subRet.status, subRet.message);
+  }
+
+  if(item.answer) {
+    item.answer = item.answer.filter((ans, i) => {
+      if(findChoiceX(ans, 'value').srcX) {
+        return true;
+      }
+      const {item: subItems, ...rest} = ans;
+      if(subItems?.length) {
+        item.item = [...(item.item || []), ...subItems];
+      }
+      if(subItems?.length && ! Object.keys(rest).length) { // nothing lost
+        updateRetStatus(ret, 0, createMsg(item, 0, 'answer without value is not allowed in R5, deleted, ' +
+          'with its items moved to item.item', {code: MsgCode.APPROXIMATED, path: `${path}.answer[${i}]`}));
+      }
+      else {
+        updateRetStatus(ret, -1, createMsg(item, -1, 'answer without value is not allowed in R5, deleted' +
+          (subItems?.length? ', with its items moved to item.item': ''),
+          {code: MsgCode.DROPPED_ELEMENT, path: `${path}.answer[${i}]`, value: rest}));
+      }
+      return false;
+    });
+    if(item.answer.length === 0) {
+      delete item.answer;
+    }
+  }
+
+  return ret;
+}
+
+
+/**
+ * Converting the given FHIR questionnaire response resource from R5 to R4.
+ * The items are compatible, i.e., a valid R5 item is also a valid R4 item.
+ * @param r5qr the R5 questionnaire response to convert, in place (i.e., changed).
+ * @return the result object that has the fields: data, status, and message, where
+           data is the converted questionnaire response. See updateRetStatus() for more details.
+ */
+function qrR5ToR4(r5qr) {
+  let inputRet = checkInput(r5qr);
+  if(inputRet.status === -2) {
+    return inputRet;
+  }
+  if(r5qr.resourceType !== 'QuestionnaireResponse') {
+    return {status: 0, data: r5qr, message: [createMsg(r5qr, 0, 'Not a QuestionnaireResponse resource',
+      {code: MsgCode.NOT_CONVERTED, path: r5qr.resourceType})]}
+  }
+  let r4qr = r5qr; // converted in place, see chainedConverter() in qnvconv.js
+
+  let ret = {status: 1, data: r4qr};
+  if(r4qr.identifier) {
+    if(r4qr.identifier.length > 1) {
+      updateRetStatus(ret, -1, createMsg(r4qr, -1, 'All but the first identifier have been dropped.',
+        {code: MsgCode.DROPPED_ELEMENT, path: 'QuestionnaireResponse.identifier', value: r4qr.identifier.slice(1)}));
+    }
+    if(r4qr.identifier.length) {
+      r4qr.identifier = r4qr.identifier[0];
+    }
+    else {
+      delete r4qr.identifier;
+    }
+  }
+
+  return ret;
+}
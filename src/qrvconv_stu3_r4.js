@@ -0,0 +1,156 @@
+// Functions for FHIR QuestionnaireResponse conversion between STU3 and R4
+
+import {MsgCode, createMsg, updateRetStatus, subItemsWithPaths, checkInput} from './qnvconv_common.js';
+
+export {
+  qrR3ToR4,
+  qrR4ToR3
+}
+
+/**
+ * Converting the given FHIR questionnaire response resource from STU3 to R4.
+ * @param r3qr the STU3 questionnaire response to convert, in place (i.e., changed).
+ * @return the result object that has the fields: data, status, and message, where
+ *         data is the converted questionnaire response. See updateRetStatus() for more details.
+ */
+function qrR3ToR4(r3qr) {
+  let inputRet = checkInput(r3qr);
+  if(inputRet.status === -2) {
+    return inputRet;
+  }
+  if(r3qr.resourceType !== 'QuestionnaireResponse') {
+    return {status: 0, data: r3qr, message: [createMsg(r3qr, 0, 'Not a QuestionnaireResponse resource',
+      {code: MsgCode.NOT_CONVERTED, path: r3qr.resourceType})]}
+  }
+  let r4qr = r3qr; // converted in place, see chainedConverter() in qnvconv.js
+
+  let ret = {status: 1, data: r4qr};
+  (r4qr.item || []).forEach((item, i) => {
+    let subRet = qrItemR3ToR4(item, `QuestionnaireResponse.item[${i}]`);
+    updateRetStatus(ret, subRet.status, subRet.message);
+  });
+
+  if(r4qr.questionnaire) { // Reference in STU3, canonical in R4
+    const details = {path: 'QuestionnaireResponse.questionnaire', value: r4qr.questionnaire};
+    if(r4qr.questionnaire.reference) {
+      r4qr.questionnaire = r4qr.questionnaire.reference;
+      updateRetStatus(ret, 0, createMsg(r4qr, 0, 'Using questionnaire.reference as the questionnaire canonical.',
+        {...details, code: MsgCode.REFERENCE_CONVERTED}));
+    }
+    else {
+      delete r4qr.questionnaire;
+      updateRetStatus(ret, -1, createMsg(r4qr, -1, 'Unable to convert questionnaire without reference, deleted',
+        {...details, code: MsgCode.REFERENCE_UNRESOLVED}));
+    }
+  }
+
+  if(r4qr.parent) {
+    r4qr.partOf = r4qr.parent;
+    delete r4qr.parent;
+  }
+
+  if(r4qr.context) { // Encounter or EpisodeOfCare in STU3, encounter only in R4
+    if(r4qr.context.reference?.startsWith('EpisodeOfCare/')) {
+      updateRetStatus(ret, -1, createMsg(r4qr, -1, 'context referencing EpisodeOfCare is not supported in R4, deleted',
+        {code: MsgCode.DROPPED_ELEMENT, path: 'QuestionnaireResponse.context', value: r4qr.context}));
+    }
+    else {
+      r4qr.encounter = r4qr.context;
+    }
+    delete r4qr.context;
+  }
+
+  convertBasedOnTypes(r4qr, {ReferralRequest: 'ServiceRequest', ProcedureRequest: 'ServiceRequest'},
+    MsgCode.REFERENCE_CONVERTED, ret);
+
+  return ret;
+}
+
+
+/**
+ * Converting the given questionnaire response item from STU3 to R4, in place.
+ * @param item the questionnaire response item to be converted from STU3 to R4.
+ * @param path the path of the item in the questionnaire response, e.g., QuestionnaireResponse.item[0].answer[0].item[1]
+ * @return the "return object", see updateRetStatus() for more details
+ */
+function qrItemR3ToR4(item, path) {
+  let ret = {status: 1, data: item}; // successful
+
+  if(item.subject) {
+    updateRetStatus(ret, -1, createMsg(item, -1, 'item.subject is not supported in R4, deleted',
+      {code: MsgCode.DROPPED_ELEMENT, path: path + '.subject', value: item.subject}));
+    delete item.subject;
+  }
+
+  for(let [subItem, subPath] of subItemsWithPaths(item, path)) {
+    let subRet = qrItemR3ToR4(subItem, subPath);
+    updateRetStatus(ret, subRet.status, subRet.message);
+  }
+
+  return ret;
+}
+
+
+/**
+ * Converting the given FHIR questionnaire response resource from R4 to STU3.
+ * The items are the same in R4 and STU3, except item.subject, which exists only in STU3.
+ * @param r4qr the R4 questionnaire response to convert, in place (i.e., changed).
+ * @return the result object that has the fields: data, status, and message, where
+ *         data is the converted questionnaire response. See updateRetStatus() for more details.
+ */
+function qrR4ToR3(r4qr) {
+  let inputRet = checkInput(r4qr);
+  if(inputRet.status === -2) {
+    return inputRet;
+  }
+  if(r4qr.resourceType !== 'QuestionnaireResponse') {
+    return {status: 0, data: r4qr, message: [createMsg(r4qr, 0, 'Not a QuestionnaireResponse resource',
+      {code: MsgCode.NOT_CONVERTED, path: r4qr.resourceType})]}
+  }
+  let r3qr = r4qr; // converted in place, see chainedConverter() in qnvconv.js
+
+  let ret = {status: 1, data: r3qr};
+  if(r3qr.questionnaire) { // canonical in R4, Reference in STU3
+    updateRetStatus(ret, 0, createMsg(r3qr, 0, 'Using questionnaire canonical as questionnaire.reference.',
+      {code: MsgCode.REFERENCE_CONVERTED, path: 'QuestionnaireResponse.questionnaire', value: r3qr.questionnaire}));
+    r3qr.questionnaire = {reference: r3qr.questionnaire};
+  }
+
+  if(r3qr.partOf) {
+    r3qr.parent = r3qr.partOf;
+    delete r3qr.partOf;
+  }
+
+  if(r3qr.encounter) {
+    r3qr.context = r3qr.encounter;
+    delete r3qr.encounter;
+  }
+
+  // ServiceRequest replaced both ReferralRequest and ProcedureRequest in R4, the original type is unknown.
+  convertBasedOnTypes(r3qr, {ServiceRequest: 'ProcedureRequest'}, MsgCode.APPROXIMATED, ret);
+
+  return ret;
+}
+
+
+/**
+ * Convert the target resource types of the given questionnaire response's basedOn references, in place, e.g.,
+ * ReferralRequest/123 in STU3 to ServiceRequest/123 in R4, where the ids are kept as they are. Each converted
+ * reference is reported with a warning. The references of the other types (e.g., CarePlan, which is in both
+ * versions) and the contained resource references (e.g., #req1) are not changed.
+ * @param qr the questionnaire response whose basedOn references are to be converted.
+ * @param typeMap the mapping from the resource types in the source version to the ones in the target version.
+ * @param code the message code for the converted references, see MsgCode.
+ * @param ret the result object for the messages, see updateRetStatus().
+ */
+function convertBasedOnTypes(qr, typeMap, code, ret) {
+  (qr.basedOn || []).forEach((basedOn, i) => {
+    const refRegex = /^((?:.*\/)?)([A-Za-z]+)(\/[^/]+(?:\/_history\/[^/]+)?)$/; // [base url/]type/id[/_history/vid]
+    const [, prefix, type, rest] = basedOn?.reference?.match(refRegex) || [];
+    if(typeMap.hasOwnProperty(type)) {
+      updateRetStatus(ret, 0, createMsg(qr, 0, `basedOn referencing ${type} converted to reference ${typeMap[type]}`,
+        {code, path: `QuestionnaireResponse.basedOn[${i}]`, value: basedOn.reference}));
+      basedOn.reference = prefix + typeMap[type] + rest;
+    }
+  });
+}
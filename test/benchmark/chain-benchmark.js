@@ -0,0 +1,85 @@
+// Benchmark for the conversions over several versions (e.g., STU3 to R5) on large generated questionnaires,
+// comparing the conversion steps on a single copy of the input made up front (the current pipeline, see
+// chainedConverter() in qnvconv.js) against a deep copy (JSON.parse(JSON.stringify())) for each step (the
+// previous pipeline). The time of the full conversion with convert() is also displayed for reference.
+// Usage: npm run benchmark [-- <item-count>...], default to 1000, 5000, and 20000 items.
+
+import { convert } from '../../src/qnvconv.js';
+import { cloneJson } from '../../src/qnvconv_common.js';
+import { qnR3ToR4, qnR4ToR3 } from '../../src/qnvconv_stu3_r4.js';
+import { qnR4ToR5, qnR5ToR4 } from '../../src/qnvconv_r4_r5.js';
+import { qnR6ToR5 } from '../../src/qnvconv_r5_r6.js';
+
+const RUNS = 5; // the median of the runs is reported
+const noOp = (qn) => ({status: 1, data: qn});
+
+// the conversion steps, the same as in the converter function table in qnvconv.js
+const chains = [
+  {name: 'STU3->R5', vFrom: 'STU3', steps: [qnR3ToR4, noOp, qnR4ToR5]},
+  {name: 'R6->STU3', vFrom: 'R6', steps: [qnR6ToR5, qnR5ToR4, noOp, qnR4ToR3]}
+];
+
+
+/**
+ * Generate a STU3 questionnaire with the given number of items, in groups of 10 items, with codes, answer
+ * options, initial values, and enableWhen conditions.
+ * @param itemCount the number of (non-group) items
+ * @return the STU3 questionnaire
+ */
+function generateQn(itemCount) {
+  let groups = [];
+  for(let i = 0; i < itemCount; ++i) {
+    const type = ['string', 'choice', 'integer', 'boolean'][i % 4];
+    let item = {linkId: `q${i}`, text: `Question ${i}`, type,
+      code: [{system: 'http://loinc.org', code: `${i}-0`, display: `Code ${i}`}]};
+    if(type === 'choice') {
+      item.option = [1, 2, 3, 4, 5].map(n => ({valueCoding: {system: 'http://example.org', code: `a${n}`,
+        display: `Answer ${n}`}}));
+      item.initialCoding = item.option[0].valueCoding;
+      item.extension = [{url: 'http://hl7.org/fhir/StructureDefinition/questionnaire-itemControl',
+        valueCodeableConcept: {coding: [{system: 'http://hl7.org/fhir/questionnaire-item-control', code: 'drop-down'}]}}];
+    }
+    if(i % 10 > 0 && i % 3 === 0) {
+      item.enableWhen = [{question: `q${i - 1}`, hasAnswer: true}];
+    }
+    if(i % 10 === 0) {
+      groups.push({linkId: `g${i / 10}`, text: `Group ${i / 10}`, type: 'group', item: []});
+    }
+    groups[groups.length - 1].item.push(item);
+  }
+  return {resourceType: 'Questionnaire', id: `generated-${itemCount}`, status: 'draft', item: groups};
+}
+
+
+/**
+ * Get the median time (in milliseconds) of running the given function RUNS times, after a warm-up run.
+ * @param func the function to time
+ * @return the median time in milliseconds.
+ */
+function medianTime(func) {
+  let times = [];
+  func();
+  for(let i = 0; i < RUNS; ++i) {
+    const start = process.hrtime.bigint();
+    func();
+    times.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+  return times.sort((a, b) => a - b)[Math.floor(RUNS / 2)];
+}
+
+
+const itemCounts = process.argv.slice(2).map(n => parseInt(n)).filter(n => n > 0);
+for(let itemCount of itemCounts.length? itemCounts: [1000, 5000, 20000]) {
+  const stu3Qn = generateQn(itemCount);
+  const inputs = {STU3: stu3Qn, R6: convert(stu3Qn, 'STU3', 'R6').data};
+  console.log('==== %d items (%d KB in JSON)', itemCount, Math.round(JSON.stringify(stu3Qn).length / 1024));
+  for(let {name, vFrom, steps} of chains) {
+    const input = inputs[vFrom];
+    const copyPerStep = medianTime(() => steps.reduce((ret, step) =>
+      step === noOp? step(ret.data): step(JSON.parse(JSON.stringify(ret.data))), {data: input}));
+    const singleCopy = medianTime(() => steps.reduce((ret, step) => step(ret.data), {data: cloneJson(input)}));
+    const full = medianTime(() => convert(input, vFrom, name.split('->')[1]));
+    console.log('%s: copy per step: %s ms; single copy: %s ms (%sx faster); convert(): %s ms', name,
+      copyPerStep.toFixed(1), singleCopy.toFixed(1), (copyPerStep / singleCopy).toFixed(2), full.toFixed(1));
+  }
+}
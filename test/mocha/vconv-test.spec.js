@@ -1,12 +1,22 @@
 import { strict as assert } from 'assert';
 import * as fs from 'fs';
 import * as path from "path";
-import { getConverter } from '../../src/qnvconv.js';
-import { newPathFrom } from "../../src/cli_util.js";
-import {toIntVerExtUrl} from "../../src/qnvconv_common.js";
+import { spawn, spawnSync } from 'child_process';
+import { once } from 'events';
+import { getConverter, convert, convertResource, convertBundle, convertNdjson, roundTrip, detectVersion, validateQuestionnaire, toOperationOutcome,
+  createHtmlReport, getConversionHistory } from '../../src/qnvconv.js';
+import { newPathFrom, createValueSetResolver } from "../../src/cli_util.js";
+import { convOptionTable, toConvOptions, loadConfig, matchesGlob, createOptionsResolver } from "../../src/cli_config.js";
+import { createSummary, addFileResult, toSummaryCsv, toExitCode } from "../../src/cli_summary.js";
+import { convertBatch } from "../../src/qnvconv_batch.js";
+import {MsgCode, toIntVerExtUrl, cloneJson} from "../../src/qnvconv_common.js";
+import {CONV_TAG_SYSTEM} from "../../src/qnvconv_history.js";
+import {CONVERTER_VERSION} from "../../src/qnvconv_provenance.js";
+import {ENABLE_WHEN_EXPR_URL, enableWhenToExpression, expressionToEnableWhen} from "../../src/qnvconv_expression.js";
+import {IVE_INDEX_URL} from "../../src/qnvconv_stu3_r4.js";
 
 // A map of the supported FHIR versions (mapped to itself)
-const FHIR_V = ['STU3', 'R4', 'R4B', 'R5'].reduce((acc, v) => {acc[v] = v; return acc;}, {});
+const FHIR_V = ['STU3', 'R4', 'R4B', 'R5', 'R6'].reduce((acc, v) => {acc[v] = v; return acc;}, {});
 const iveUrl = (fhirVer, urlPath) => `http://hl7.org/fhir/${fhirVer}/StructureDefinition/extension-Questionnaire.item.answerConstraint`
 const __dirname= import.meta.dirname;
 const testFiles = {
@@ -15,7 +25,11 @@ const testFiles = {
   R4B: path.resolve(__dirname, '../data/qn-ver-conv-test-r4bbase.json'),
   R5: path.resolve(__dirname, '../data/qn-ver-conv-test-r5base.json'),
   R4_IVE: path.resolve(__dirname, '../data/qnvconv-test-r4-with-inter-ver-ext.json'),
+  R4_FOR_IVE: path.resolve(__dirname, '../data/qnvconv-test-r4-for-inter-ver-ext.json'),
   R5_IVE: path.resolve(__dirname, '../data/qnvconv-test-r5-for-inter-ver-ext.json'),
+  R6_IVE: path.resolve(__dirname, '../data/qnvconv-test-r6-for-inter-ver-ext.json'),
+  QR_STU3: path.resolve(__dirname, '../data/qr-ver-conv-test-stu3base.json'),
+  VS_DIR: path.resolve(__dirname, '../data/valuesets'),
   output: path.resolve(__dirname, '../data/output')
 }
 
@@ -23,7 +37,8 @@ let PROFILE = {
   STU3: 'http://hl7.org/fhir/3.0/StructureDefinition/Questionnaire',
   R4: 'http://hl7.org/fhir/4.0/StructureDefinition/Questionnaire',
   R4B: 'http://hl7.org/fhir/4.3/StructureDefinition/Questionnaire',
-  R5: 'http://hl7.org/fhir/5.0/StructureDefinition/Questionnaire'
+  R5: 'http://hl7.org/fhir/5.0/StructureDefinition/Questionnaire',
+  R6: 'http://hl7.org/fhir/6.0/StructureDefinition/Questionnaire'
 }
 
 fs.mkdirSync(testFiles.output, {recursive: true});
@@ -159,7 +174,9 @@ describe('FHIR Questionnaire version conversion', function() {
 
       let x010 = qnTo.item.find(t => t.linkId === '/X-010');
       assert(x010);
-      assert(!x010.answerConstraint); // answerOption + optionsOrType => choice (with loss)
+      assert(!x010.answerConstraint); // integer answerOption + optionsOrType => the answerConstraint extension
+      assert.equal(x010.type, 'integer');
+      assert.deepEqual(x010.extension, [{url: toIntVerExtUrl('5.0', 'Questionnaire.item.answerConstraint'), valueCode: 'optionsOrType'}]);
 
       done();
     });
@@ -180,6 +197,23 @@ describe('FHIR Questionnaire version conversion', function() {
     });
   });
 
+  it('should work from STU3 to R6', function(done) {
+    const converter = getConverter(FHIR_V.STU3, FHIR_V.R6);
+    assert.deepEqual(converter._versionChain, ['STU3', 'R4', 'R4B', 'R5', 'R6']);
+    testQnVerConv(FHIR_V.STU3, FHIR_V.R6, (converted, qnFrom, qnTo) => {
+      assert(!!converted);
+      assert.equal(qnTo.meta.profile[0], PROFILE.R6);
+      assert(qnTo.meta?.tag?.find(t => t.code === 'lhc-qnvconv-STU3-to-R6')); // the conversion is tagged
+
+      let x010 = qnTo.item.find(t => t.linkId === '/X-010');
+      assert(x010);
+      assert.equal(x010.answerConstraint, 'optionsOrString');
+      assert.equal(x010.type, 'coding');
+
+      done();
+    });
+  });
+
   // The questionnaires are the same before and after, and the conversion path has been tested
   // in the STU3 to R5 conversion above. Only need to test the changes in meta.
   it('should work from R4 to R4B', function(done) {
@@ -227,7 +261,7 @@ describe('FHIR Questionnaire version conversion', function() {
     testQnVerConvFile(testFiles["R4_IVE"], FHIR_V.R4, FHIR_V.R5, (converted, qnFrom, qnTo) => {
       assert(!!converted);
       assert.equal(qnTo.versionAlgorithmCoding.code, 'semver');
-      assert(! qnTo.extension.some(ext => ext.url.startsWith(toIntVerExtUrl('5.0', 'Questionnaire'))));
+      assert(! qnTo.extension?.some(ext => ext.url.startsWith(toIntVerExtUrl('5.0', 'Questionnaire'))));
 
       let x001 = qnTo.item.find(t => t.linkId === '/X-001');
       assert(x001);
@@ -238,4 +272,1408 @@ describe('FHIR Questionnaire version conversion', function() {
       done();
     });
   });
+
+  it('should include inter-version extension when appropriate (R6 to R5)', function(done) {
+    testQnVerConvFile(testFiles["R6_IVE"], FHIR_V.R6, FHIR_V.R5, (converted, qnFrom, qnTo) => {
+      assert(!!converted);
+      assert(! qnTo.hasOwnProperty('testR6String'));
+      assert.equal(qnTo.extension.find(ext => ext.url === toIntVerExtUrl('6.0', 'Questionnaire.testR6String'))?.valueString,
+        'not in R5');
+
+      let x001 = qnTo.item.find(t => t.linkId === '/X-001');
+      assert(x001);
+      assert.equal(x001.answerConstraint, 'optionsOrString'); // same in R5
+      assert(! x001.hasOwnProperty('testR6Flag'));
+      assert(! x001.hasOwnProperty('testR6Complex'));
+      assert.equal(x001.extension.find(ext => ext.url === toIntVerExtUrl('6.0', 'Questionnaire.item.testR6Flag'))?.valueBoolean,
+        true);
+      assert.equal(x001.extension.length, 1); // complex values can't be preserved without knowing the type
+
+      done();
+    }, {interVerExt: true});
+  });
+
+  it('should recover inter-version extension when appropriate (R5 to R6)', function() {
+    const qnR6 = JSON.parse(fs.readFileSync(testFiles.R6_IVE));
+    const qnR5 = getConverter(FHIR_V.R6, FHIR_V.R5)(qnR6, {interVerExt: true}).data;
+    const result = getConverter(FHIR_V.R5, FHIR_V.R6)(qnR5);
+    assert.equal(result.status, 1);
+
+    const qnTo = result.data;
+    assert.equal(qnTo.testR6String, 'not in R5');
+    assert(! qnTo.extension?.length);
+    let x001 = qnTo.item.find(t => t.linkId === '/X-001');
+    assert.equal(x001.testR6Flag, true);
+    assert(! x001.extension?.length);
+  });
+
+  it('should keep the primitive values with their _element in the round trip (R6 to R5 to R6)', function() {
+    let qn = JSON.parse(fs.readFileSync(testFiles.R6_IVE));
+    qn._testR6String = {extension: [{url: 'http://hl7.org/fhir/StructureDefinition/translation',
+      extension: [{url: 'lang', valueCode: 'fr'}, {url: 'content', valueString: 'pas dans R5'}]}]};
+    qn.item[0]._testR6Flag = {id: 'flag1'};
+    for(let options of [{interVerExt: true}, {lossPolicy: {rules: {DROPPED_ELEMENT: 'extension'}}}]) {
+      const result = roundTrip(qn, FHIR_V.R6, FHIR_V.R5, options);
+      assert.deepEqual(result.forward.data.extension[0]._valueString, qn._testR6String);
+      assert(! result.forward.data.hasOwnProperty('_testR6String'));
+      // only the complex value is lost, and reported as such
+      assert.deepEqual(result.differences.map(d => [d.type, d.path]), [['removed', 'Questionnaire.item[0].testR6Complex']]);
+      assert.equal(result.forward.message.find(m => m.path === 'Questionnaire.item[0].testR6Complex').text,
+        'Dropped testR6Complex, unable to keep it as an inter-version extension, the R6 type of the complex value is unknown');
+      assert.equal(result.forward.message.filter(m => m.path.includes('_testR6')).length, 0);
+    }
+    const dropped = convert(qn, FHIR_V.R6, FHIR_V.R5).data;
+    assert(! dropped.extension && ! dropped.hasOwnProperty('_testR6String') && ! dropped.item[0].hasOwnProperty('_testR6Flag'));
+  });
+
+  it('should include inter-version extension when appropriate (R4 to STU3)', function(done) {
+    testQnVerConvFile(testFiles["R4_FOR_IVE"], FHIR_V.R4, FHIR_V.STU3, (converted, qnFrom, qnTo) => {
+      assert(!!converted);
+      assert(! qnTo.derivedFrom);
+      assert.equal(qnTo.extension.find(ext => ext.url === toIntVerExtUrl('4.0', 'Questionnaire.derivedFrom'))?.valueUri,
+        'http://standard-qn-repo.org/qn-100');
+
+      let x002 = qnTo.item.find(t => t.linkId === '/X-002');
+      assert(! x002.enableBehavior);
+      assert.equal(x002.enableWhen.length, 1);
+      assert.equal(x002.initialString, 'Green');
+      const x002Ives = x002.extension.map(ext => ext.url.replace(toIntVerExtUrl('4.0', 'Questionnaire.item.'), ''));
+      assert.deepEqual(x002Ives.sort(), ['enableBehavior', 'enableWhen', 'initial']);
+      const ewIve = x002.extension.find(ext => ext.url.endsWith('enableWhen'));
+      assert.deepEqual(ewIve.extension, [{url: 'question', valueString: '/X-001'}, {url: 'operator', valueCode: '>'},
+        {url: 'answer', valueDecimal: 10}, {url: IVE_INDEX_URL, valueInteger: 1}]);
+
+      let x003 = qnTo.item.find(t => t.linkId === '/X-003');
+      assert(! x003.option);
+      assert.equal(x003.extension.length, 2);
+
+      done();
+    }, {interVerExt: true});
+  });
+
+  it('should recover inter-version extension when appropriate (STU3 to R4)', function() {
+    const qnR4 = JSON.parse(fs.readFileSync(testFiles.R4_FOR_IVE));
+    const qnR3 = getConverter(FHIR_V.R4, FHIR_V.STU3)(qnR4, {interVerExt: true}).data;
+    const result = getConverter(FHIR_V.STU3, FHIR_V.R4)(qnR3);
+    assert.equal(result.status, 1);
+
+    const qnTo = result.data;
+    assert.deepEqual(qnTo.derivedFrom, qnR4.derivedFrom);
+    assert(! qnTo.extension?.length);
+    for(let item of qnTo.item) {
+      assert(! item.extension?.length);
+      delete item.extension;
+    }
+    assert.deepEqual(qnTo.item, qnR4.item); // lossless round trip
+  });
+
+  it('should recover the entries kept in inter-version extensions at their original positions', function() {
+    const qn = {resourceType: 'Questionnaire', status: 'draft', item: [
+      {linkId: 'q1', type: 'integer'},
+      {linkId: 'q2', type: 'choice', enableBehavior: 'any', enableWhen: [
+        {question: 'q1', operator: '>', answerInteger: 1}, {question: 'q1', operator: '=', answerInteger: 0},
+        {question: 'q1', operator: '<', answerInteger: -5}, {question: 'q1', operator: 'exists', answerBoolean: true}],
+       answerOption: [{valueReference: {reference: 'Patient/1'}}, {valueCoding: {code: 'a'}},
+         {valueReference: {reference: 'Patient/2'}}, {valueString: 'b'}]},
+      {linkId: 'q3', type: 'string', initial: [{valueString: 'x'}, {valueString: 'y'}, {valueString: 'z'}]}
+    ]};
+    const {lossless, differences} = roundTrip(qn, FHIR_V.R4, FHIR_V.STU3, {interVerExt: true});
+    assert.deepEqual(differences, []);
+    assert(lossless);
+
+    // only the HL7 defined sub-extensions, with the positions in the converter-owned extension
+    const qnR3 = convert(qn, FHIR_V.R4, FHIR_V.STU3, {interVerExt: true}).data;
+    const q2Ives = qnR3.item[1].extension.filter(ext => ext.url.endsWith('enableWhen') || ext.url.endsWith('answerOption'));
+    assert.deepEqual(q2Ives.map(ive => ive.extension.map(subExt => subExt.url)), [
+      ['question', 'operator', 'answer', IVE_INDEX_URL], ['question', 'operator', 'answer', IVE_INDEX_URL],
+      ['value', IVE_INDEX_URL], ['value', IVE_INDEX_URL]]);
+    assert.deepEqual(q2Ives.map(ive => ive.extension.at(-1).valueInteger), [0, 2, 0, 2]);
+  });
+});
+
+describe('FHIR QuestionnaireResponse version conversion', function() {
+  it('should work from STU3 to R5', function() {
+    const qrFrom = JSON.parse(fs.readFileSync(testFiles.QR_STU3));
+    const converter = getConverter(FHIR_V.STU3, FHIR_V.R5, 'QuestionnaireResponse');
+    const result = converter(qrFrom);
+    assert.equal(result.status, -1); // item.subject dropped
+
+    const qrTo = result.data;
+    assert.equal(qrTo.meta.profile[0], 'http://hl7.org/fhir/5.0/StructureDefinition/QuestionnaireResponse');
+    assert(qrTo.meta.tag.find(t => t.code === 'lhc-qnvconv-STU3-to-R5'));
+    assert.equal(qrTo.questionnaire, qrFrom.questionnaire.reference);
+    assert.deepEqual(qrTo.identifier, [qrFrom.identifier]);
+    assert.deepEqual(qrTo.encounter, qrFrom.context);
+    assert.deepEqual(qrTo.partOf, qrFrom.parent);
+    assert(! qrTo.context && ! qrTo.parent);
+    assert(! qrTo.item.find(t => t.linkId === '/X-002').subject);
+    assert.equal(qrTo.item.find(t => t.linkId === '/X-003').answer[0].item[0].answer[0].valueString, 'Lime');
+  });
+
+  it('should work from R5 to STU3', function() {
+    const qrR3 = JSON.parse(fs.readFileSync(testFiles.QR_STU3));
+    const qrR5 = convert(qrR3, FHIR_V.STU3, FHIR_V.R5).data; // resource type from the resource
+    const result = convert(qrR5, FHIR_V.R5, FHIR_V.STU3, {tag_conv: false});
+    assert.equal(result.status, 0); // questionnaire canonical to reference
+
+    const qrTo = result.data;
+    assert.deepEqual(qrTo.questionnaire, qrR3.questionnaire);
+    assert.deepEqual(qrTo.identifier, qrR3.identifier);
+    assert.deepEqual(qrTo.context, qrR3.context);
+    assert.deepEqual(qrTo.parent, qrR3.parent);
+    assert(! qrTo.encounter && ! qrTo.partOf);
+  });
+
+  it('should drop answers without value from R4 to R5, keeping their items', function() {
+    const qrR4 = {resourceType: 'QuestionnaireResponse', status: 'completed', questionnaire: 'http://example.org/qn',
+      item: [{linkId: 'q1', answer: [{item: [{linkId: 'q1.1', answer: [{valueBoolean: true}]}]}]}]};
+    const result = convert(qrR4, FHIR_V.R4, FHIR_V.R5);
+    assert.equal(result.status, 0);
+    assert.deepEqual(result.data.item, [{linkId: 'q1', item: [{linkId: 'q1.1', answer: [{valueBoolean: true}]}]}]);
+    assert.equal(result.message[0].code, MsgCode.APPROXIMATED);
+    assert.equal(result.message[0].path, 'QuestionnaireResponse.item[0].answer[0]');
+
+    qrR4.item[0].answer[0].extension = [{url: 'http://example.org/ext', valueString: 'x'}];
+    const lossy = convert(qrR4, FHIR_V.R4, FHIR_V.R5);
+    assert.equal(lossy.status, -1);
+    assert.equal(lossy.data.item[0].item[0].linkId, 'q1.1');
+    assert.deepEqual(lossy.message[0].value, {extension: qrR4.item[0].answer[0].extension});
+  });
+
+  it('should convert the basedOn reference types between STU3 and R4', function() {
+    const qrR3 = {resourceType: 'QuestionnaireResponse', status: 'completed', basedOn: [
+      {reference: 'ReferralRequest/r1'}, {reference: 'CarePlan/cp1'},
+      {reference: 'http://example.org/fhir/ProcedureRequest/p1/_history/2'}, {reference: '#req1'}]};
+    const result = convert(qrR3, FHIR_V.STU3, FHIR_V.R4);
+    assert.equal(result.status, 0);
+    assert.deepEqual(result.data.basedOn.map(ref => ref.reference), ['ServiceRequest/r1', 'CarePlan/cp1',
+      'http://example.org/fhir/ServiceRequest/p1/_history/2', '#req1']);
+    const basedOnMsgs = result.message.filter(msg => msg.path.startsWith('QuestionnaireResponse.basedOn'));
+    assert.deepEqual(basedOnMsgs.map(msg => [msg.code, msg.path, msg.value]), [
+      [MsgCode.REFERENCE_CONVERTED, 'QuestionnaireResponse.basedOn[0]', 'ReferralRequest/r1'],
+      [MsgCode.REFERENCE_CONVERTED, 'QuestionnaireResponse.basedOn[2]', 'http://example.org/fhir/ProcedureRequest/p1/_history/2']]);
+
+    const back = convert(result.data, FHIR_V.R4, FHIR_V.STU3);
+    assert.equal(back.status, 0);
+    assert.deepEqual(back.data.basedOn.map(ref => ref.reference), ['ProcedureRequest/r1', 'CarePlan/cp1',
+      'http://example.org/fhir/ProcedureRequest/p1/_history/2', '#req1']);
+    assert.deepEqual(back.message.filter(msg => msg.code === MsgCode.APPROXIMATED).map(msg => msg.path),
+      ['QuestionnaireResponse.basedOn[0]', 'QuestionnaireResponse.basedOn[2]']);
+  });
+});
+
+describe('FHIR version detection', function() {
+  it('should detect the version of the test questionnaires', function() {
+    for(let ver of [FHIR_V.STU3, FHIR_V.R4, FHIR_V.R4B, FHIR_V.R5]) {
+      const detected = detectVersion(JSON.parse(fs.readFileSync(testFiles[ver])));
+      assert.equal(detected.version, ver);
+      assert.equal(detected.confidence, 1);
+    }
+    assert.equal(detectVersion(JSON.parse(fs.readFileSync(testFiles.QR_STU3))).version, FHIR_V.STU3);
+  });
+
+  it('should detect the version based on the content only', function() {
+    for(let ver of [FHIR_V.STU3, FHIR_V.R4, FHIR_V.R5]) {
+      const qn = JSON.parse(fs.readFileSync(testFiles[ver]));
+      delete qn.meta;
+      const detected = detectVersion(qn);
+      assert.equal(detected.version, ver);
+      assert.equal(detected.confidence, 1);
+    }
+    const qnR4B = JSON.parse(fs.readFileSync(testFiles.R4B));
+    delete qnR4B.meta;
+    assert.deepEqual(detectVersion(qnR4B).candidates, [FHIR_V.R4, FHIR_V.R4B]); // can't be told apart
+  });
+
+  it('should use the latest conversion tag and report conflicting evidence', function() {
+    const qnR5 = convert(JSON.parse(fs.readFileSync(testFiles.R4B)), FHIR_V.R4B, FHIR_V.R5).data;
+    delete qnR5.meta.profile;
+    assert.equal(detectVersion(qnR5).version, FHIR_V.R5);
+
+    const qnR4 = JSON.parse(fs.readFileSync(testFiles.R4));
+    qnR4.item[0].option = [{valueString: 'a'}]; // STU3 element
+    const detected = detectVersion(qnR4);
+    assert.equal(detected.version, FHIR_V.R4);
+    assert(detected.confidence < 1);
+
+    assert.equal(detectVersion({resourceType: 'Questionnaire', item: [{linkId: 'a', type: 'string'}]}).version, null);
+  });
+
+  it('should ignore the profiles that are not strings', function() {
+    const qn = {resourceType: 'Questionnaire', meta: {profile: [null, {url: PROFILE.R5}, 5, PROFILE.R4]}};
+    assert.equal(detectVersion(qn).version, FHIR_V.R4);
+  });
+});
+
+describe('enableWhen and enableWhenExpression translation', function() {
+  it('should translate unsupported enableWhen to enableWhenExpression (R4 to STU3)', function() {
+    const qnR4 = JSON.parse(fs.readFileSync(testFiles.R4_FOR_IVE));
+    const result = getConverter(FHIR_V.R4, FHIR_V.STU3)(qnR4, {enableWhenExpr: true});
+
+    let x002 = result.data.item.find(t => t.linkId === '/X-002');
+    assert(! x002.enableWhen && ! x002.enableBehavior);
+    assert.equal(x002.extension.find(ext => ext.url === ENABLE_WHEN_EXPR_URL).valueExpression.expression,
+      "(%resource.repeat(item).where(linkId='/X-001').answer.value.where($this = 7.0).exists()) or " +
+      "(%resource.repeat(item).where(linkId='/X-001').answer.value.where($this > 10.0).exists())");
+    assert(result.message.some(m => m.ctxId === '/X-002' && m.status === 0));
+    assert(! result.message.some(m => m.status === -1 && /enable/.test(m.text))); // no enableWhen/enableBehavior loss
+  });
+
+  it('should translate simple enableWhenExpression back to enableWhen (STU3 to R4)', function() {
+    const qnR4 = JSON.parse(fs.readFileSync(testFiles.R4_FOR_IVE));
+    const qnR3 = getConverter(FHIR_V.R4, FHIR_V.STU3)(qnR4, {enableWhenExpr: true}).data;
+    const qnTo = getConverter(FHIR_V.STU3, FHIR_V.R4)(qnR3, {enableWhenExpr: true}).data;
+
+    let x002 = qnTo.item.find(t => t.linkId === '/X-002');
+    let x002From = qnR4.item.find(t => t.linkId === '/X-002');
+    assert(! x002.extension);
+    assert.deepEqual(x002.enableWhen, x002From.enableWhen);
+    assert.equal(x002.enableBehavior, 'any');
+  });
+
+  it('should translate the supported answer types and operators', function() {
+    const enableWhen = [
+      {question: "it's", operator: 'exists', answerBoolean: false},
+      {question: 'q2', operator: '!=', answerCoding: {system: 'http://loinc.org', code: 'LA33-6'}},
+      {question: 'q3', operator: '<=', answerDate: '2020-01-01'},
+      {question: 'q4', operator: '!=', answerString: "O'Brien"},
+      {question: 'q5', operator: '>', answerQuantity: {value: 70, code: 'kg'}},
+      {question: 'q6', operator: '=', answerReference: {reference: 'Patient/1'}}
+    ];
+    const expression = enableWhenToExpression(enableWhen, 'all');
+    assert(expression.startsWith("(%resource.repeat(item).where(linkId='it\\'s').answer.empty()) and "));
+    assert.deepEqual(expressionToEnableWhen(expression), {enableWhen, enableBehavior: 'all'});
+
+    assert.equal(enableWhenToExpression([{question: 'q1', operator: '>', answerCoding: {code: 'a'}}]), null);
+    assert.equal(expressionToEnableWhen("%resource.item.where(linkId='q1').answer.exists()"), null);
+    assert.equal(expressionToEnableWhen(
+      "(%resource.repeat(item).where(linkId='a').answer.exists()) and (%resource.repeat(item).where(linkId='b').answer.exists()) " +
+      "or (%resource.repeat(item).where(linkId='c').answer.exists())"), null);
+  });
+});
+
+describe('ValueSet references in item.options and answerValueSet', function() {
+  /**
+   * Create a STU3 questionnaire with a contained ValueSet and items referencing ValueSets in different ways.
+   */
+  function createQnWithVSRefs() {
+    const qn = JSON.parse(fs.readFileSync(testFiles.STU3));
+    qn.contained = [{resourceType: 'ValueSet', id: 'vs1', url: 'http://example.org/fhir/ValueSet/colors', status: 'active'}];
+    qn.item.push({linkId: '/X-020', type: 'choice', options: {reference: '#vs1'}},
+      {linkId: '/X-021', type: 'choice', options: {reference: 'ValueSet/123'}},
+      {linkId: '/X-022', type: 'choice', options: {reference: 'ValueSet/456'}});
+    return qn;
+  }
+
+  it('should convert contained and relative references (STU3 to R4)', function() {
+    const result = getConverter(FHIR_V.STU3, FHIR_V.R4)(createQnWithVSRefs(),
+      {valueSetResolver: createValueSetResolver(testFiles.VS_DIR)});
+    assert.equal(result.status, -1); // ValueSet/456 can't be resolved
+
+    const items = result.data.item;
+    assert.equal(items.find(t => t.linkId === '/X-020').answerValueSet, '#vs1');
+    assert.equal(items.find(t => t.linkId === '/X-021').answerValueSet, 'http://example.org/fhir/ValueSet/flavors');
+    assert(! items.find(t => t.linkId === '/X-022').answerValueSet);
+    assert(! result.message.some(m => m.ctxId === '/X-020'));
+  });
+
+  it('should convert references to contained ValueSets (R4 to STU3)', function() {
+    const qnR4 = getConverter(FHIR_V.STU3, FHIR_V.R4)(createQnWithVSRefs()).data;
+    qnR4.item.find(t => t.linkId === '/X-022').answerValueSet = 'http://example.org/fhir/ValueSet/colors';
+    const qnTo = getConverter(FHIR_V.R4, FHIR_V.STU3)(qnR4).data;
+
+    assert.deepEqual(qnTo.item.find(t => t.linkId === '/X-020').options, {reference: '#vs1'});
+    assert.deepEqual(qnTo.item.find(t => t.linkId === '/X-022').options, {reference: '#vs1'}); // by canonical url
+    assert.deepEqual(qnTo.item.find(t => t.linkId === '/X-012').options, {reference: 'http://ocean-beach.com/ValueSet/beach'});
+  });
+});
+
+describe('Contained resources conversion', function() {
+  /**
+   * Create a STU3 questionnaire with a contained questionnaire, ValueSet, and CodeSystem.
+   */
+  function createQnWithContained() {
+    const qn = JSON.parse(fs.readFileSync(testFiles.STU3));
+    const subQn = JSON.parse(fs.readFileSync(testFiles.STU3));
+    subQn.id = 'sub-qn';
+    delete subQn.meta;
+    qn.contained = [
+      subQn,
+      {resourceType: 'ValueSet', id: 'vs1', status: 'active', extensible: true},
+      {resourceType: 'CodeSystem', id: 'cs1', status: 'active', content: 'complete', identifier: {value: 'cs-1'}},
+      {resourceType: 'Patient', id: 'p1'}
+    ];
+    return qn;
+  }
+
+  it('should convert contained resources (STU3 to R5)', function() {
+    const qnFrom = createQnWithContained();
+    const result = getConverter(FHIR_V.STU3, FHIR_V.R5)(qnFrom);
+    assert.equal(result.status, -1); // ValueSet.extensible dropped
+
+    const [subQn, vs, cs, patient] = result.data.contained;
+    let x010 = subQn.item.find(t => t.linkId === '/X-010');
+    assert.equal(x010.type, 'coding');
+    assert.equal(x010.answerConstraint, 'optionsOrString');
+    assert(! subQn.meta); // meta isn't updated for contained resources
+    assert(! vs.hasOwnProperty('extensible'));
+    assert.deepEqual(cs.identifier, [{value: 'cs-1'}]);
+    assert.deepEqual(patient, qnFrom.contained[3]);
+
+    assert(result.message.some(m => m.ctxId === 'contained/vs1' && m.status === -1));
+    // options.reference to answerValueSet, on item /X-012 of the contained questionnaire
+    assert(result.message.some(m => m.ctxId === 'contained/sub-qn' && m.path === 'Questionnaire.contained[0].item[6].options'));
+    assert.equal(qnFrom.contained[0].item[6].linkId, '/X-012');
+  });
+
+  it('should convert contained resources (R5 to STU3)', function() {
+    const qnR5 = getConverter(FHIR_V.STU3, FHIR_V.R5)(createQnWithContained()).data;
+    qnR5.contained[1].copyrightLabel = 'label';
+    qnR5.contained[1].compose = {include: [{system: 'http://loinc.org', filter: [{property: 'concept', op: 'child-of', value: 'LP1'}]}]};
+    qnR5.contained[2].identifier.push({value: 'cs-2'});
+    const result = getConverter(FHIR_V.R5, FHIR_V.STU3)(qnR5);
+
+    const [subQn, vs, cs] = result.data.contained;
+    assert.equal(subQn.item.find(t => t.linkId === '/X-010').type, 'open-choice');
+    assert(! vs.copyrightLabel);
+    assert.equal(vs.compose.include.length, 0);
+    assert.deepEqual(cs.identifier, {value: 'cs-1'});
+    assert.equal(result.message.filter(m => m.ctxId === 'contained/vs1').length, 2);
+    assert(result.message.some(m => m.ctxId === 'contained/cs1' && m.status === -1));
+  });
+
+  it('should resolve the references to the ValueSets contained in the container', function() {
+    const vs = {resourceType: 'ValueSet', id: 'vs1', url: 'http://example.org/vs1', status: 'active'};
+    const subQn = {resourceType: 'Questionnaire', id: 'sub', status: 'draft',
+      item: [{linkId: 'q1', type: 'choice', options: {reference: '#vs1'}}]};
+    const qn = {resourceType: 'Questionnaire', status: 'draft', contained: [vs, subQn]};
+    const result = convert(qn, FHIR_V.STU3, FHIR_V.R4, {tag_conv: false});
+    assert.equal(result.data.contained[1].item[0].answerValueSet, '#vs1');
+    assert(! result.message?.some(m => m.code === MsgCode.REFERENCE_UNRESOLVED));
+
+    result.data.contained[1].item[0].answerValueSet = 'http://example.org/vs1';
+    const back = convert(result.data, FHIR_V.R4, FHIR_V.STU3, {tag_conv: false});
+    assert.deepEqual(back.data.contained[1].item[0].options, {reference: '#vs1'});
+  });
+});
+
+describe('Conversion message details', function() {
+  it('should include the code, path, step, and dropped value (R5 to STU3)', function() {
+    const qn = {resourceType: 'Questionnaire', id: 'msg-test', status: 'draft', versionAlgorithmString: 'semver', item: [
+      {linkId: 'g1', type: 'group', item: [
+        {linkId: 'q1', type: 'integer'},
+        {linkId: 'q2', type: 'string', disabledDisplay: 'protected', enableBehavior: 'any', enableWhen: [
+          {question: 'q1', operator: 'exists', answerBoolean: true},
+          {question: 'q1', operator: '>', answerInteger: 10}
+        ]}
+      ]}
+    ]};
+    const result = getConverter(FHIR_V.R5, FHIR_V.STU3)(qn);
+    assert.equal(result.status, -1);
+
+    const findMsg = (path) => result.message.find(m => m.path === path);
+    let msg = findMsg('Questionnaire.versionAlgorithmString');
+    assert.deepEqual(msg, {ctxId: 'msg-test', status: -1, text: 'Dropped versionAlgorithmString', code: 'DROPPED_ELEMENT',
+      path: 'Questionnaire.versionAlgorithmString', value: 'semver', step: 'R5->R4B'});
+    msg = findMsg('Questionnaire.item[0].item[1].disabledDisplay');
+    assert.equal(msg.text, 'Dropped disabledDisplay');
+    assert.equal(msg.value, 'protected');
+    msg = findMsg('Questionnaire.item[0].item[1].enableWhen[1]');
+    assert.equal(msg.code, 'OPERATOR_UNSUPPORTED');
+    assert.equal(msg.step, 'R4->STU3');
+    assert.deepEqual(msg.value, {question: 'q1', operator: '>', answerInteger: 10});
+    assert.equal(findMsg('Questionnaire.item[0].item[1].enableBehavior').value, 'any');
+    assert(result.message.every(m => m.code && m.path && m.step));
+  });
+
+  it('should include the paths relative to the containing resource', function() {
+    const qr = {resourceType: 'QuestionnaireResponse', id: 'qr1', status: 'completed', questionnaire: 'http://x/Questionnaire/q',
+      item: [{linkId: 'g1', item: [{linkId: 'q1', answer: [{valueString: 'a', item: [{linkId: 'q1.1', answer: [{}]}]}]}]}]};
+    let msg = getConverter(FHIR_V.R4, FHIR_V.R5, 'QuestionnaireResponse')(qr).message
+      .find(m => m.code === 'DROPPED_ELEMENT');
+    assert.equal(msg.path, 'QuestionnaireResponse.item[0].item[0].answer[0].item[0].answer[0]');
+    assert.equal(msg.step, 'R4B->R5');
+
+    const qn = {resourceType: 'Questionnaire', id: 'outer', status: 'draft', contained: [
+      {resourceType: 'ValueSet', id: 'vs1', status: 'active', extensible: true}
+    ]};
+    msg = getConverter(FHIR_V.STU3, FHIR_V.R4)(qn).message[0];
+    assert.equal(msg.ctxId, 'contained/vs1');
+    assert.equal(msg.path, 'Questionnaire.contained[0].extensible');
+    assert.equal(msg.value, true);
+  });
+});
+
+describe('Conversion results as OperationOutcome', function() {
+  it('should create an issue for each message', function() {
+    const qn = {resourceType: 'Questionnaire', id: 'oo-test', status: 'draft', item: [
+      {linkId: 'q1', type: 'integer'},
+      {linkId: 'q2', type: 'string', enableWhen: [{question: 'q1', operator: '>', answerInteger: 10}]}
+    ]};
+    const result = getConverter(FHIR_V.R4, FHIR_V.STU3)(qn);
+    const outcome = toOperationOutcome(result, 'oo-1');
+    assert.equal(outcome.resourceType, 'OperationOutcome');
+    assert.equal(outcome.id, 'oo-1');
+    assert.equal(outcome.issue.length, result.message.length);
+    assert.deepEqual(outcome.issue[0], {
+      severity: 'error',
+      code: 'not-supported',
+      details: {text: 'Unable to convert enableWhen with operator >', coding: [{code: 'OPERATOR_UNSUPPORTED'}]},
+      expression: ['Questionnaire.item[1].enableWhen[0]'],
+      diagnostics: 'Conversion step: R4->STU3; Original value: {"question":"q1","operator":">","answerInteger":10}'
+    });
+  });
+
+  it('should create a single issue if there are no messages', function() {
+    const outcome = toOperationOutcome(getConverter(FHIR_V.R4, FHIR_V.R4B)({resourceType: 'Questionnaire', status: 'draft'}));
+    assert.deepEqual(outcome.issue, [{severity: 'information', code: 'informational',
+      details: {text: 'Conversion completed successfully'}}]);
+    assert.equal(toOperationOutcome({status: -2}).issue[0].severity, 'fatal');
+  });
+});
+
+describe('Round trip conversion', function() {
+  it('should report the differences after the round trip (R5 to R4 to R5)', function() {
+    const qn = JSON.parse(fs.readFileSync(testFiles.R5_IVE));
+    const result = roundTrip(qn, FHIR_V.R5, FHIR_V.R4);
+    assert.equal(result.lossless, false);
+    assert.equal(result.forward.status, -1);
+    assert.deepEqual(result.differences.map(d => [d.type, d.path]), [
+      ['removed', 'Questionnaire.versionAlgorithmCoding'],
+      ['changed', 'Questionnaire.item[1].answerConstraint']
+    ]);
+    assert.equal(result.differences[1].original, 'optionsOrType');
+    assert.equal(result.differences[1].other, 'optionsOrString');
+  });
+
+  it('should be lossless with inter-version extensions, ignoring profiles and tags', function() {
+    const qn = JSON.parse(fs.readFileSync(testFiles.R5_IVE));
+    const result = roundTrip(qn, FHIR_V.R5, FHIR_V.R4, {interVerExt: true});
+    assert.deepEqual(result.differences, []);
+    assert(result.lossless);
+    assert.equal(result.backward.data.meta.tag.length, (qn.meta?.tag?.length || 0) + 1); // collapsed
+    assert.equal(result.backward.data.meta.tag.pop().code, 'lhc-qnvconv-R5-to-R4-to-R5');
+  });
+
+  it('should compare the profiles other than the base resource profile', function() {
+    let qn = {resourceType: 'Questionnaire', status: 'draft', meta: {profile: [
+      'http://hl7.org/fhir/5.0/StructureDefinition/Questionnaire', 'http://example.org/national-qn']}};
+    const result = roundTrip(qn, FHIR_V.R5, FHIR_V.R4);
+    assert.deepEqual(result.differences.map(d => [d.type, d.path]), [['removed', 'Questionnaire.meta']]);
+    assert.deepEqual(result.differences[0].original, {profile: ['http://example.org/national-qn']});
+    qn.meta.profile = ['http://hl7.org/fhir/uv/sdc/StructureDefinition/sdc-questionnaire'];
+    assert.deepEqual(roundTrip(qn, FHIR_V.R5, FHIR_V.R4).differences, []);
+  });
+
+  it('should report the aborted conversion', function() {
+    let qn = {resourceType: 'Questionnaire', status: 'draft', meta: {profile: ['http://example.org/national-qn']}};
+    const options = {lossPolicy: {strict: true}};
+    let result = roundTrip(qn, FHIR_V.R5, FHIR_V.R4, options);
+    assert.deepEqual([result.lossless, result.differences, result.aborted, result.backward], [false, [], 'forward', null]);
+    // not an R4 element, kept as is in the conversion to R5, but dropped in the conversion back to R4.
+    qn = {resourceType: 'Questionnaire', status: 'draft', versionAlgorithmString: 'semver'};
+    result = roundTrip(qn, FHIR_V.R4, FHIR_V.R5, options);
+    assert.deepEqual([result.lossless, result.differences, result.aborted, result.backward.status],
+      [false, [], 'backward', -2]);
+    assert.equal(roundTrip(qn, FHIR_V.R4, FHIR_V.R5).aborted, undefined);
+  });
+});
+
+describe('Questionnaire structural validation', function() {
+  it('should find no issues in valid questionnaires', function() {
+    for(let [file, ver] of [[testFiles.STU3, FHIR_V.STU3], [testFiles.R5_IVE, FHIR_V.R5], [testFiles.R4_FOR_IVE, FHIR_V.R4]]) {
+      const result = validateQuestionnaire(JSON.parse(fs.readFileSync(file)), ver);
+      assert.equal(result.status, 1);
+      assert(! result.message);
+    }
+    const qnR4 = convert(JSON.parse(fs.readFileSync(testFiles.STU3)), FHIR_V.STU3, FHIR_V.R4, {validate: true});
+    assert(! qnR4.message?.some(m => m.code === 'INVALID_OUTPUT'));
+  });
+
+  it('should report the elements, cardinalities, choice types, and codes not valid in the version', function() {
+    const qn = {resourceType: 'Questionnaire', status: 'final', derivedFrom: 'http://x/q', item: [
+      {linkId: 'q1', type: 'coding', disabledDisplay: 'hidden', initial: {valueString: 'a'}},
+      {linkId: 'q2', type: 'string', enableWhen: [{question: 'q1', operator: '=', answerUri: 'x', answerString: 'y'}],
+        answerOption: [{value: 'a'}]}
+    ]};
+    const result = validateQuestionnaire(qn, FHIR_V.R4);
+    assert.equal(result.status, 0);
+    assert.deepEqual(result.message.map(m => [m.code, m.path]), [
+      ['INVALID_OUTPUT', 'Questionnaire.status'],
+      ['INVALID_OUTPUT', 'Questionnaire.item[0].disabledDisplay'],
+      ['INVALID_OUTPUT', 'Questionnaire.item[0].type'],
+      ['INVALID_OUTPUT', 'Questionnaire.item[0].initial'],
+      ['INVALID_OUTPUT', 'Questionnaire.item[1].enableWhen[0].answerUri'],
+      ['INVALID_OUTPUT', 'Questionnaire.item[1].answerOption[0].value'],
+      ['INVALID_OUTPUT', 'Questionnaire.item[1].answerOption[0].value[x]'],
+      ['INVALID_OUTPUT', 'Questionnaire.derivedFrom']
+    ]);
+    assert.equal(validateQuestionnaire(qn, FHIR_V.R5).message.length, 6); // disabledDisplay and coding are fine in R5
+  });
+
+  it('should add the validation issues to the conversion result with the validate option', function() {
+    let qn = JSON.parse(fs.readFileSync(testFiles.STU3));
+    qn.item[0].answerConstraint = 'optionsOnly'; // R5 only, left as is in the conversion to R4
+    const result = convert(qn, FHIR_V.STU3, FHIR_V.R4, {validate: true});
+    const msg = result.message.find(m => m.code === 'INVALID_OUTPUT');
+    assert.equal(msg.path, 'Questionnaire.item[0].answerConstraint');
+    assert.equal(msg.text, 'Element answerConstraint is not allowed in R4');
+    assert(! convert(qn, FHIR_V.STU3, FHIR_V.R4).message?.some(m => m.code === 'INVALID_OUTPUT'));
+  });
+
+  it('should abort on the validation issues with the strict loss policy or an abort rule for them', function() {
+    let qn = JSON.parse(fs.readFileSync(testFiles.STU3));
+    qn.item[0].answerConstraint = 'optionsOnly';
+    for(let lossPolicy of [{strict: true}, {rules: {INVALID_OUTPUT: 'abort'}}]) {
+      const result = convert(qn, FHIR_V.STU3, FHIR_V.R4, {validate: true, lossPolicy});
+      assert.equal(result.status, -2);
+      assert.equal(result.data, undefined);
+      assert.equal(result.message.at(-1).path, 'Questionnaire.item[0].answerConstraint');
+    }
+    assert(convert(qn, FHIR_V.STU3, FHIR_V.R4, {validate: true, lossPolicy: {default: 'abort'}}).data);
+  });
+});
+
+describe('Malformed input', function() {
+  it('should abort with status -2 and name the malformed element', function() {
+    const cases = [
+      [{item: {linkId: 'q1'}}, 'Questionnaire.item', 'expecting an array'],
+      [{item: [{linkId: 'q1', type: 'string', item: [{linkId: 'q2', type: 'string', enableWhen: [{operator: '='}]}]}]},
+        'Questionnaire.item[0].item[0].enableWhen[0]', 'enableWhen without question'],
+      [{item: [{linkId: 'q1', type: 'string', initial: ['a']}]}, 'Questionnaire.item[0].initial[0]', 'expecting an object'],
+      [{contained: [{resourceType: 'Questionnaire', item: [null]}]}, 'Questionnaire.contained[0].item[0]', 'expecting an object']
+    ];
+    for(let [fields, path, text] of cases) {
+      const qn = {resourceType: 'Questionnaire', status: 'draft', ...fields};
+      for(let [vFrom, vTo] of [[FHIR_V.R4, FHIR_V.STU3], [FHIR_V.STU3, FHIR_V.R5], [FHIR_V.R6, FHIR_V.R4]]) {
+        const result = convert(qn, vFrom, vTo);
+        assert.equal(result.status, -2);
+        assert(! result.data);
+        assert.equal(result.message.length, 1);
+        assert.equal(result.message[0].code, 'INVALID_INPUT');
+        assert.equal(result.message[0].path, path);
+        assert.equal(result.message[0].text, `Conversion aborted: ${text} at ${path}`);
+      }
+    }
+    const qrResult = convert({resourceType: 'QuestionnaireResponse', status: 'completed', item: [{linkId: 'q1', answer: {}}]},
+      FHIR_V.R4, FHIR_V.R5);
+    assert.equal(qrResult.status, -2);
+    assert.equal(qrResult.message[0].path, 'QuestionnaireResponse.item[0].answer');
+    assert.equal(convert(null, FHIR_V.R4, FHIR_V.R5).status, -2);
+  });
+
+  it('should contain the unexpected errors in a converter step', function() {
+    const qn = {resourceType: 'Questionnaire', status: 'draft', version: 10n}; // BigInt can't be serialized
+    const result = convert(qn, FHIR_V.R5, FHIR_V.R4);
+    assert.equal(result.status, -2);
+    assert(! result.data);
+    assert.equal(result.message[0].code, 'CONVERSION_ERROR');
+    assert.equal(result.message[0].step, 'R5->R4B');
+    assert(result.message[0].text.startsWith('Conversion aborted due to error: '));
+  });
+});
+
+describe('Conversion input copy', function() {
+  const files = {STU3: testFiles.STU3, R4: testFiles.R4, R4B: testFiles.R4B, R5: testFiles.R5, R6: testFiles.R6_IVE};
+
+  it('should not change the input in any conversion', function() {
+    const options = {interVerExt: true, enableWhenExpr: true, provenance: true};
+    for(let [vFrom, file] of Object.entries(files)) {
+      const original = JSON.parse(fs.readFileSync(file, 'utf8'));
+      for(let vTo of Object.keys(FHIR_V).filter(v => v !== vFrom)) {
+        const qn = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const result = convert(qn, vFrom, vTo, options);
+        assert.deepEqual(qn, original, `${vFrom} to ${vTo}`);
+        assert.notEqual(result.data, qn);
+      }
+    }
+  });
+
+  it('should copy the same as a JSON round trip', function() {
+    const value = {a: 1, b: undefined, c: [1, undefined, () => 1, NaN, -0], d: new Date(0), e: {f: null, g: Infinity}};
+    assert.deepEqual(cloneJson(value), JSON.parse(JSON.stringify(value)));
+    const qn = JSON.parse(fs.readFileSync(testFiles.R5, 'utf8'));
+    const copy = cloneJson(qn);
+    assert.deepEqual(copy, qn);
+    copy.item[0].text = 'changed';
+    assert.notEqual(qn.item[0].text, 'changed');
+    assert.throws(() => cloneJson({version: 10n}), /BigInt/);
+  });
+
+  it('should copy the "__proto__" key as a plain property', function() {
+    const value = JSON.parse('{"id": "qn1", "__proto__": {"polluted": true}}');
+    const copy = cloneJson(value);
+    assert.equal(Object.getPrototypeOf(copy), Object.prototype);
+    assert.equal(copy.polluted, undefined);
+    assert.deepEqual(Object.keys(copy), ['id', '__proto__']);
+    assert.equal(JSON.stringify(copy), JSON.stringify(value));
+  });
+});
+
+describe('Loss handling policy', function() {
+  const createQn = () => ({resourceType: 'Questionnaire', id: 'policy-test', status: 'draft', item: [
+    {linkId: 'q1', type: 'integer', text: 'Age'},
+    {linkId: 'q2', type: 'string', text: 'Reason', enableWhen: [{question: 'q1', operator: '>', answerInteger: 10}],
+      item: [{linkId: 'q2.1', type: 'string'}]},
+    {linkId: 'q3', type: 'string', enableBehavior: 'all', enableWhen: [{question: 'q1', operator: 'exists', answerBoolean: true}]}
+  ]});
+
+  it('should keep the current behavior by default', function() {
+    const result = convert(createQn(), FHIR_V.R4, FHIR_V.STU3, {lossPolicy: {}});
+    assert.equal(result.status, -1);
+    assert.equal(result.data.item[1].type, 'string');
+    assert(! result.data.item[1].enableWhen);
+    assert(! result.data.item[2].extension);
+  });
+
+  it('should replace the items with display items', function() {
+    const result = convert(createQn(), FHIR_V.R4, FHIR_V.STU3, {lossPolicy: {rules: {OPERATOR_UNSUPPORTED: 'display'}}});
+    assert.equal(result.status, -1);
+    assert.deepEqual(result.data.item[1], {linkId: 'q2', type: 'display',
+      text: '"Reason" can\'t be represented in STU3 and has been removed: Unable to convert enableWhen with operator >'});
+    assert.deepEqual(result.message.filter(m => m.path.startsWith('Questionnaire.item[1]') && m.status === -1)
+      .slice(1).map(m => [m.text, m.path, m.value.linkId]), [
+      ['Item replaced with a display item', 'Questionnaire.item[1]', 'q2'],
+      ['Child item of the item replaced with a display item removed', 'Questionnaire.item[1].item[0]', 'q2.1']
+    ]);
+    assert(! result.message.find(m => m.text === 'Item replaced with a display item').value.item);
+    assert.equal(result.data.item[2].type, 'string'); // enableBehavior, DROPPED_ELEMENT, is dropped by default
+  });
+
+  it('should keep the linkId extensions and report the descendants of the item replaced', function() {
+    let qn = createQn();
+    qn.item[1]._linkId = {extension: [{url: 'http://example.org/ext', valueString: 'x'}]};
+    qn.item[1].item[0].item = [{linkId: 'q2.1.1', type: 'string'}];
+    const result = convert(qn, FHIR_V.R4, FHIR_V.STU3, {lossPolicy: {rules: {OPERATOR_UNSUPPORTED: 'display'}}});
+    assert.deepEqual(result.data.item[1]._linkId, qn.item[1]._linkId);
+    assert.deepEqual(result.message.filter(m => m.text.startsWith('Child item')).map(m => [m.path, m.value]), [
+      ['Questionnaire.item[1].item[0]', {linkId: 'q2.1', type: 'string'}],
+      ['Questionnaire.item[1].item[0].item[0]', {linkId: 'q2.1.1', type: 'string'}]
+    ]);
+  });
+
+  it('should reject the unknown actions', function() {
+    assert.throws(() => convert(createQn(), FHIR_V.R4, FHIR_V.STU3, {lossPolicy: {rules: {OPERATOR_UNSUPPORTED: 'displya'}}}),
+      /Invalid loss policy action for OPERATOR_UNSUPPORTED: displya/);
+    assert.throws(() => convert(createQn(), FHIR_V.R4, FHIR_V.R5, {lossPolicy: {default: 'keep'}}),
+      /Invalid loss policy action for default: keep/);
+  });
+
+  it('should keep the elements as extensions for the given codes', function() {
+    const result = convert(createQn(), FHIR_V.R4, FHIR_V.STU3, {lossPolicy: {rules: {DROPPED_ELEMENT: 'extension'}}});
+    assert.deepEqual(result.data.item[2].extension,
+      [{url: toIntVerExtUrl('4.0', 'Questionnaire.item.enableBehavior'), valueCode: 'all'}]);
+    assert(! result.data.item[1].extension); // OPERATOR_UNSUPPORTED, dropped by default
+  });
+
+  it('should abort the conversion for the given codes or in strict mode', function() {
+    let result = convert(createQn(), FHIR_V.R4, FHIR_V.STU3, {lossPolicy: {rules: {OPERATOR_UNSUPPORTED: 'abort'}}});
+    assert.equal(result.status, -2);
+    assert(! result.data);
+    const msg = result.message.find(m => m.status === -2);
+    assert.equal(msg.text, 'Conversion aborted by the loss policy: Unable to convert enableWhen with operator >');
+    assert.equal(msg.path, 'Questionnaire.item[1].enableWhen[0]');
+    assert.equal(msg.step, 'R4->STU3');
+
+    result = convert(JSON.parse(fs.readFileSync(testFiles.R5_IVE)), FHIR_V.R5, FHIR_V.R4, {lossPolicy: {strict: true}});
+    assert.equal(result.status, -2);
+    assert(! result.data);
+    assert.equal(convert(JSON.parse(fs.readFileSync(testFiles.STU3)), FHIR_V.STU3, FHIR_V.R4,
+      {lossPolicy: {strict: true}}).status, 0); // no loss
+  });
+});
+
+describe('answerConstraint on non-coding items (R5 to R4)', function() {
+  const acExtUrl = 'http://hl7.org/fhir/5.0/StructureDefinition/extension-Questionnaire.item.answerConstraint';
+  const createQn = () => ({resourceType: 'Questionnaire', id: 'ac-test', status: 'draft', item: [
+    {linkId: 'q1', type: 'string', answerOption: [{valueString: 'a'}, {valueString: 'b'}], answerConstraint: 'optionsOrString'},
+    {linkId: 'q2', type: 'integer', answerOption: [{valueInteger: 1}, {valueInteger: 2}], answerConstraint: 'optionsOrType'},
+    {linkId: 'q3', type: 'date', answerConstraint: 'optionsOrType'}
+  ]});
+
+  it('should convert to the closest R4 constructs without loss', function() {
+    const result = convert(createQn(), FHIR_V.R5, FHIR_V.R4);
+    assert.equal(result.status, 0);
+    const [q1, q2, q3] = result.data.item;
+    assert.equal(q1.type, 'open-choice');
+    assert.deepEqual(q1.answerOption, [{valueString: 'a'}, {valueString: 'b'}]);
+    assert(! q1.extension); // exact, no extension needed
+    assert.equal(q2.type, 'integer');
+    assert.deepEqual(q2.extension, [{url: acExtUrl, valueCode: 'optionsOrType'}]);
+    assert.deepEqual(q3.extension, [{url: acExtUrl, valueCode: 'optionsOrType'}]);
+    assert(result.data.item.every(item => ! item.answerConstraint));
+    assert(result.message.every(m => m.code === MsgCode.APPROXIMATED && m.status === 0));
+    assert.deepEqual(result.message.map(m => m.path), ['Questionnaire.item[1].answerConstraint', 'Questionnaire.item[2].answerConstraint']);
+  });
+
+  it('should restore the answerConstraint from R4', function() {
+    const qn = createQn();
+    const result = roundTrip(qn, FHIR_V.R5, FHIR_V.R4);
+    assert(result.lossless, JSON.stringify(result.differences));
+    assert.deepEqual(result.backward.data.item, qn.item);
+  });
+
+  it('should convert R4 open-choice with string options to R5 string items', function() {
+    const qn = {resourceType: 'Questionnaire', status: 'draft',
+      item: [{linkId: 'q1', type: 'open-choice', answerOption: [{valueString: 'a'}]}]};
+    const item = convert(qn, FHIR_V.R4, FHIR_V.R5).data.item[0];
+    assert.equal(item.type, 'string');
+    assert.equal(item.answerConstraint, 'optionsOrString');
+  });
+});
+
+describe('Primitive extensions (_element) of renamed elements', function() {
+  const translation = (lang, content) => ({extension: [{url: 'http://hl7.org/fhir/StructureDefinition/translation',
+    extension: [{url: 'lang', valueCode: lang}, {url: 'content', valueString: content}]}]});
+  const createR3Qn = () => ({resourceType: 'Questionnaire', status: 'draft', item: [
+    {linkId: 'q1', type: 'string', initialString: 'Yes', _initialString: translation('es', 'Sí')},
+    {linkId: 'q2', type: 'choice', option: [{valueString: 'Red', _valueString: translation('es', 'Rojo')}],
+      options: {reference: 'http://example.org/vs', _reference: {id: 'ref1'}}},
+    {linkId: 'q3', type: 'string', enableWhen: [{question: 'q1', hasAnswer: true, _hasAnswer: {id: 'ew1'}}]}
+  ]});
+
+  it('should move the _element along with the renamed elements (STU3 to R4)', function() {
+    const result = convert(createR3Qn(), FHIR_V.STU3, FHIR_V.R4, {validate: true});
+    assert(! result.message.some(m => m.code === MsgCode.INVALID_OUTPUT), JSON.stringify(result.message));
+    const [q1, q2, q3] = result.data.item;
+    assert.deepEqual(q1.initial, [{valueString: 'Yes', _valueString: translation('es', 'Sí')}]);
+    assert(! q1.hasOwnProperty('_initialString'));
+    assert.deepEqual(q2.answerOption, [{valueString: 'Red', _valueString: translation('es', 'Rojo')}]);
+    assert.deepEqual(q2._answerValueSet, {id: 'ref1'});
+    assert.deepEqual(q3.enableWhen, [{question: 'q1', operator: 'exists', answerBoolean: true, _answerBoolean: {id: 'ew1'}}]);
+  });
+
+  it('should restore the _element after the round trip (STU3 to R4 to STU3)', function() {
+    const result = roundTrip(createR3Qn(), FHIR_V.STU3, FHIR_V.R4);
+    assert(result.lossless, JSON.stringify(result.differences));
+  });
+
+  it('should keep the _element in the inter-version extensions (R5 to R4 to R5)', function() {
+    const qn = {resourceType: 'Questionnaire', status: 'draft', copyrightLabel: 'CC', _copyrightLabel: translation('fr', 'CC'),
+      item: [{linkId: 'q1', type: 'string', disabledDisplay: 'hidden', _disabledDisplay: {id: 'dd1'},
+        answerConstraint: 'optionsOrType', _answerConstraint: {id: 'ac1'}, answerOption: [{valueString: 'a'}]},
+        {linkId: 'q2', type: 'integer', answerConstraint: 'optionsOrType', _answerConstraint: {id: 'ac2'}}]};
+    const result = roundTrip(qn, FHIR_V.R5, FHIR_V.R4, {interVerExt: true});
+    assert(! result.forward.data.item.some(item => Object.keys(item).some(key => key.startsWith('_'))));
+    assert(result.lossless, JSON.stringify(result.differences));
+  });
+
+  it('should keep the array-aligned _element in the inter-version extensions (R4 to STU3 to R4)', function() {
+    const qn = {resourceType: 'Questionnaire', status: 'draft', derivedFrom: ['http://a.org/q1', 'http://a.org/q2'],
+      _derivedFrom: [null, {id: 'df2'}]};
+    const result = roundTrip(qn, FHIR_V.R4, FHIR_V.STU3, {interVerExt: true});
+    assert(! result.forward.data.hasOwnProperty('_derivedFrom'));
+    assert(result.lossless, JSON.stringify(result.differences));
+  });
+});
+
+describe('Extension mapping', function() {
+  const CORE = 'http://hl7.org/fhir/StructureDefinition/';
+  const SDC = 'http://hl7.org/fhir/uv/sdc/StructureDefinition/';
+
+  it('should convert the extensions with different urls and value types (STU3 to R4)', function() {
+    const qn = {resourceType: 'Questionnaire', status: 'draft', item: [
+      {linkId: 'q1', type: 'decimal', extension: [
+        {url: CORE + 'cqif-calculatedValue', valueString: '%a + %b'},
+        {url: CORE + 'questionnaire-allowedUnits', valueCodeableConcept: {coding: [{code: 'kg'}, {code: 'lb'}]}},
+        {url: CORE + 'questionnaire-hidden', valueBoolean: true}]},
+      {linkId: 'q2', type: 'choice', option: [{valueCoding: {code: 'a'},
+        extension: [{url: CORE + 'iso21090-CO-value', valueDecimal: 2}]}]}
+    ]};
+    const result = convert(qn, FHIR_V.STU3, FHIR_V.R4);
+    assert.equal(result.status, 0);
+    const [q1, q2] = result.data.item;
+    assert.deepEqual(q1.extension, [
+      {url: SDC + 'sdc-questionnaire-calculatedExpression', valueExpression: {language: 'text/fhirpath', expression: '%a + %b'}},
+      {url: CORE + 'questionnaire-unitOption', valueCoding: {code: 'kg'}},
+      {url: CORE + 'questionnaire-unitOption', valueCoding: {code: 'lb'}},
+      {url: CORE + 'questionnaire-hidden', valueBoolean: true}]);
+    assert.deepEqual(q2.answerOption[0].extension, [{url: CORE + 'ordinalValue', valueDecimal: 2}]);
+    assert.deepEqual(result.message.map(m => [m.code, m.path]), [
+      [MsgCode.EXTENSION_CONVERTED, 'Questionnaire.item[0].extension[0]'],
+      [MsgCode.EXTENSION_CONVERTED, 'Questionnaire.item[0].extension[1]'],
+      [MsgCode.EXTENSION_CONVERTED, 'Questionnaire.item[1].option[0].extension[0]']]);
+  });
+
+  it('should drop the extensions that can\'t be converted (R4 to STU3)', function() {
+    const qn = {resourceType: 'Questionnaire', status: 'draft', item: [{linkId: 'q1', type: 'decimal', extension: [
+      {url: SDC + 'sdc-questionnaire-calculatedExpression', valueExpression: {language: 'text/fhirpath', expression: '%a'}},
+      {url: SDC + 'sdc-questionnaire-initialExpression', valueExpression: {language: 'text/cql', expression: 'A'}}]}]};
+    const result = convert(qn, FHIR_V.R4, FHIR_V.STU3);
+    assert.equal(result.status, -1);
+    assert.deepEqual(result.data.item[0].extension, [{url: CORE + 'cqif-calculatedValue', valueString: '%a'}]);
+    const msg = result.message.find(m => m.code === MsgCode.EXTENSION_UNSUPPORTED);
+    assert.equal(msg.path, 'Questionnaire.item[0].extension[1]');
+    assert.equal(msg.status, -1);
+  });
+
+  it('should convert the extensions that became core elements (R4 to R5 and back)', function() {
+    const qn = {resourceType: 'Questionnaire', status: 'draft',
+      extension: [{url: CORE + 'artifact-copyrightLabel', valueString: 'CC BY'}],
+      item: [{linkId: 'q1', type: 'choice', answerOption: [{valueCoding: {code: 'a',
+        extension: [{url: CORE + 'ordinalValue', valueDecimal: 1}]}}]}]};
+    const r5qn = convert(qn, FHIR_V.R4, FHIR_V.R5).data;
+    assert.equal(r5qn.copyrightLabel, 'CC BY');
+    assert(! r5qn.extension);
+    assert.deepEqual(r5qn.item[0].answerOption[0].valueCoding.extension, [{url: CORE + 'itemWeight', valueDecimal: 1}]);
+
+    const result = convert(r5qn, FHIR_V.R5, FHIR_V.R4);
+    assert.equal(result.status, 0);
+    assert.deepEqual(result.data.extension, qn.extension);
+    assert(! result.data.hasOwnProperty('copyrightLabel'));
+    assert.deepEqual(result.data.item[0].answerOption[0].valueCoding.extension, [{url: CORE + 'ordinalValue', valueDecimal: 1}]);
+    assert.deepEqual(result.message.filter(m => m.path === 'Questionnaire.copyrightLabel').map(m => [m.code, m.status, m.text]),
+      [[MsgCode.EXTENSION_CONVERTED, 0, 'copyrightLabel converted to extension ' + CORE + 'artifact-copyrightLabel']]);
+  });
+
+  it('should convert the R5 copyrightLabel to the extension, with its _element, also with interVerExt (R5 to R4 and back)', function() {
+    const qn = {resourceType: 'Questionnaire', status: 'draft', copyrightLabel: '(c) X', _copyrightLabel: {id: 'cl1'}};
+    const result = roundTrip(qn, FHIR_V.R5, FHIR_V.R4, {interVerExt: true});
+    assert.deepEqual(result.forward.data.extension,
+      [{url: CORE + 'artifact-copyrightLabel', valueString: '(c) X', _valueString: {id: 'cl1'}}]);
+    assert.equal(result.forward.status, 0);
+    assert(result.lossless, JSON.stringify(result.differences));
+  });
+
+  it('should drop the built-in extensions that have no equivalent (STU3 to R4)', function() {
+    const qn = {resourceType: 'Questionnaire', status: 'draft', item: [{linkId: 'q1', type: 'string',
+      extension: [{url: CORE + 'questionnaire-deMap', valueUri: 'http://example.org/de/1'}]}]};
+    const result = convert(qn, FHIR_V.STU3, FHIR_V.R4);
+    assert.equal(result.status, -1);
+    assert(! result.data.item[0].extension);
+    assert.deepEqual(result.message.map(m => [m.code, m.path]), [[MsgCode.EXTENSION_UNSUPPORTED, 'Questionnaire.item[0].extension[0]']]);
+  });
+
+  it('should apply the mappings in the extensionMappings option', function() {
+    const localUrl = 'http://example.org/ext/legacy';
+    const qn = {resourceType: 'Questionnaire', status: 'draft', extension: [{url: localUrl, valueString: 'x'}],
+      item: [{linkId: 'q1', type: 'string', extension: [{url: CORE + 'cqif-calculatedValue', valueString: '%a'}]}]};
+    const result = convert(qn, FHIR_V.STU3, FHIR_V.R5, {extensionMappings: {
+      'STU3-R4': [{lower: {url: localUrl}, higher: null},
+        {lower: {url: CORE + 'cqif-calculatedValue', type: 'String'}, higher: {url: 'http://example.org/ext/calc'}}]
+    }});
+    assert.equal(result.status, -1);
+    assert(! result.data.extension?.some(ext => ext.url === localUrl));
+    assert.deepEqual(result.data.item[0].extension, [{url: 'http://example.org/ext/calc', valueString: '%a'}]);
+    assert(result.message.some(m => m.code === MsgCode.EXTENSION_UNSUPPORTED && m.step === 'STU3->R4' &&
+      m.path === 'Questionnaire.extension[0]'));
+  });
+});
+
+describe('Profile mapping', function() {
+  const SDC_STU3 = 'http://hl7.org/fhir/us/sdc/StructureDefinition/';
+  const SDC = 'http://hl7.org/fhir/uv/sdc/StructureDefinition/';
+  const createQn = (...profile) => ({resourceType: 'Questionnaire', status: 'draft', meta: {profile}});
+
+  it('should map the SDC profiles and keep the base profile first (STU3 to R5)', function() {
+    const result = convert(createQn(PROFILE.STU3, SDC_STU3 + 'sdc-questionnaire|2.0', SDC_STU3 + 'sdc-questionnaire-render'),
+      FHIR_V.STU3, FHIR_V.R5);
+    assert.equal(result.status, 1);
+    assert.deepEqual(result.data.meta.profile, [PROFILE.R5, SDC + 'sdc-questionnaire', SDC + 'sdc-questionnaire-render']);
+  });
+
+  it('should keep the versioned canonical if the url is unchanged (R4 to R5 and back to STU3)', function() {
+    const r5qn = convert(createQn(SDC + 'sdc-questionnaire|3.0.0'), FHIR_V.R4, FHIR_V.R5).data;
+    assert.deepEqual(r5qn.meta.profile, [PROFILE.R5, SDC + 'sdc-questionnaire|3.0.0']);
+    const r3qn = convert(r5qn, FHIR_V.R5, FHIR_V.STU3).data;
+    assert.deepEqual(r3qn.meta.profile, [PROFILE.STU3, SDC_STU3 + 'sdc-questionnaire']);
+  });
+
+  it('should remove and report the unmapped profiles', function() {
+    const nationalProfile = 'http://example.org/fhir/StructureDefinition/national-qn';
+    const result = convert(createQn(PROFILE.R4, nationalProfile), FHIR_V.R4, FHIR_V.R5);
+    assert.equal(result.status, -1);
+    assert.deepEqual(result.data.meta.profile, [PROFILE.R5]);
+    assert.deepEqual(result.message.map(m => [m.code, m.path, m.value]),
+      [[MsgCode.PROFILE_UNMAPPED, 'Questionnaire.meta.profile[1]', nationalProfile]]);
+  });
+
+  it('should abort the conversion on the unmapped profiles with the loss policy', function() {
+    const qn = createQn(PROFILE.R4, 'http://example.org/fhir/StructureDefinition/national-qn');
+    for(let lossPolicy of [{strict: true}, {rules: {[MsgCode.PROFILE_UNMAPPED]: 'abort'}}]) {
+      const result = convert(qn, FHIR_V.R4, FHIR_V.R5, {lossPolicy, provenance: true});
+      assert.equal(result.status, -2);
+      assert.equal(result.data, undefined);
+      assert.equal(result.provenance, undefined);
+      assert.equal(result.message.at(-1).code, MsgCode.PROFILE_UNMAPPED);
+    }
+    const bundle = {resourceType: 'Bundle', type: 'collection', meta: {profile: ['http://example.org/r4/bundle']}};
+    assert.equal(convertBundle(bundle, FHIR_V.R4, FHIR_V.R5, {lossPolicy: {strict: true}}).status, -2);
+    assert.equal(convert(qn, FHIR_V.R4, FHIR_V.R5, {lossPolicy: {default: 'extension'}}).status, -1);
+  });
+
+  it('should apply the mappings in the profileMappings option', function() {
+    const result = convert(createQn('http://example.org/r4/Questionnaire-a', 'http://example.org/r4/legacy'),
+      FHIR_V.R4, FHIR_V.R5, {profileMappings: {
+        'R4-R5': [{lower: 'http://example.org/r4/legacy', higher: null},
+          {lower: 'http://example.org/r4/*', higher: 'http://example.org/r5/*'}]
+      }});
+    assert.deepEqual(result.data.meta.profile, [PROFILE.R5, 'http://example.org/r5/Questionnaire-a']);
+    assert.equal(result.message[0].text, 'Removed profile http://example.org/r4/legacy, no equivalent in R5');
+  });
+
+  it('should keep the profiles between R4 and R4B as they are', function() {
+    const profile = 'http://example.org/fhir/StructureDefinition/national-qn';
+    const result = convert(createQn(PROFILE.R4, profile), FHIR_V.R4, FHIR_V.R4B);
+    assert.equal(result.status, 1);
+    assert.deepEqual(result.data.meta.profile, [PROFILE.R4B, profile]);
+  });
+});
+
+describe('Conversion history and provenance', function() {
+  const createQn = () => ({resourceType: 'Questionnaire', id: 'qn1', status: 'draft', meta: {versionId: '3'}});
+
+  it('should tag the conversion with the system', function() {
+    const qn = convert(createQn(), FHIR_V.STU3, FHIR_V.R4).data;
+    assert.deepEqual(qn.meta.tag, [{system: CONV_TAG_SYSTEM, code: 'lhc-qnvconv-STU3-to-R4',
+      display: 'Converted from STU3 to R4 by the LHC Questionnaire Version Converter'}]);
+    assert.deepEqual(getConversionHistory(qn), ['STU3', 'R4']);
+    assert.deepEqual(getConversionHistory(createQn()), []);
+  });
+
+  it('should collapse the history of repeated conversions', function() {
+    let qn = createQn();
+    qn.meta.tag = [{code: 'lhc-qnvconv-STU3-to-R4'}, {system: 'http://example.org', code: 'other'}]; // legacy tag
+    qn = convert(qn, FHIR_V.R4, FHIR_V.R5).data;
+    assert.deepEqual(qn.meta.tag.map(t => t.code), ['other', 'lhc-qnvconv-STU3-to-R4-to-R5']);
+    assert.equal(qn.meta.tag[1].display, 'Converted from STU3 to R5 (via R4) by the LHC Questionnaire Version Converter');
+
+    qn = convert(convert(qn, FHIR_V.R5, FHIR_V.R4).data, FHIR_V.R4, FHIR_V.R5).data;
+    assert.deepEqual(getConversionHistory(qn), ['STU3', 'R4', 'R5']);
+    assert.equal(qn.meta.tag.length, 2);
+    assert.equal(detectVersion(convert(qn, FHIR_V.R5, FHIR_V.R4).data).version, FHIR_V.R4);
+  });
+
+  it('should create the provenance in the target version', function() {
+    const result = convert(createQn(), FHIR_V.STU3, FHIR_V.R4, {provenance: true});
+    const provenance = result.provenance;
+    assert.equal(provenance.resourceType, 'Provenance');
+    assert.deepEqual(provenance.target, [{reference: 'Questionnaire/qn1/_history/3', display: 'Questionnaire qn1 (FHIR R4)'}]);
+    assert.deepEqual(provenance.entity, [{role: 'source',
+      what: {reference: 'Questionnaire/qn1/_history/3', display: 'Questionnaire qn1 (FHIR STU3)'}}]);
+    assert.equal(provenance.agent[0].who.display, 'LHC Questionnaire Version Converter ' + CONVERTER_VERSION);
+    assert(! isNaN(Date.parse(provenance.recorded)));
+
+    const stu3Provenance = convert(createQn(), FHIR_V.R5, FHIR_V.STU3, {provenance: true}).provenance;
+    assert.equal(stu3Provenance.entity[0].whatReference.display, 'Questionnaire qn1 (FHIR R5)');
+    assert(stu3Provenance.agent[0].whoReference);
+    assert(! convert(createQn(), FHIR_V.STU3, FHIR_V.R4).provenance);
+  });
+
+  it('should have the converter version of the package', function() {
+    assert.equal(CONVERTER_VERSION, JSON.parse(fs.readFileSync('package.json')).version);
+  });
+});
+
+
+describe('Bundle conversion', function() {
+  const createQn = (id) => ({resourceType: 'Questionnaire', id, status: 'draft',
+    item: [{linkId: '1', type: 'string', text: 'Q1', enableWhen: [{question: '2', hasAnswer: true}]}]});
+  const createBundle = (type) => ({resourceType: 'Bundle', id: 'b1', type, meta: {lastUpdated: '2024-01-01T00:00:00Z'},
+    entry: [
+      {fullUrl: 'urn:uuid:qn1', resource: createQn('qn1'), request: {method: 'POST', url: 'Questionnaire'}},
+      {request: {method: 'DELETE', url: 'Questionnaire/old'}},
+      {fullUrl: 'urn:uuid:p1', resource: {resourceType: 'Patient', id: 'p1'}, request: {method: 'POST', url: 'Patient'}}
+    ]});
+
+  it('should convert the resources in a transaction bundle, with per-entry status', function() {
+    const bundle = createBundle('transaction');
+    const bundleCopy = JSON.parse(JSON.stringify(bundle));
+    const result = convertBundle(bundle, FHIR_V.STU3, FHIR_V.R4);
+    assert.deepEqual(bundle, bundleCopy); // the input bundle isn't changed
+
+    const entries = result.data.entry;
+    assert.equal(entries.length, 3);
+    assert.deepEqual(entries[0].resource.item[0].enableWhen, [{question: '2', operator: 'exists', answerBoolean: true}]);
+    assert.deepEqual(entries[0].request, {method: 'POST', url: 'Questionnaire'});
+    assert.equal(entries[0].fullUrl, 'urn:uuid:qn1');
+    assert.deepEqual(entries[1], bundle.entry[1]);
+    assert.deepEqual(entries[2].resource, bundle.entry[2].resource);
+    assert.equal(result.data.meta.lastUpdated, '2024-01-01T00:00:00Z');
+    assert.equal(result.data.meta.profile[0], 'http://hl7.org/fhir/4.0/StructureDefinition/Bundle');
+    assert.deepEqual(getConversionHistory(result.data), ['STU3', 'R4']);
+
+    assert.deepEqual(result.entries.map(e => [e.index, e.fullUrl, e.resourceType, e.status]),
+      [[0, 'urn:uuid:qn1', 'Questionnaire', 1], [1, undefined, undefined, 1], [2, 'urn:uuid:p1', 'Patient', 0]]);
+    assert.equal(result.entries[2].message[0].code, MsgCode.NOT_CONVERTED);
+    assert.equal(result.status, 0);
+    assert.equal(result.message.find(m => m.code === MsgCode.NOT_CONVERTED).path, 'Bundle.entry[2].resource');
+  });
+
+  it('should make the message paths relative to the bundle, including nested bundles', function() {
+    const collection = {resourceType: 'Bundle', type: 'collection', entry: [{resource: createBundle('searchset')}]};
+    collection.entry[0].resource.entry[0].resource.item[0].enableWhen = [{question: '2', operator: '>', answerInteger: 1}];
+    const result = convertResource(collection, FHIR_V.R4, FHIR_V.STU3, {tag_conv: false});
+    const nested = result.data.entry[0].resource;
+    assert(! nested.entry[0].resource.item[0].enableWhen);
+    assert.equal(nested.meta.profile[0], 'http://hl7.org/fhir/3.0/StructureDefinition/Bundle');
+    assert(! nested.meta.tag);
+    assert.equal(result.entries[0].entries[0].status, -1);
+    assert.equal(result.status, -1);
+    const loss = result.message.find(m => m.status === -1);
+    assert.equal(loss.path, 'Bundle.entry[0].resource.entry[0].resource.item[0].enableWhen[0]');
+    assert.equal(loss.step, 'R4->STU3');
+  });
+
+  it('should add the provenance entries to the bundle', function() {
+    const transaction = convertBundle(createBundle('transaction'), FHIR_V.STU3, FHIR_V.R4, {provenance: true}).data;
+    assert.equal(transaction.entry.length, 4);
+    assert.equal(transaction.entry[3].resource.target[0].reference, 'urn:uuid:qn1');
+    assert.deepEqual(transaction.entry[3].request, {method: 'POST', url: 'Provenance'});
+
+    const searchset = convertBundle(createBundle('searchset'), FHIR_V.STU3, FHIR_V.R4, {provenance: true}).data;
+    assert.deepEqual(searchset.entry[3].search, {mode: 'include'});
+  });
+
+  it('should handle bundles without entries and aborted entries', function() {
+    const empty = convertBundle({resourceType: 'Bundle', type: 'collection'}, FHIR_V.R4, FHIR_V.R5);
+    assert.equal(empty.status, 1);
+    assert(! empty.data.entry);
+    assert.deepEqual(empty.entries, []);
+
+    const bundle = {resourceType: 'Bundle', type: 'batch', entry: [{resource: {resourceType: 'Questionnaire', item: {}}}]};
+    const aborted = convertBundle(bundle, FHIR_V.R4, FHIR_V.R5);
+    assert.equal(aborted.status, -2);
+    assert(! aborted.data);
+    assert.equal(aborted.entries[0].status, -2);
+  });
+});
+
+
+describe('Command line options and config file', function() {
+  it('should have a command line flag for each conversion option', function() {
+    const qnvconvSrc = fs.readFileSync(path.resolve(__dirname, '../../src/qnvconv.js'), 'utf8');
+    const optionDoc = qnvconvSrc.substring(qnvconvSrc.indexOf('// @param options'), qnvconvSrc.indexOf('// @return'));
+    const documented = [...optionDoc.matchAll(/^\/\/   - (\w+):/gm)].map(m => m[1]);
+    assert(documented.includes('tag_conv') && documented.includes('profileMappings'));
+    assert.deepEqual(convOptionTable.map(o => o.option).sort(), documented.sort());
+  });
+
+  it('should convert the command line options to the conversion options', function() {
+    const lossPolicyFile = path.join(testFiles.output, 'loss-policy.json');
+    fs.writeFileSync(lossPolicyFile, JSON.stringify({strict: true}));
+    const convOptions = toConvOptions({tagConv: false, interVerExt: true, pretty: true, lossPolicy: lossPolicyFile,
+      profileMap: '{"STU3-R4": []}', valueSetDir: testFiles.VS_DIR});
+    assert.deepEqual(Object.keys(convOptions).sort(),
+      ['interVerExt', 'lossPolicy', 'profileMappings', 'tag_conv', 'valueSetResolver']);
+    assert.equal(convOptions.tag_conv, false);
+    assert.deepEqual(convOptions.lossPolicy, {strict: true});
+    assert.deepEqual(convOptions.profileMappings, {'STU3-R4': []});
+    assert.equal(typeof convOptions.valueSetResolver, 'function');
+  });
+
+  it('should match the glob patterns', function() {
+    assert(matchesGlob('legacy/a/qn.json', 'legacy/'));
+    assert(matchesGlob('legacy/a/qn.json', 'legacy/**/*.json'));
+    assert(matchesGlob('legacy/qn.json', 'legacy/**/*.json'));
+    assert(matchesGlob('a/b/qn-stu3.json', '*-stu3.json'));
+    assert(matchesGlob('qn1.json', './qn?.json'));
+    assert(! matchesGlob('other/legacy/qn.json', 'legacy/'));
+    assert(! matchesGlob('legacy/a/qn.json', 'legacy/*.json'));
+    assert(! matchesGlob('qn1xjson', 'qn1.json'));
+  });
+
+  it('should apply the config file defaults and overrides, unless given on the command line', function() {
+    const configDir = path.join(testFiles.output, 'config');
+    fs.mkdirSync(configDir, {recursive: true});
+    const configFile = path.join(configDir, '.qnvconvrc.json');
+    fs.writeFileSync(configFile, JSON.stringify({
+      options: {'inter-ver-ext': true, pretty: true, valueSetDir: '../../valuesets'},
+      overrides: [{files: ['legacy/'], options: {tagConv: false, pretty: false}}]
+    }));
+    const config = loadConfig(configFile);
+    assert.equal(config.options.valueSetDir, testFiles.VS_DIR);
+
+    const cliOpts = {verbosity: 1, pretty: false, tagConv: true, interVerExt: undefined, validate: true};
+    const optionsFor = createOptionsResolver(cliOpts, name => name === 'validate', config);
+    const opts = optionsFor(path.join(configDir, 'qn.json'));
+    assert.equal(opts.pretty, true);
+    assert.deepEqual([opts.convOptions.interVerExt, opts.convOptions.tag_conv, opts.convOptions.validate], [true, true, true]);
+    assert.equal(typeof opts.convOptions.valueSetResolver, 'function');
+    assert.equal(optionsFor(path.join(configDir, 'qn2.json')), opts);
+
+    const legacyOpts = optionsFor(path.join(configDir, 'legacy', 'a', 'qn.json'));
+    assert.equal(legacyOpts.pretty, false);
+    assert.deepEqual([legacyOpts.convOptions.interVerExt, legacyOpts.convOptions.tag_conv], [true, false]);
+    assert.deepEqual(createOptionsResolver(cliOpts, () => false)('qn.json').convOptions, {tag_conv: true, validate: true});
+  });
+
+  it('should create the conversion options only when first used', function() {
+    const opts = createOptionsResolver({valueSetDir: path.join(testFiles.output, 'no-such-dir')}, () => true)('qn.json');
+    assert.equal(opts.valueSetDir, path.join(testFiles.output, 'no-such-dir'));
+    assert.throws(() => opts.convOptions, /ENOENT/);
+
+    const vsOpts = createOptionsResolver({valueSetDir: testFiles.VS_DIR}, () => true)('qn.json');
+    assert.equal(vsOpts.convOptions, vsOpts.convOptions);
+  });
+});
+
+
+describe('Batch conversion summary', function() {
+  const createSampleSummary = () => {
+    let summary = createSummary();
+    addFileResult(summary, 'a.json', {result: {status: 1}});
+    addFileResult(summary, 'b,c.json', {result: {status: -1, message: [{code: MsgCode.DROPPED_ELEMENT},
+      {code: MsgCode.DROPPED_ELEMENT}, {code: MsgCode.APPROXIMATED}]}});
+    addFileResult(summary, 'readme.txt', {ignored: true});
+    return summary;
+  };
+
+  it('should collect the file results', function() {
+    const summary = createSampleSummary();
+    assert.deepEqual([summary.filesProcessed, summary.filesIgnored, summary.filesFailed, summary.worstStatus], [2, 1, 0, -1]);
+    assert.deepEqual(summary.statusCounts, {success: 1, loss: 1});
+    assert.deepEqual(summary.messageCounts, {DROPPED_ELEMENT: 2, APPROXIMATED: 1});
+    assert.deepEqual(summary.files[1], {file: 'b,c.json', result: 'processed', status: -1, messages: 3,
+      messageCounts: {DROPPED_ELEMENT: 2, APPROXIMATED: 1}});
+
+    addFileResult(summary, 'bad.json', {error: 'Unexpected token'});
+    assert.deepEqual([summary.filesFailed, summary.worstStatus], [1, -2]);
+  });
+
+  it('should write the summary in CSV', function() {
+    assert.equal(toSummaryCsv(createSampleSummary()), [
+      'file,result,status,error,messages,APPROXIMATED,DROPPED_ELEMENT',
+      'a.json,processed,1,,0,0,0',
+      '"b,c.json",processed,-1,,3,1,2',
+      'readme.txt,ignored,,,,,',
+      '(total),processed: 2; ignored: 1; failed: 0,-1,,3,1,2',
+      ''].join('\n'));
+  });
+
+  it('should get the exit code based on the worst status and the threshold', function() {
+    const summary = createSampleSummary();
+    assert.equal(toExitCode(summary, 'aborted'), 0);
+    assert.equal(toExitCode(summary, 'loss'), 2);
+    assert.equal(toExitCode(summary, '0'), 2);
+    assert.equal(toExitCode(summary, 'never'), 0);
+    assert.equal(toExitCode(createSummary(), 'warning'), 0);
+    addFileResult(summary, 'bad.json', {error: 'Unexpected token'});
+    assert.equal(toExitCode(summary, 'aborted'), 3);
+    assert.throws(() => toExitCode(summary, 'bad'), /Invalid --fail-on value/);
+  });
+});
+
+
+describe('HTML conversion report', function() {
+  const createQn = () => ({resourceType: 'Questionnaire', id: 'qn1', status: 'draft', item: [
+    {linkId: 'g1', type: 'group', text: 'Group <1>', item: [
+      {linkId: 'q1', type: 'string', text: 'Q1', enableWhen: [{question: 'q2', operator: '>', answerInteger: 1}]},
+      {linkId: 'q2', type: 'integer', text: 'Q2'}
+    ]}
+  ]});
+
+  it('should show the item changes and attach the messages to the items', function() {
+    const qn = createQn();
+    const html = createHtmlReport(qn, convert(qn, FHIR_V.R4, FHIR_V.STU3), FHIR_V.R4, FHIR_V.STU3, 'my-qn.json');
+    assert(html.startsWith('<!DOCTYPE html>'));
+    assert(! /<(link|script)\b/.test(html)); // self-contained
+    assert(html.includes('Conversion report: my-qn.json'));
+    assert(html.includes('Group &lt;1&gt;'));
+    const q1 = html.substring(html.indexOf('<span class="linkId">q1'), html.indexOf('<span class="linkId">q2'));
+    assert(q1.includes('<tr class="removed"><td>enableWhen</td><td>dropped</td>'));
+    assert(q1.includes('OPERATOR_UNSUPPORTED: Unable to convert enableWhen with operator &gt;'));
+    assert(html.includes('<li class="item unchanged">\n<div class="item-head"><span class="linkId">q2</span>'));
+    assert(html.includes('<tr class="added"><td>meta</td><td>added</td>'));
+  });
+
+  it('should annotate the inter-version extensions', function() {
+    const qn = createQn();
+    const result = convert(qn, FHIR_V.R4, FHIR_V.STU3, {interVerExt: true});
+    const html = createHtmlReport(qn, result, FHIR_V.R4, FHIR_V.STU3);
+    assert(/IVE: Questionnaire\.item\.enableWhen kept as an inter-version extension \(not in STU3\)/.test(html));
+    const back = convert(result.data, FHIR_V.STU3, FHIR_V.R4, {interVerExt: true});
+    const backHtml = createHtmlReport(result.data, back, FHIR_V.STU3, FHIR_V.R4);
+    assert(backHtml.includes('recovered from the inter-version extension (from STU3)'));
+  });
+
+  it('should report the questionnaires in bundles and the dropped items', function() {
+    const bundle = {resourceType: 'Bundle', type: 'collection', entry: [{resource: {resourceType: 'Patient'}},
+      {resource: createQn()}]};
+    const result = convertBundle(bundle, FHIR_V.R4, FHIR_V.R5);
+    result.data.entry[1].resource.item[0].item.pop(); // as if dropped in the conversion
+    const html = createHtmlReport(bundle, result, FHIR_V.R4, FHIR_V.R5, 'bundle.json');
+    assert.equal(html.match(/<section>/g).length, 1);
+    assert(html.includes('<h2>entry[1]: Questionnaire qn1</h2>'));
+    assert(html.includes('<li class="item dropped">\n<div class="item-head"><span class="linkId">q2</span>Q2' +
+      '<span class="type">(integer)</span> <em>dropped</em></div>'));
+  });
+});
+
+
+describe('NDJSON conversion', function() {
+  const qnLine = (id) => JSON.stringify({resourceType: 'Questionnaire', id, status: 'draft',
+    item: [{linkId: '1', type: 'string', enableWhen: [{question: '2', operator: '>', answerInteger: 1}]}]});
+
+  it('should convert line by line, with the per-line results', async function() {
+    const patientLine = JSON.stringify({resourceType: 'Patient', id: 'p1'});
+    const text = [qnLine('qn1'), patientLine, '', '{bad', qnLine('qn2')].join('\r\n') + '\n';
+    // chunks not aligned with the lines, including a line break split between two chunks
+    const chunks = [text.substring(0, 10), text.substring(10, text.indexOf('\n') ), Buffer.from(text.substring(text.indexOf('\n')))];
+    let results = [];
+    for await (let lineRet of convertNdjson(chunks, FHIR_V.R4, FHIR_V.STU3)) {
+      results.push(lineRet);
+    }
+
+    assert.deepEqual(results.map(r => [r.line, r.id, r.resourceType, r.status]), [[1, 'qn1', 'Questionnaire', -1],
+      [2, 'p1', 'Patient', 0], [4, undefined, undefined, -2], [5, 'qn2', 'Questionnaire', -1]]);
+    assert.equal(results[0].message[0].code, MsgCode.OPERATOR_UNSUPPORTED);
+    assert(! JSON.parse(results[0].output).item[0].enableWhen);
+    assert.equal(results[1].output, patientLine);
+    assert.equal(results[2].output, '{bad'); // passed through
+    assert.equal(results[2].message[0].code, MsgCode.INVALID_INPUT);
+    assert.equal(JSON.parse(results[3].output).id, 'qn2');
+  });
+
+  it('should convert a file stream', async function() {
+    const ndjsonFile = path.join(testFiles.output, 'Questionnaire.ndjson');
+    fs.writeFileSync(ndjsonFile, [qnLine('qn1'), qnLine('qn2')].join('\n'));
+    let results = [];
+    for await (let lineRet of convertNdjson(fs.createReadStream(ndjsonFile), FHIR_V.R4, FHIR_V.R5, {provenance: true})) {
+      results.push(lineRet);
+    }
+    assert.deepEqual(results.map(r => [r.line, r.id, r.status]), [[1, 'qn1', 1], [2, 'qn2', 1]]);
+    assert.equal(results[1].provenance.resourceType, 'Provenance');
+  });
+});
+
+
+describe('Parallel batch conversion', function() {
+  this.timeout(20000); // for starting the worker threads
+  const badFile = path.join(testFiles.output, 'batch-bad.json');
+  const collect = async (results) => {
+    let items = [];
+    for await (let item of results) {
+      items.push(item);
+    }
+    return items;
+  };
+
+  before(function() {
+    fs.writeFileSync(badFile, '{bad');
+  });
+
+  it('should return the same results in the order of the inputs with or without worker threads', async function() {
+    const qn = JSON.parse(fs.readFileSync(testFiles.R4, 'utf8'));
+    const inputs = [testFiles.STU3, badFile, testFiles.R5, {resource: qn, roundTrip: true, withSource: true},
+      testFiles.QR_STU3, testFiles.R4_IVE];
+    const inline = await collect(convertBatch(inputs, 'auto', FHIR_V.R5, {tag_conv: false}));
+    const parallel = await collect(convertBatch(inputs, 'auto', FHIR_V.R5, {tag_conv: false}, 3));
+
+    assert.deepEqual(parallel, inline);
+    assert.deepEqual(parallel.map(item => [item.index, item.vFrom, item.result?.status]),
+      [[0, 'STU3', 0], [1, undefined, undefined], [2, 'R5', 1], [3, 'R4', 1], [4, 'STU3', -1], [5, 'R4', 1]]);
+    assert.deepEqual([parallel[0].file, parallel[0].id, parallel[0].resourceType], [testFiles.STU3,
+      'qn-ver-conv-test-stu3base', 'Questionnaire']);
+    assert(parallel[1].error.includes('JSON'));
+    assert.deepEqual(parallel[2].result.data, JSON.parse(fs.readFileSync(testFiles.R5, 'utf8'))); // as is
+    assert.deepEqual(parallel[3].source, qn);
+    assert.deepEqual(parallel[3].roundTripLosses, []);
+    assert.deepEqual(parallel[3].result, convertResource(qn, FHIR_V.R4, FHIR_V.R5, {tag_conv: false}));
+  });
+
+  it('should pass the conversion options with functions to the worker threads as the command line options', async function() {
+    const qn = {resourceType: 'Questionnaire', status: 'draft', item: [{linkId: '1', type: 'choice', options: {reference: 'ValueSet/123'}}]};
+    const resolver = createValueSetResolver(testFiles.VS_DIR);
+    await assert.rejects(collect(convertBatch([qn, qn], FHIR_V.STU3, FHIR_V.R4, {valueSetResolver: resolver}, 2)),
+      /can't be passed to the worker threads/);
+
+    const expected = convertResource(qn, FHIR_V.STU3, FHIR_V.R4, {valueSetResolver: resolver});
+    const inputs = [qn, qn].map(resource => ({resource, cliOptions: {valueSetDir: testFiles.VS_DIR}}));
+    const items = await collect(convertBatch(inputs, FHIR_V.STU3, FHIR_V.R4, null, 2));
+    assert.deepEqual(items.map(item => item.result), [expected, expected]);
+  });
+
+  it('should report the unsupported conversions for each input', async function() {
+    const items = await collect(convertBatch([testFiles.R4, testFiles.R5], FHIR_V.R4, 'R9', null, 2));
+    assert.deepEqual(items.map(item => item.error), ['unable to convert from R4 to R9, versions currently supported: ' +
+      'STU3,R4,R4B,R5,R6', 'unable to convert from R4 to R9, versions currently supported: STU3,R4,R4B,R5,R6']);
+  });
+});
+
+
+describe('Command line tool', function() {
+  this.timeout(20000);
+  const cliPath = path.resolve(__dirname, '../../src/qnvconv_cli.js');
+  // run the command line tool with the given arguments, and the given text as stdin, if any.
+  const runCli = (args, input) => spawnSync(process.execPath, [cliPath, ...args],
+    {input, encoding: 'utf8', timeout: 15000});
+  const cliDir = path.join(testFiles.output, 'cli');
+
+  beforeEach(function() {
+    fs.rmSync(cliDir, {recursive: true, force: true});
+    fs.mkdirSync(path.join(cliDir, 'in'), {recursive: true});
+  });
+
+  it('should convert from stdin to stdout, with the messages on stderr', function() {
+    const reportFile = path.join(cliDir, 'report.json');
+    const input = fs.readFileSync(testFiles.R4, 'utf8');
+    const cli = runCli(['--outcome', '--report', reportFile, 'R4', 'STU3', '-', '-'], input);
+    assert.equal(cli.status, 0, cli.stderr);
+    const qn = JSON.parse(cli.stdout); // the converted resource only
+    assert.equal(qn.meta.tag.at(-1).code, 'lhc-qnvconv-R4-to-STU3');
+    assert(cli.stderr.includes('Conversion status for qn-ver-conv-test-r4base: -1'));
+    assert(cli.stderr.includes('the outcome, HTML report, and provenance files are not written for the output to stdout'));
+    const report = JSON.parse(fs.readFileSync(reportFile));
+    assert.deepEqual(report.map(r => [r.file, r.status]), [['-', -1]]);
+    assert.equal(report[0].message[0].code, MsgCode.OPERATOR_UNSUPPORTED);
+    assert.equal(runCli(['--fail-on', 'loss', 'R4', 'STU3', '-', '-'], input).status, 2);
+  });
+
+  it('should read the resource from a pipe that is written to later', async function() {
+    const input = fs.readFileSync(testFiles.R4, 'utf8');
+    const cli = spawn(process.execPath, [cliPath, 'R4', 'R5', '-', '-']);
+    let stdout = '';
+    cli.stdout.on('data', data => stdout += data);
+    cli.stdin.write(input.substring(0, 100));
+    setTimeout(() => cli.stdin.end(input.substring(100)), 200); // nothing to read from stdin in the meantime
+    const [status] = await once(cli, 'close');
+    assert.equal(status, 0);
+    assert.equal(JSON.parse(stdout).meta.profile[0], PROFILE.R5);
+  });
+
+  it('should pass the invalid NDJSON lines through to the output', function() {
+    const qnLine = JSON.stringify({resourceType: 'Questionnaire', id: 'qn1', status: 'draft'});
+    const cli = runCli(['--ndjson', 'R4', 'R5', '-', '-'], [qnLine, '{bad', ''].join('\n'));
+    const lines = cli.stdout.split('\n').filter(line => line);
+    assert.equal(lines.length, 2);
+    assert.equal(JSON.parse(lines[0]).meta.profile[0], PROFILE.R5);
+    assert.equal(lines[1], '{bad');
+    assert.equal(cli.status, 3); // aborted, for the invalid line
+  });
+
+  it('should reject an invalid --fail-on value before reading any input', function() {
+    const cli = runCli(['--fail-on', 'bad', 'R4', 'STU3', '-', '-'], fs.readFileSync(testFiles.R4, 'utf8'));
+    assert.equal(cli.status, 1);
+    assert.equal(cli.stdout, '');
+    assert(cli.stderr.startsWith("error: option '--fail-on <status>' argument 'bad' is invalid."), cli.stderr);
+    assert(! cli.stderr.includes('==== converting'));
+  });
+
+  it('should convert the files in worker threads, reporting in the order of the files', function() {
+    const inDir = path.join(cliDir, 'in'), outDir = path.join(cliDir, 'out'), reportFile = path.join(cliDir, 'report.json');
+    fs.copyFileSync(testFiles.R4, path.join(inDir, 'a.json'));
+    fs.copyFileSync(testFiles.R4_FOR_IVE, path.join(inDir, 'b.json'));
+    fs.writeFileSync(path.join(inDir, 'c.json'), '{bad');
+    fs.mkdirSync(outDir);
+    const cli = runCli(['--jobs', '2', '--outcome', '--report', reportFile, 'R4', 'STU3', inDir, outDir]);
+    assert.equal(cli.status, 3, cli.stderr); // failed, for the invalid file
+    assert.deepEqual([...cli.stdout.matchAll(/==== converting (.*)/g)].map(m => path.basename(m[1])), ['a.json', 'b.json', 'c.json']);
+    assert(cli.stderr.includes('c.json: failed to process the file'));
+    assert.deepEqual(JSON.parse(fs.readFileSync(reportFile)).map(r => [path.basename(r.file), r.status, !! r.error]),
+      [['a.json', -1, false], ['b.json', -1, false], ['c.json', undefined, true]]);
+    assert.equal(JSON.parse(fs.readFileSync(path.join(outDir, 'a-STU3.json'))).resourceType, 'Questionnaire');
+    assert.equal(JSON.parse(fs.readFileSync(path.join(outDir, 'b-STU3-outcome.json'))).resourceType, 'OperationOutcome');
+    assert(! fs.existsSync(path.join(outDir, 'c-STU3.json')));
+  });
+
+  it('should read the ValueSet files once for the .json files converted in the current thread', function() {
+    const vsDir = path.join(cliDir, 'valuesets');
+    fs.mkdirSync(vsDir);
+    fs.writeFileSync(path.join(vsDir, 'bad.json'), '{bad');
+    fs.copyFileSync(testFiles.R4, path.join(cliDir, 'in', 'a.json'));
+    const cli = runCli(['--value-set-dir', vsDir, 'R4', 'R5', path.join(cliDir, 'in', 'a.json'), '-']);
+    assert.equal(cli.status, 0, cli.stderr);
+    assert.equal(cli.stderr.split('Ignoring invalid JSON file').length - 1, 1);
+  });
 });